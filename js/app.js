@@ -8,6 +8,20 @@ import { Workouts } from './workouts.js';
 import { Charts } from './charts.js';
 import { History } from './history.js';
 import { Templates } from './templates.js';
+import { StorageAdapters } from './storage-adapters.js';
+import { ConflictDialog } from './conflict-dialog.js';
+import { BackupDialog } from './backup-dialog.js';
+import { ImportDialog } from './import-dialog.js';
+import { ExportDialog } from './export-dialog.js';
+import { IntegrityDialog } from './integrity-dialog.js';
+import { ExerciseDeleteDialog } from './exercise-delete-dialog.js';
+import { ExerciseMergeDialog } from './exercise-merge-dialog.js';
+import { TrashDialog } from './trash-dialog.js';
+import { ChangeHistoryDialog } from './change-history-dialog.js';
+import { EncryptionDialog } from './encryption-dialog.js';
+import { AuthDialog } from './auth-dialog.js';
+import { ConnectionDialog } from './connection-dialog.js';
+import { Encryption } from './encryption.js';
 import { CONFIG, loadConfig } from './config.js';
 
 /**
@@ -88,6 +102,65 @@ const Theme = {
 // Apply theme immediately to avoid flash of unstyled content
 Theme.applyEarly();
 
+/**
+ * Pending-sync badge
+ * Shows how many offline changes wait in the outbox and retries the sync on tap;
+ * also warns when the GitHub API budget runs low
+ */
+const SyncBadge = {
+    init() {
+        const badge = document.getElementById('syncBadge');
+        if (!badge) return;
+
+        badge.addEventListener('click', () => this.retry(true));
+        window.addEventListener('online', () => this.retry(false));
+        window.addEventListener('outboxChanged', (e) => this.render(e.detail.pending));
+        window.addEventListener('outboxSynced', (e) => this.report(e.detail));
+        window.addEventListener('rateLimitLow', (e) => this.warnBudget(e.detail));
+    },
+
+    /**
+     * Replay queued changes now
+     * @param {boolean} manual - Triggered by the user (reports when still offline)
+     */
+    async retry(manual) {
+        const badge = document.getElementById('syncBadge');
+        badge.classList.add('syncing');
+        try {
+            const summary = await Storage.syncOutbox();
+            if (manual && summary && summary.synced === 0 && summary.remaining > 0 && !summary.error) {
+                showToast('Still offline - changes will sync when the connection returns', 'info');
+            }
+        } finally {
+            badge.classList.remove('syncing');
+        }
+    },
+
+    render(pending) {
+        const badge = document.getElementById('syncBadge');
+        badge.style.display = pending > 0 ? 'flex' : 'none';
+        document.getElementById('syncBadgeCount').textContent = pending;
+        badge.title = `${pending} change${pending === 1 ? '' : 's'} waiting to sync - tap to retry`;
+    },
+
+    report({ synced, discarded, error }) {
+        if (synced > 0) {
+            showToast(`Synced ${synced} offline change${synced === 1 ? '' : 's'}`, 'success');
+        }
+        if (discarded.length > 0) {
+            showToast(`${discarded.length} offline change${discarded.length === 1 ? '' : 's'} no longer applied (${discarded[0].reason}) and ${discarded.length === 1 ? 'was' : 'were'} discarded`, 'error');
+        }
+        if (error) {
+            showToast(`Sync paused: ${error}`, 'error');
+        }
+    },
+
+    warnBudget({ remaining, limit, reset }) {
+        const time = new Date(reset * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        showToast(`GitHub API budget low: ${remaining} of ${limit} requests left until ${time}. Loading slows down to stay within it.`, 'info');
+    }
+};
+
 /**
  * Main App object
  */
@@ -101,19 +174,16 @@ const App = {
         // Load configuration first
         loadConfig();
 
-        // In dev mode, skip authentication
-        if (CONFIG.devMode) {
+        // Only the GitHub backend needs a token
+        const backend = StorageAdapters.selectName();
+        if (backend === 'dev') {
             console.log('🧪 Running in DEVELOPMENT MODE');
             console.log('📝 Using local dummy data - changes will not be saved');
+        } else if (backend === 'local') {
+            console.log('💾 Running in LOCAL MODE - data stays in this browser');
         } else {
-            // Check for token in production mode
-            if (!Auth.isAuthenticated()) {
-                const token = Auth.promptForToken();
-                if (!token) {
-                    alert('GitHub token is required to use this app.');
-                    return;
-                }
-            }
+            // The token is unlocked with its PIN on the first GitHub request (see initApp)
+            console.log(`🔒 Running in GITHUB MODE - token ${Auth.hasStoredToken() ? 'saved, locked' : 'not saved yet'}`);
         }
 
         // Show app
@@ -122,6 +192,9 @@ const App = {
         // Initialize theme toggle
         Theme.init();
 
+        // Listen for offline queue changes before storage loads it
+        SyncBadge.init();
+
         // Initialize
         await this.initApp();
 
@@ -139,20 +212,47 @@ const App = {
             // Show loading
             showLoading(true);
 
-            // Initialize navigation early so config menu stays usable
-            // even if GitHub initialization fails (e.g., expired token)
+            // Initialize navigation and the connection test early so the config menu
+            // stays usable even if GitHub initialization fails (e.g., expired token)
             this.initNavigation();
+            ConnectionDialog.init();
 
             console.log('Initializing storage...');
 
-            // In dev mode, replace Storage methods with DevStorage
-            if (CONFIG.devMode) {
-                const { DevStorage } = await import('./dev-storage.js');
-                Object.assign(Storage, DevStorage);
-            }
+            // Ask the user when a merge finds a set edited differently on another device
+            Storage.conflictResolver = (conflicts) => ConflictDialog.open(conflicts);
+
+            // Ask for the PIN that unlocks the GitHub token (or for a token on first use)
+            AuthDialog.init();
+            Auth.credentialsProvider = (request) => AuthDialog.prompt(request);
+
+            // Ask for the passphrase when the repository is encrypted
+            EncryptionDialog.initUnlock();
+            Encryption.passphraseProvider = (attempt) => EncryptionDialog.promptUnlock(attempt);
 
-            // Initialize storage
+            // Initialize storage (selects the backend adapter from config)
             await Storage.initialize();
+
+            // Lock the token again after inactivity, once waiting changes are saved
+            if (StorageAdapters.selectName() === 'github') {
+                Auth.lockWhenIdle(() => Storage.flushWrites());
+            }
+
+            // Pick up sets logged on other devices while this tab stays open
+            Storage.watchRemoteChanges();
+
+            // Coalesced changes are stored in the outbox and replayed on the next visit;
+            // saving them when the page goes away just gets them to other devices sooner
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') Storage.flushWrites();
+            });
+            window.addEventListener('beforeunload', (e) => {
+                Storage.flushWrites();
+                // Without IndexedDB nothing would replay them: ask the browser to confirm leaving
+                if (!Storage.hasUnstoredWrites()) return;
+                e.preventDefault();
+                e.returnValue = '';
+            });
             
             // Debug: Check if exercises loaded
             console.log(`Loaded ${Storage.getExercises().length} exercises`);
@@ -174,6 +274,15 @@ const App = {
             History.init();
             Charts.init();
             Templates.init();
+            BackupDialog.init();
+            ImportDialog.init();
+            ExportDialog.init();
+            IntegrityDialog.init();
+            ExerciseDeleteDialog.init();
+            ExerciseMergeDialog.init();
+            TrashDialog.init();
+            ChangeHistoryDialog.init();
+            EncryptionDialog.init();
 
             // Hide loading
             showLoading(false);
@@ -359,8 +468,9 @@ export function showLoading(show) {
  * Show toast notification
  * @param {string} message - Message to display
  * @param {string} type - Type: 'success', 'error', 'info'
+ * @param {object|null} action - Optional button {label, onClick}, e.g. Undo
  */
-export function showToast(message, type = 'info') {
+export function showToast(message, type = 'info', action = null) {
     const container = document.getElementById('toastContainer');
     if (!container) return;
 
@@ -373,6 +483,19 @@ export function showToast(message, type = 'info') {
     span.textContent = message; // Automatically escaped, safe from XSS
     toast.appendChild(span);
 
+    // Optional action button (e.g. Undo); the toast closes when it is used
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+
     container.appendChild(toast);
 
     // Auto remove after configured duration
@@ -383,7 +506,7 @@ export function showToast(message, type = 'info') {
                 container.removeChild(toast);
             }
         }, CONFIG.toast.fadeOutDuration);
-    }, CONFIG.toast.duration);
+    }, action ? CONFIG.toast.actionDuration : CONFIG.toast.duration);
 }
 
 /**
@@ -424,6 +547,7 @@ const IframeBridge = {
         // Forward parent events to iframes
         window.addEventListener('exercisesUpdated', () => this.broadcastExercises());
         window.addEventListener('templatesUpdated', () => this.broadcastTemplates());
+        window.addEventListener('workoutsUpdated', () => this.broadcastWorkouts());
 
         console.log('Iframe bridge initialized');
     },
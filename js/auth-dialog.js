@@ -0,0 +1,151 @@
+// Auth Dialog
+// PIN prompt that unlocks the GitHub token (Auth.credentialsProvider), also used to lock a new or old plain-text token
+
+import { Auth } from './auth.js';
+import { CONFIG } from './config.js';
+import { showToast, showLoading } from './app.js';
+
+// Title, explanation and submit label per prompt mode (see Auth.credentialsProvider)
+const MODES = {
+    unlock: {
+        title: 'Unlock GitHub Token',
+        message: 'Enter the PIN that locks your GitHub token on this device.',
+        submit: 'Unlock'
+    },
+    migrate: {
+        title: 'Lock GitHub Token',
+        message: 'Your GitHub token is saved in plain text. Choose a PIN or passphrase to lock it; you will enter it once per session.',
+        submit: 'Lock token'
+    },
+    setup: {
+        title: 'GitHub Token',
+        message: 'Enter a GitHub token with "repo" scope and choose a PIN or passphrase that locks it on this device.',
+        submit: 'Save token'
+    }
+};
+
+export const AuthDialog = {
+    // Mode of the open prompt and its pending resolve, null when none is open
+    mode: null,
+    resolvePrompt: null,
+
+    // Whether the loading overlay was up when the prompt opened (during startup)
+    wasLoading: false,
+
+    /**
+     * Wire the prompt; runs before storage loads so the first GitHub request can ask for the PIN
+     */
+    init() {
+        const modal = document.getElementById('authModal');
+        if (!modal) return;
+
+        document.getElementById('authSubmitBtn').addEventListener('click', () => this.handleSubmit());
+        document.getElementById('authCancelBtn').addEventListener('click', () => this.finish(null));
+        document.getElementById('authForgetBtn').addEventListener('click', () => this.handleForget());
+        modal.querySelectorAll('input').forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.handleSubmit();
+            });
+        });
+
+        // Say why the PIN is asked for again
+        window.addEventListener('authLocked', () => {
+            showToast('GitHub token locked after inactivity', 'info');
+        });
+    },
+
+    /**
+     * Ask for the PIN, or for a PIN and token (Auth.credentialsProvider)
+     * @param {{mode: string, retry: boolean}} request
+     * @returns {Promise<{pin: string, token?: string}|null>} null when the user cancels
+     */
+    prompt({ mode, retry }) {
+        const texts = MODES[mode];
+        this.mode = mode;
+
+        document.getElementById('authModalTitle').textContent = texts.title;
+        document.getElementById('authMessage').textContent = texts.message;
+        document.getElementById('authError').textContent = retry ? 'Wrong PIN, try again.' : '';
+        document.getElementById('authTokenGroup').style.display = mode === 'setup' ? '' : 'none';
+        document.getElementById('authConfirmGroup').style.display = mode === 'unlock' ? 'none' : '';
+        document.getElementById('authForgetBtn').style.display = mode === 'unlock' ? '' : 'none';
+        const submitBtn = document.getElementById('authSubmitBtn');
+        submitBtn.title = texts.submit;
+        submitBtn.setAttribute('aria-label', texts.submit);
+        this.clearInputs();
+
+        // The loading overlay would cover the prompt while storage initializes
+        this.wasLoading = document.getElementById('loadingIndicator')?.style.display !== 'none';
+        showLoading(false);
+        document.getElementById('authModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+        document.getElementById(mode === 'setup' ? 'authToken' : 'authPin').focus();
+
+        return new Promise(resolve => {
+            this.resolvePrompt = resolve;
+        });
+    },
+
+    /**
+     * Check the entered values and hand them over
+     */
+    handleSubmit() {
+        if (!this.resolvePrompt) return;
+
+        const token = document.getElementById('authToken').value.trim();
+        const pin = document.getElementById('authPin').value;
+        const error = document.getElementById('authError');
+
+        if (this.mode === 'setup' && token.length < 10) {
+            error.textContent = 'Enter a GitHub token.';
+            return;
+        }
+        if (this.mode === 'unlock') {
+            if (pin === '') return;
+        } else if (pin.length < CONFIG.auth.minPinLength) {
+            error.textContent = `Use a PIN or passphrase of at least ${CONFIG.auth.minPinLength} characters.`;
+            return;
+        } else if (pin !== document.getElementById('authConfirm').value) {
+            error.textContent = 'The PINs do not match.';
+            return;
+        }
+
+        this.finish(this.mode === 'setup' ? { token, pin } : { pin });
+    },
+
+    /**
+     * Forgotten PIN: remove the token from this device and start over
+     */
+    handleForget() {
+        if (!confirm('Remove the saved GitHub token from this device? You will need to enter a token again.')) {
+            return;
+        }
+        Auth.forgetDevice();
+        this.finish(null);
+        location.reload();
+    },
+
+    /**
+     * Close the prompt and hand over the answer
+     * @param {object|null} answer
+     */
+    finish(answer) {
+        if (!this.resolvePrompt) return;
+
+        document.getElementById('authModal').style.display = 'none';
+        this.clearInputs();
+        const resolve = this.resolvePrompt;
+        this.resolvePrompt = null;
+        this.mode = null;
+
+        // Startup continues loading once the token is unlocked
+        if (answer && this.wasLoading) showLoading(true);
+        resolve(answer);
+    },
+
+    clearInputs() {
+        ['authToken', 'authPin', 'authConfirm'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    }
+};
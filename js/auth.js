@@ -1,73 +1,206 @@
 // Authentication Module
-// Handles GitHub Personal Access Token storage
+// Keeps the GitHub Personal Access Token locked with a PIN on the device and unlocked in memory per session
 
-import { CONFIG, getConfig } from './config.js';
+import { CONFIG, getConfig, clearSavedToken } from './config.js';
+import { Encryption } from './encryption.js';
+
+// Where earlier versions kept the token in plain text (migrated on the next unlock)
+const LEGACY_TOKEN_KEY = 'github_pat';
+
+// Activity that keeps the session unlocked
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * Check a token before it is stored
+ * @param {string} token
+ * @returns {string} Trimmed token
+ */
+function validateToken(token) {
+    if (!token || typeof token !== 'string') {
+        throw new Error('Invalid token');
+    }
+    const trimmed = token.trim();
+    if (trimmed.length < 10) {
+        throw new Error('Token appears to be invalid (too short)');
+    }
+    return trimmed;
+}
+
+/**
+ * Check a PIN or passphrase chosen to lock the token
+ * @param {string} pin
+ */
+function validatePin(pin) {
+    if (typeof pin !== 'string' || pin.length < CONFIG.auth.minPinLength) {
+        throw new Error(`Use a PIN or passphrase of at least ${CONFIG.auth.minPinLength} characters`);
+    }
+}
 
 export const Auth = {
+    // Unlocked token, held in memory only; null while locked
+    token: null,
+
+    // UI hook asked for credentials: async ({mode, retry}) → {pin, token?} or null when the user gives up.
+    // mode 'unlock' asks for the PIN, 'migrate' for a new PIN for an old plain-text token,
+    // 'setup' for a token and its PIN. retry is true after a wrong PIN.
+    credentialsProvider: null,
+
+    // Shared by concurrent callers while the prompt is open
+    pendingUnlock: null,
+
+    // Time of the last user activity and the idle check timer (see lockWhenIdle)
+    lastActivity: Date.now(),
+    idleTimer: null,
+
+    /**
+     * Token stored in plain text by an earlier version, if any
+     * @returns {string|null}
+     */
+    legacyToken() {
+        return getConfig().token || localStorage.getItem(LEGACY_TOKEN_KEY) || null;
+    },
+
+    /**
+     * Locked token record on this device
+     * @returns {object|null} As written by Encryption.seal()
+     */
+    lockedToken() {
+        const saved = localStorage.getItem(CONFIG.storage.authKey);
+        return saved ? JSON.parse(saved) : null;
+    },
+
+    /**
+     * Whether a token is stored on this device (locked or in plain text)
+     * @returns {boolean}
+     */
+    hasStoredToken() {
+        return Boolean(this.lockedToken() || this.legacyToken());
+    },
+
+    /**
+     * Whether a stored token still needs the PIN this session
+     * @returns {boolean}
+     */
+    isLocked() {
+        return !this.token && this.hasStoredToken();
+    },
+
     /**
-     * Get stored token from localStorage
-     * @returns {string|null} The stored token or null
+     * Get the unlocked token
+     * @returns {string|null} The token, or null while locked
      */
     getToken() {
-        const config = getConfig();
-        if (config.token) {
-            return config.token;
+        return this.token;
+    },
+
+    /**
+     * Get the token, asking for the PIN (or a new token) through credentialsProvider when locked
+     * @returns {Promise<string>}
+     */
+    async requireToken() {
+        if (this.token) return this.token;
+        if (!this.pendingUnlock) {
+            this.pendingUnlock = this.unlock().finally(() => {
+                this.pendingUnlock = null;
+            });
         }
-        return localStorage.getItem(CONFIG.storage.authKey);
+        return await this.pendingUnlock;
     },
 
+    /**
+     * Ask for credentials until the token is unlocked (see credentialsProvider)
+     * @returns {Promise<string>}
+     */
+    async unlock() {
+        const locked = this.lockedToken();
+        const legacy = locked ? null : this.legacyToken();
+        const mode = locked ? 'unlock' : legacy ? 'migrate' : 'setup';
+
+        for (let retry = false; ; retry = true) {
+            const answer = this.credentialsProvider ? await this.credentialsProvider({ mode, retry }) : null;
+            if (!answer) {
+                throw new Error('GitHub token is locked. Enter your PIN, or save a token in Configuration.');
+            }
+
+            if (mode !== 'unlock') {
+                await this.setToken(answer.token || legacy, answer.pin);
+                return this.token;
+            }
+            try {
+                this.token = await Encryption.unseal(locked, answer.pin);
+                this.lastActivity = Date.now();
+                return this.token;
+            } catch (error) {
+                if (!error.wrongPassphrase) throw error;
+            }
+        }
+    },
 
     /**
-     * Store token in localStorage
+     * Lock the token with a PIN and store it, replacing any earlier token
      * @param {string} token - The GitHub Personal Access Token
+     * @param {string} pin - PIN or passphrase that unlocks it
+     * @returns {Promise<void>}
      */
-    setToken(token) {
-        if (!token || typeof token !== 'string') {
-            throw new Error('Invalid token');
-        }
-        const trimmed = token.trim();
-        if (trimmed.length < 10) {
-            throw new Error('Token appears to be invalid (too short)');
-        }
-        localStorage.setItem(CONFIG.storage.authKey, trimmed);
+    async setToken(token, pin) {
+        const trimmed = validateToken(token);
+        validatePin(pin);
+
+        const sealed = await Encryption.seal(trimmed, pin);
+        localStorage.setItem(CONFIG.storage.authKey, JSON.stringify(sealed));
+        this.clearLegacyToken();
+        this.token = trimmed;
+        this.lastActivity = Date.now();
     },
 
     /**
-     * Remove token from localStorage
+     * Remove the plain-text copies earlier versions kept
      */
-    clearToken() {
-        localStorage.removeItem(CONFIG.storage.authKey);
+    clearLegacyToken() {
+        localStorage.removeItem(LEGACY_TOKEN_KEY);
+        clearSavedToken();
     },
 
     /**
-     * Check if user is authenticated
-     * @returns {boolean} True if token exists
+     * Forget the token in memory; the next GitHub request asks for the PIN again
      */
-    isAuthenticated() {
-        return !!this.getToken();
+    lock() {
+        if (!this.token) return;
+        this.token = null;
+        window.dispatchEvent(new CustomEvent('authLocked'));
     },
 
     /**
-     * Get token from user if not stored
-     * @returns {string|null}
+     * Remove every credential from this device: the locked token and any plain-text copy
+     */
+    forgetDevice() {
+        this.token = null;
+        localStorage.removeItem(CONFIG.storage.authKey);
+        this.clearLegacyToken();
+    },
+
+    /**
+     * Lock after a period without user activity (per-device override in the Configuration panel)
+     * @param {Function} beforeLock - async () → void, e.g. save waiting changes while the token is still there
      */
-    promptForToken() {
-        const token = prompt(
-            'Please enter your GitHub Personal Access Token:\n\n' +
-            '1. Go to https://github.com/settings/tokens\n' +
-            '2. Generate new token (classic) with "repo" scope\n' +
-            '3. Copy and paste it here'
-        );
-
-        if (token && token.trim()) {
+    lockWhenIdle(beforeLock) {
+        const minutes = getConfig().autoLockMinutes ?? CONFIG.auth.autoLockMinutes;
+        if (this.idleTimer || !(minutes > 0)) return;
+
+        const touch = () => {
+            this.lastActivity = Date.now();
+        };
+        ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, touch, { passive: true }));
+
+        this.idleTimer = setInterval(async () => {
+            if (!this.token || Date.now() - this.lastActivity < minutes * 60000) return;
             try {
-                this.setToken(token.trim());
-                return token.trim();
+                await beforeLock?.();
             } catch (error) {
-                alert('Invalid token: ' + error.message);
-                return null;
+                console.error('Error before locking:', error);
             }
-        }
-        return null;
+            // Activity while the changes were saved keeps the session open
+            if (Date.now() - this.lastActivity >= minutes * 60000) this.lock();
+        }, CONFIG.auth.idleCheckSeconds * 1000);
     }
 };
@@ -0,0 +1,164 @@
+// Backup Dialog
+// Export / Import actions in the Configuration panel and the restore preview
+
+import { Backup } from './backup.js';
+import { Storage } from './storage.js';
+import { showToast, showLoading } from './app.js';
+
+/**
+ * Readable name of a document target
+ * @param {string} target - 'exercises', 'templates' or a month key (YYYY-MM)
+ * @returns {string}
+ */
+function describeTarget(target) {
+    if (target === 'exercises') return 'Exercises';
+    if (target === 'templates') return 'Session templates';
+    return `Workouts ${target}`;
+}
+
+export const BackupDialog = {
+    // Documents of the backup being previewed
+    documents: null,
+
+    /**
+     * Wire the Export / Import buttons and the restore modal
+     */
+    init() {
+        const exportBtn = document.getElementById('backupExportBtn');
+        const importBtn = document.getElementById('backupImportBtn');
+        const fileInput = document.getElementById('backupFileInput');
+        if (!exportBtn || !importBtn || !fileInput) return;
+
+        exportBtn.addEventListener('click', () => this.handleExport());
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (file) this.handleFile(file);
+        });
+
+        document.querySelectorAll('input[name="backupMode"]').forEach(input => {
+            input.addEventListener('change', () => this.renderPreview());
+        });
+        document.getElementById('backupApplyBtn').addEventListener('click', () => this.handleRestore());
+        document.getElementById('backupCancelBtn').addEventListener('click', () => this.close());
+
+        const modal = document.getElementById('backupModal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+    },
+
+    /**
+     * Download a backup of the active backend
+     */
+    async handleExport() {
+        showLoading(true);
+        try {
+            const archive = await Backup.download();
+            const sets = Object.values(archive.workouts).reduce((total, workouts) => total + workouts.length, 0);
+            showToast(`Backup downloaded: ${archive.exercises.length} exercises, ${sets} sets`, 'success');
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            showToast(`Backup failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    /**
+     * Validate a chosen backup file and open the preview
+     * @param {File} file
+     */
+    async handleFile(file) {
+        try {
+            this.documents = Backup.parse(await file.text());
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+
+        const { exportedAt, source } = this.documents;
+        const from = [
+            exportedAt ? new Date(exportedAt).toLocaleString() : null,
+            source ? `${source} mode` : null
+        ].filter(Boolean).join(', ');
+        document.getElementById('backupSource').textContent = `${file.name}${from ? ` (${from})` : ''}`;
+        document.querySelector('input[name="backupMode"][value="merge"]').checked = true;
+
+        document.getElementById('backupModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+        await this.renderPreview();
+    },
+
+    /**
+     * Selected restore mode
+     * @returns {string} 'merge' | 'replace'
+     */
+    getMode() {
+        return document.querySelector('input[name="backupMode"]:checked').value;
+    },
+
+    /**
+     * Show what restoring in the selected mode would change
+     */
+    async renderPreview() {
+        const list = document.getElementById('backupPreview');
+        const applyBtn = document.getElementById('backupApplyBtn');
+        applyBtn.disabled = true;
+        list.textContent = 'Comparing with stored data...';
+
+        let plan;
+        try {
+            plan = await Storage.planRestore(this.documents, this.getMode());
+        } catch (error) {
+            console.error('Error previewing backup:', error);
+            list.textContent = `Could not read stored data: ${error.message}`;
+            return;
+        }
+
+        if (plan.length === 0) {
+            list.textContent = 'Nothing to change - stored data already matches this backup.';
+            return;
+        }
+
+        list.replaceChildren(...plan.map(({ change, added, updated, removed }) => {
+            const row = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = describeTarget(change.target);
+            const counts = document.createElement('span');
+            counts.className = 'backup-counts';
+            counts.textContent = [
+                added ? `${added} new` : null,
+                updated ? `${updated} updated` : null,
+                removed ? `${removed} removed` : null
+            ].filter(Boolean).join(' · ');
+            row.append(name, counts);
+            return row;
+        }));
+        applyBtn.disabled = false;
+    },
+
+    /**
+     * Restore the previewed backup
+     */
+    async handleRestore() {
+        const mode = this.getMode();
+        showLoading(true);
+        try {
+            const plan = await Storage.restoreBackup(this.documents, mode);
+            this.close();
+            showToast(`Backup restored (${plan.length} file${plan.length === 1 ? '' : 's'} updated)`, 'success');
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            showToast(`Restore failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    close() {
+        document.getElementById('backupModal').style.display = 'none';
+        this.documents = null;
+    }
+};
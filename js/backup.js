@@ -0,0 +1,162 @@
+// Backup
+// Versioned JSON archive of everything stored (exercises, templates, all months) for export and restore
+
+import { Storage } from './storage.js';
+import { Migrations, SCHEMA_VERSION } from './migrations.js';
+import { formatDate, downloadFile } from './utils.js';
+
+const BACKUP_FORMAT = 'progressive-overload-backup';
+
+// Bump when the archive layout changes; validate() refuses archives newer than this
+const BACKUP_VERSION = 1;
+
+// Problems listed before the rest are summarized
+const MAX_REPORTED_PROBLEMS = 5;
+
+/**
+ * Check that a value is a list of records with an id and the given fields
+ * @param {any} list
+ * @param {string} label - Name used in problem messages
+ * @param {object} fields - Field name → expected typeof
+ * @param {array} problems - Collects problem messages
+ */
+function checkRecords(list, label, fields, problems) {
+    if (!Array.isArray(list)) {
+        problems.push(`${label} must be a list`);
+        return;
+    }
+
+    const ids = new Set();
+    list.forEach((record, i) => {
+        if (!record || typeof record !== 'object') {
+            problems.push(`${label} #${i + 1} is not an object`);
+            return;
+        }
+        if (typeof record.id !== 'string' || !record.id) {
+            problems.push(`${label} #${i + 1} has no id`);
+        } else if (ids.has(record.id)) {
+            problems.push(`${label} #${i + 1} repeats id ${record.id}`);
+        } else {
+            ids.add(record.id);
+        }
+        Object.entries(fields).forEach(([field, type]) => {
+            if (typeof record[field] !== type) {
+                problems.push(`${label} #${i + 1} has an invalid ${field}`);
+            }
+        });
+    });
+}
+
+export const Backup = {
+    /**
+     * Build an archive of the active backend's data
+     * @returns {Promise<object>}
+     */
+    async create() {
+        const { exercises, templates, months } = await Storage.exportDocuments();
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            source: Storage.adapter.name,
+            exercises,
+            templates,
+            workouts: months
+        };
+    },
+
+    /**
+     * Build an archive and save it as a JSON file
+     * @returns {Promise<object>} The archive
+     */
+    async download() {
+        const archive = await this.create();
+        downloadFile(`progressive-overload-backup-${formatDate(new Date())}.json`,
+            JSON.stringify(archive, null, 2), 'application/json');
+        return archive;
+    },
+
+    /**
+     * Parse and validate an archive file's text
+     * @param {string} text
+     * @returns {object} See validate()
+     */
+    parse(text) {
+        let archive;
+        try {
+            archive = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        return this.validate(archive);
+    },
+
+    /**
+     * Validate an archive and return its documents, upgraded to the current data schema
+     * @param {object} archive
+     * @returns {{exportedAt: string|null, source: string|null, exercises: array, templates: array, months: object}}
+     */
+    validate(archive) {
+        if (!archive || archive.format !== BACKUP_FORMAT) {
+            throw new Error('The file is not a Progressive Overload backup');
+        }
+        if (!Number.isInteger(archive.version) || archive.version < 1) {
+            throw new Error('The backup has no valid version');
+        }
+        if (archive.version > BACKUP_VERSION) {
+            throw new Error(`The backup was made by a newer version of the app (format ${archive.version}); update the app first`);
+        }
+        const schemaVersion = archive.schemaVersion || 0;
+        if (schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`The backup was made by a newer version of the app (data schema ${schemaVersion}); update the app first`);
+        }
+
+        const problems = [];
+        checkRecords(archive.exercises, 'Exercise', { name: 'string' }, problems);
+        checkRecords(archive.templates, 'Template', { name: 'string' }, problems);
+
+        const months = archive.workouts;
+        if (!months || typeof months !== 'object' || Array.isArray(months)) {
+            problems.push('Workouts must be grouped by month');
+        } else {
+            Object.entries(months).forEach(([monthKey, workouts]) => {
+                if (!/^\d{4}-\d{2}$/.test(monthKey)) {
+                    problems.push(`Workout month ${monthKey} is not YYYY-MM`);
+                    return;
+                }
+                const label = `Set in ${monthKey}`;
+                checkRecords(workouts, label, { exerciseId: 'string', date: 'string', reps: 'number' }, problems);
+                if (Array.isArray(workouts)) {
+                    workouts.forEach((w, i) => {
+                        if (typeof w?.date === 'string' && !w.date.startsWith(`${monthKey}-`)) {
+                            problems.push(`${label} #${i + 1} is dated ${w.date}`);
+                        }
+                    });
+                }
+            });
+        }
+
+        if (problems.length > 0) {
+            const more = problems.length - MAX_REPORTED_PROBLEMS;
+            const listed = problems.slice(0, MAX_REPORTED_PROBLEMS).join('; ');
+            throw new Error(`The backup is damaged: ${listed}${more > 0 ? ` (and ${more} more)` : ''}`);
+        }
+
+        // Older backups are upgraded the same way stored data is
+        const documents = new Map(structuredClone([
+            ['exercises', archive.exercises],
+            ['templates', archive.templates],
+            ...Object.entries(months)
+        ]));
+        Migrations.apply(documents, schemaVersion);
+
+        return {
+            exportedAt: archive.exportedAt || null,
+            source: archive.source || null,
+            exercises: documents.get('exercises'),
+            templates: documents.get('templates'),
+            months: Object.fromEntries(Object.keys(months).map(monthKey => [monthKey, documents.get(monthKey)]))
+        };
+    }
+};
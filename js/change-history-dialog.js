@@ -0,0 +1,195 @@
+// Change History Dialog
+// "History" in the Configuration panel: recent saves of the data, what each changed, and revert
+
+import { ChangeHistory } from './change-history.js';
+import { Storage } from './storage.js';
+import { showToast, showLoading } from './app.js';
+
+export const ChangeHistoryDialog = {
+    // Saves listed, newest first (see Storage.listChangeHistory)
+    commits: [],
+
+    // Selected save with its revert plan, null until loaded
+    changeSet: null,
+    plan: null,
+
+    // Bumped on every selection so a slow load cannot overwrite a newer one
+    loadToken: 0,
+
+    /**
+     * Wire the History button and the modal
+     */
+    init() {
+        const historyBtn = document.getElementById('changeHistoryBtn');
+        if (!historyBtn) return;
+
+        historyBtn.addEventListener('click', () => this.open());
+        document.getElementById('changeHistoryRevertBtn').addEventListener('click', () => this.handleRevert());
+        document.getElementById('changeHistoryCloseBtn').addEventListener('click', () => this.close());
+
+        const modal = document.getElementById('changeHistoryModal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+    },
+
+    /**
+     * List recent saves
+     */
+    async open() {
+        if (!Storage.hasChangeHistory()) {
+            showToast('Change history is only available in GitHub mode', 'info');
+            return;
+        }
+
+        showLoading(true);
+        try {
+            await this.loadCommits();
+        } catch (error) {
+            console.error('Error loading change history:', error);
+            showToast(`Could not load change history: ${error.message}`, 'error');
+            return;
+        } finally {
+            showLoading(false);
+        }
+
+        document.getElementById('changeHistoryModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Fetch the saves and show them with nothing selected
+     */
+    async loadCommits() {
+        this.commits = await Storage.listChangeHistory();
+        this.loadToken++;
+        this.changeSet = null;
+        this.plan = null;
+
+        document.getElementById('changeHistorySummary').textContent = this.commits.length === 0
+            ? 'No saves yet.'
+            : `Last ${this.commits.length} save${this.commits.length === 1 ? '' : 's'}. Choose one to see what it changed.`;
+        document.getElementById('changeHistoryCommits').replaceChildren(...this.commits.map(commit => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'change-history-commit';
+            button.dataset.id = commit.id;
+            const subject = document.createElement('span');
+            subject.className = 'change-history-subject';
+            subject.textContent = commit.message.split('\n')[0];
+            const meta = document.createElement('span');
+            meta.className = 'change-history-meta';
+            meta.textContent = [
+                commit.date ? new Date(commit.date).toLocaleString() : null,
+                commit.author,
+                commit.id.slice(0, 7)
+            ].filter(Boolean).join(' · ');
+            button.append(subject, meta);
+            button.addEventListener('click', () => this.select(commit.id));
+            item.appendChild(button);
+            return item;
+        }));
+        this.renderDetail();
+    },
+
+    /**
+     * Load what a save changed and whether it can still be undone
+     * @param {string} id - Commit SHA
+     */
+    async select(id) {
+        const token = ++this.loadToken;
+        this.changeSet = null;
+        this.plan = null;
+        document.querySelectorAll('#changeHistoryCommits .change-history-commit').forEach(button => {
+            button.classList.toggle('selected', button.dataset.id === id);
+        });
+        this.renderDetail('Loading changes...');
+
+        let changeSet;
+        let plan;
+        try {
+            changeSet = await Storage.loadChangeSet(id);
+            plan = await Storage.planRevert(changeSet);
+        } catch (error) {
+            if (token === this.loadToken) this.renderDetail(`Could not load this save: ${error.message}`);
+            return;
+        }
+        if (token !== this.loadToken) return;
+
+        this.changeSet = changeSet;
+        this.plan = plan;
+        this.renderDetail();
+    },
+
+    /**
+     * Show the changes of the selected save, or a status message
+     * @param {string|null} status - Shown instead of the changes (while loading, on errors)
+     */
+    renderDetail(status = null) {
+        const detail = document.getElementById('changeHistoryDetail');
+        const records = document.getElementById('changeHistoryRecords');
+        const note = document.getElementById('changeHistoryNote');
+        document.getElementById('changeHistoryRevertBtn').disabled = !this.plan || this.plan.changes.length === 0;
+
+        if (!this.changeSet) {
+            detail.hidden = !status;
+            records.replaceChildren();
+            note.textContent = status || '';
+            return;
+        }
+
+        const lines = ChangeHistory.describe(this.changeSet);
+        const renumbered = lines.filter(line => line.minor).length;
+        const items = lines.filter(line => !line.minor).map(line => {
+            const item = document.createElement('li');
+            item.textContent = line.text;
+            return item;
+        });
+        if (renumbered > 0) {
+            const item = document.createElement('li');
+            item.className = 'change-history-minor';
+            item.textContent = `${renumbered} other set${renumbered === 1 ? '' : 's'} renumbered`;
+            items.push(item);
+        }
+        records.replaceChildren(...items);
+
+        const { conflicts } = this.plan;
+        if (lines.length === 0) {
+            note.textContent = 'No exercises, templates or sets changed in this save.';
+        } else if (conflicts.length === lines.length) {
+            note.textContent = 'Everything here has changed since, so this save cannot be reverted.';
+        } else if (conflicts.length > 0) {
+            note.textContent = `${conflicts.length} record${conflicts.length === 1 ? ' has' : 's have'} changed since and will be kept as ${conflicts.length === 1 ? 'it is' : 'they are'}.`;
+        } else {
+            note.textContent = 'Revert undoes these changes in a new save.';
+        }
+        detail.hidden = false;
+    },
+
+    /**
+     * Undo the selected save and refresh the list
+     */
+    async handleRevert() {
+        if (!this.plan || this.plan.changes.length === 0) return;
+
+        showLoading(true);
+        try {
+            const plan = await Storage.revertChangeSet(this.changeSet);
+            showToast(`Reverted ${plan.records.length} change${plan.records.length === 1 ? '' : 's'}`, 'success');
+            await this.loadCommits();
+        } catch (error) {
+            console.error('Error reverting save:', error);
+            showToast(`Revert failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    close() {
+        document.getElementById('changeHistoryModal').style.display = 'none';
+        this.loadToken++;
+        this.changeSet = null;
+        this.plan = null;
+    }
+};
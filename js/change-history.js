@@ -0,0 +1,107 @@
+// Change History
+// Describes what a past save changed, one line per record ("Bench Press set 2: 8×80 → 8×82.5")
+
+import { Storage } from './storage.js';
+import { fingerprint } from './merge.js';
+
+/**
+ * "8×80" for weighted sets, "8 reps" otherwise
+ * @param {object} workout
+ * @returns {string}
+ */
+function formatSet(workout) {
+    return workout.weight ? `${workout.reps}×${workout.weight}` : `${workout.reps} reps`;
+}
+
+/**
+ * Position of a set among the sets of its exercise on its day (1-based)
+ * @param {object} workout
+ * @param {array} workouts - The month file holding it
+ * @returns {number}
+ */
+function setNumber(workout, workouts) {
+    return workouts
+        .filter(w => w.date === workout.date && w.exerciseId === workout.exerciseId)
+        .sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+        .findIndex(w => w.id === workout.id) + 1;
+}
+
+export const ChangeHistory = {
+    /**
+     * One line per changed record, sets first in day order, then exercises and templates.
+     * Lines marked minor only renumber a set (the day's other sets moved around it).
+     * @param {object} changeSet - From Storage.loadChangeSet()
+     * @returns {array} [{target, id, text, minor}]
+     */
+    describe(changeSet) {
+        const documents = new Map(changeSet.documents.map(doc => [doc.target, doc]));
+        const knownExercises = [
+            ...(documents.get('exercises')?.after || []),
+            ...(documents.get('exercises')?.before || [])
+        ];
+        const exerciseName = id => Storage.getExerciseById(id)?.name
+            || knownExercises.find(ex => ex.id === id)?.name
+            || 'Unknown exercise';
+
+        const lines = changeSet.records.map(({ target, id, before, after }) => {
+            const text = target === 'exercises' || target === 'templates'
+                ? this.describeItem(target === 'exercises' ? 'exercise' : 'template', before, after)
+                : this.describeSet(before, after, documents.get(target), exerciseName);
+            const minor = Boolean(before && after && 'date' in after)
+                && fingerprint(before, ['sequence']) === fingerprint(after, ['sequence']);
+            const record = after || before;
+            const sortKey = 'date' in record ? `0 ${record.date} ${String(record.sequence || 0).padStart(4, '0')}` : `1 ${target}`;
+            return { target, id, text, minor, sortKey };
+        });
+
+        return lines
+            .sort((a, b) => a.sortKey.localeCompare(b.sortKey))
+            .map(({ sortKey, ...line }) => line);
+    },
+
+    /**
+     * Describe a change to a set
+     * @param {object|null} before
+     * @param {object|null} after
+     * @param {object} document - {before, after} items of its month file
+     * @param {Function} exerciseName - Exercise id → name
+     * @returns {string}
+     */
+    describeSet(before, after, document, exerciseName) {
+        const workout = after || before;
+        const number = setNumber(workout, (after ? document.after : document.before) || []);
+        const name = `${exerciseName(workout.exerciseId)} set ${number} (${workout.date})`;
+
+        if (!before) return `${name}: added ${formatSet(after)}`;
+        if (!after) return `${name}: deleted ${formatSet(before)}`;
+
+        const parts = [];
+        if (before.exerciseId !== after.exerciseId) {
+            parts.push(`exercise ${exerciseName(before.exerciseId)} → ${exerciseName(after.exerciseId)}`);
+        }
+        if (formatSet(before) !== formatSet(after)) {
+            parts.push(`${formatSet(before)} → ${formatSet(after)}`);
+        }
+        if (before.date !== after.date) {
+            parts.push(`moved from ${before.date}`);
+        }
+        if (parts.length === 0 && before.sequence !== after.sequence) {
+            parts.push(`position ${before.sequence} → ${after.sequence}`);
+        }
+        return `${name}: ${parts.length > 0 ? parts.join(', ') : 'edited'}`;
+    },
+
+    /**
+     * Describe a change to an exercise or template
+     * @param {string} noun - 'exercise' or 'template'
+     * @param {object|null} before
+     * @param {object|null} after
+     * @returns {string}
+     */
+    describeItem(noun, before, after) {
+        if (!before) return `${noun} '${after.name}' added`;
+        if (!after) return `${noun} '${before.name}' deleted`;
+        if (before.name !== after.name) return `${noun} '${before.name}' renamed to '${after.name}'`;
+        return `${noun} '${after.name}' edited`;
+    }
+};
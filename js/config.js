@@ -1,6 +1,10 @@
 // Configuration Constants
 // Central location for application configuration
 
+import { IDB } from './idb.js';
+import { Auth } from './auth.js';
+import { GitHubSetup } from './github-setup.js';
+
 export const CONFIG = {
     // ═══════════════════════════════════════════════════════════════
     // DEVELOPMENT MODE
@@ -15,23 +19,82 @@ export const CONFIG = {
         window.location.protocol === 'file:',
 
     // GitHub Configuration
+    // branch, dataRoot and monthFilePattern are defaults for the repository layout;
+    // each can be overridden per device in the Configuration panel (see dataPaths()).
     github: {
         apiUrl: 'https://api.github.com',
         owner: 'MinoPlay',
         repo: 'ProgressiveOverload',
-        branch: 'main'
+        branch: null,           // null: the repository's default branch
+        dataRoot: 'data',       // folder holding the data files, '' for the repository root
+        monthFilePattern: 'workouts-{YYYY}-{MM}.json'
     },
 
     // Storage Keys
     storage: {
-        authKey: 'github_pat'
+        // GitHub token, encrypted with the user's PIN (see Auth)
+        authKey: 'github_token_locked'
+    },
+
+    // Token lock (GitHub mode): the token is unlocked with a PIN once per session and
+    // locked again after this many minutes without activity; 0 never locks.
+    // Can be overridden per device in the Configuration panel.
+    auth: {
+        minPinLength: 4,
+        autoLockMinutes: 15,
+        idleCheckSeconds: 30
+    },
+
+    // Write coalescing (GitHub mode): changes to the same file are saved as one commit
+    // once no further change arrived for this many seconds; 0 commits every change.
+    // Can be overridden per device in the Configuration panel.
+    // Changes saved by other devices are looked for every pollSeconds while the app is
+    // visible and whenever it is shown or focused again; 0 turns the check off.
+    sync: {
+        commitWindowSeconds: 180,
+        pollSeconds: 60
+    },
+
+    // Deleted sets, days and templates kept for restore (per device)
+    trash: {
+        retentionDays: 30,
+        maxEntries: 200
+    },
+
+    // End-to-end encryption (GitHub mode): PBKDF2 rounds for newly chosen passphrases
+    // (the key-check file records the count used, so raising it never locks anyone out)
+    encryption: {
+        iterations: 310000,
+        minPassphraseLength: 8
+    },
+
+    // GitHub request scheduler: requests in flight, retries of failed requests (server
+    // errors, network errors, secondary rate limits) and how the hourly budget is spent.
+    // Below reserveBudget remaining requests, reads are spread over the rest of the hour.
+    requests: {
+        maxConcurrent: 4,
+        maxRetries: 3,
+        retryBaseMs: 1000,
+        secondaryLimitWaitSeconds: 60,
+        maxWaitSeconds: 120,
+        lowBudget: 500,
+        reserveBudget: 100
+    },
+
+    // Change history (GitHub mode): commits listed per page
+    history: {
+        pageSize: 30
     },
 
-    // File Paths
+    // File Paths (default layout; replaced by the configured one, see applyDataLayout())
     paths: {
+        root: 'data',
         exercises: 'data/exercises.json',
-        workoutsPrefix: 'data/workouts-',
-        sessionTemplates: 'data/session-templates.json'
+        monthFile: 'data/workouts-{YYYY}-{MM}.json',
+        sessionTemplates: 'data/session-templates.json',
+        index: 'data/index.json',
+        meta: 'data/meta.json',
+        keyCheck: 'data/keycheck.json'
     },
 
     // UI Limits
@@ -48,6 +111,7 @@ export const CONFIG = {
     // Toast Settings
     toast: {
         duration: 4000,
+        actionDuration: 8000,
         fadeOutDuration: 300
     },
 
@@ -83,7 +147,10 @@ export const CONFIG = {
         machines: { label: 'Machines', requiresWeight: true },
         bodyweight: { label: 'Bodyweight', requiresWeight: false },
         'bodyweight+': { label: 'Bodyweight+', requiresWeight: true }
-    }
+    },
+
+    // Target muscles an exercise can be tagged with
+    muscles: ['chest', 'back', 'shoulders', 'legs', 'biceps', 'triceps', 'core', 'neck']
 };
 
 // ═══════════════════════════════════════════════════════════════
@@ -95,11 +162,98 @@ const CONFIG_KEY = 'app_config';
 // Global config state
 let config = {
     mode: 'local',
-    token: '',
     owner: '',
     repo: ''
 };
 
+// ═══════════════════════════════════════════════════════════════
+// REPOSITORY LAYOUT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Repository layout of a configuration, defaults filled in
+ * @param {object} settings - User configuration (or form values)
+ * @returns {{branch: string|null, dataRoot: string, monthFilePattern: string}}
+ */
+export function dataLayout(settings = getConfig()) {
+    return {
+        branch: settings.branch || CONFIG.github.branch,
+        dataRoot: settings.dataRoot ?? CONFIG.github.dataRoot,
+        monthFilePattern: settings.monthFilePattern || CONFIG.github.monthFilePattern
+    };
+}
+
+/**
+ * File paths of a repository layout
+ * @param {object} layout - {dataRoot, monthFilePattern}
+ * @returns {object} Same shape as CONFIG.paths
+ */
+export function dataPaths({ dataRoot, monthFilePattern }) {
+    const prefix = dataRoot ? `${dataRoot}/` : '';
+    return {
+        root: dataRoot,
+        exercises: `${prefix}exercises.json`,
+        monthFile: `${prefix}${monthFilePattern}`,
+        sessionTemplates: `${prefix}session-templates.json`,
+        index: `${prefix}index.json`,
+        meta: `${prefix}meta.json`,
+        keyCheck: `${prefix}keycheck.json`
+    };
+}
+
+/**
+ * Check repository layout settings entered in the Configuration panel
+ * @param {object} layout - {branch, dataRoot, monthFilePattern}
+ * @returns {string|null} What is wrong, or null
+ */
+export function validateDataLayout({ branch, dataRoot, monthFilePattern }) {
+    if (branch && (!/^[\w.\-/]+$/.test(branch) || /(^[-/.])|\/\/|\.\.|[/.]$|\.lock$/.test(branch))) {
+        return `'${branch}' is not a valid branch name`;
+    }
+    if (dataRoot && dataRoot.split('/').some(segment => !/^[\w.-]+$/.test(segment) || segment === '.' || segment === '..')) {
+        return 'The data folder may only contain letters, digits, - _ . and / between folder names';
+    }
+    const rest = monthFilePattern.replace('{YYYY}', '').replace('{MM}', '');
+    if (!/^[\w.-]+$/.test(rest) || rest.includes('{') || !monthFilePattern.endsWith('.json')
+        || !monthFilePattern.includes('{YYYY}') || !monthFilePattern.includes('{MM}')) {
+        return 'The month file pattern must be a .json file name containing {YYYY} and {MM} once each';
+    }
+    return null;
+}
+
+/**
+ * Use the configured layout for CONFIG.paths (the layout only changes with a reload)
+ */
+function applyDataLayout() {
+    CONFIG.paths = dataPaths(dataLayout());
+}
+
+/**
+ * Path of the workout file of a month
+ * @param {string} monthKey - YYYY-MM
+ * @param {object} paths - Layout paths (defaults to the configured ones)
+ * @returns {string} e.g. 'data/workouts-2026-01.json'
+ */
+export function monthFilePath(monthKey, paths = CONFIG.paths) {
+    const [year, month] = monthKey.split('-');
+    return paths.monthFile.replace('{YYYY}', year).replace('{MM}', month);
+}
+
+/**
+ * Month of a workout file path
+ * @param {string} path
+ * @param {object} paths - Layout paths (defaults to the configured ones)
+ * @returns {string|null} YYYY-MM, or null if the path is not a workout file
+ */
+export function monthKeyOfPath(path, paths = CONFIG.paths) {
+    const pattern = paths.monthFile
+        .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+        .replace('{YYYY}', '(?<year>\\d{4})')
+        .replace('{MM}', '(?<month>\\d{2})');
+    const match = path.match(new RegExp(`^${pattern}$`));
+    return match ? `${match.groups.year}-${match.groups.month}` : null;
+}
+
 /**
  * Load configuration from localStorage
  */
@@ -107,35 +261,169 @@ export function loadConfig() {
     const saved = localStorage.getItem(CONFIG_KEY);
     if (saved) {
         config = JSON.parse(saved);
-        const tokenEl = document.getElementById('github-token');
         const ownerEl = document.getElementById('repo-owner');
         const repoEl  = document.getElementById('repo-name');
-        if (tokenEl) tokenEl.value = config.token || '';
+        const windowEl = document.getElementById('commit-window');
+        const lockEl = document.getElementById('auto-lock');
+        const branchEl = document.getElementById('repo-branch');
+        const rootEl = document.getElementById('data-root');
+        const patternEl = document.getElementById('month-pattern');
         if (ownerEl) ownerEl.value = config.owner || '';
         if (repoEl)  repoEl.value  = config.repo  || '';
+        if (branchEl) branchEl.value = config.branch || '';
+        if (rootEl) rootEl.value = config.dataRoot === '' ? '/' : config.dataRoot ?? '';
+        if (patternEl) patternEl.value = config.monthFilePattern || '';
+        if (windowEl) windowEl.value = config.commitWindow ?? '';
+        if (lockEl) lockEl.value = config.autoLockMinutes ?? '';
         config.mode = config.mode || 'local';
     } else {
         config.mode = 'local';
     }
+    applyDataLayout();
+
+    // The token itself is never shown, only whether one is saved
+    const tokenEl = document.getElementById('github-token');
+    if (tokenEl) tokenEl.placeholder = Auth.hasStoredToken() ? 'GitHub Token (saved, locked)' : 'GitHub Token';
 
     // Update UI to reflect current mode
     updateModeUI();
 }
 
+/**
+ * Replace the saved configuration
+ * @param {object} next - Configuration to store
+ */
+export function saveUserConfig(next) {
+    config = { ...next };
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+}
+
+/**
+ * Remove the plain-text token earlier versions kept in the configuration
+ */
+export function clearSavedToken() {
+    delete config.token;
+    const saved = localStorage.getItem(CONFIG_KEY);
+    if (!saved) return;
+    const stored = JSON.parse(saved);
+    if (!('token' in stored)) return;
+    delete stored.token;
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(stored));
+}
+
+/**
+ * Read the branch, data folder and month file pattern from the Configuration panel
+ * @param {object} target - Configuration to update (blank fields remove the override)
+ * @returns {string|null} Validation error, or null
+ */
+export function readLayoutForm(target) {
+    const branch = document.getElementById('repo-branch').value.trim();
+    const rootInput = document.getElementById('data-root').value.trim();
+    const monthFilePattern = document.getElementById('month-pattern').value.trim();
+
+    // '/' stands for the repository root; other slashes at the ends are dropped
+    const dataRoot = rootInput === '' ? undefined : rootInput.replace(/^\/+|\/+$/g, '');
+
+    const error = validateDataLayout(dataLayout({ branch, dataRoot, monthFilePattern }));
+    if (error) return error;
+
+    ['branch', 'dataRoot', 'monthFilePattern'].forEach(key => delete target[key]);
+    if (branch) target.branch = branch;
+    if (dataRoot !== undefined) target.dataRoot = dataRoot;
+    if (monthFilePattern) target.monthFilePattern = monthFilePattern;
+    return null;
+}
+
 /**
  * Save configuration to localStorage
  */
-window.saveConfig = function () {
-    config.token = document.getElementById('github-token').value.trim();
+window.saveConfig = async function () {
+    // A blank token field keeps the saved token (an old plain-text one gets locked with the PIN)
+    const token = document.getElementById('github-token').value.trim() || (Auth.lockedToken() ? '' : Auth.legacyToken());
+    const pin = document.getElementById('github-pin').value;
     config.owner = document.getElementById('repo-owner').value.trim();
     config.repo = document.getElementById('repo-name').value.trim();
 
-    if (!config.token || !config.owner || !config.repo) {
+    if ((!token && !Auth.hasStoredToken()) || !config.owner || !config.repo) {
         showStatus('Please fill in all configuration fields', 'error');
         return;
     }
 
-    localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+    // Optional: empty keeps the default repository layout
+    const layoutError = readLayoutForm(config);
+    if (layoutError) {
+        showStatus(layoutError, 'error');
+        return;
+    }
+
+    // Optional: empty keeps the default commit window
+    const commitWindow = document.getElementById('commit-window').value.trim();
+    if (commitWindow === '') {
+        delete config.commitWindow;
+    } else {
+        const seconds = parseInt(commitWindow, 10);
+        if (!Number.isFinite(seconds) || seconds < 0) {
+            showStatus('Commit window must be a number of seconds (0 or more)', 'error');
+            return;
+        }
+        config.commitWindow = seconds;
+    }
+
+    // Optional: empty keeps the default auto-lock
+    const autoLock = document.getElementById('auto-lock').value.trim();
+    if (autoLock === '') {
+        delete config.autoLockMinutes;
+    } else {
+        const minutes = parseInt(autoLock, 10);
+        if (!Number.isFinite(minutes) || minutes < 0) {
+            showStatus('Auto-lock must be a number of minutes (0 or more)', 'error');
+            return;
+        }
+        config.autoLockMinutes = minutes;
+    }
+
+    if (token && pin.length < CONFIG.auth.minPinLength) {
+        showStatus(`Choose a PIN of at least ${CONFIG.auth.minPinLength} characters to lock the token`, 'error');
+        return;
+    }
+
+    // Catch typos now rather than as 401/404 errors once the app loads
+    const testToken = token || Auth.getToken();
+    if (testToken) {
+        const credentials = { token: testToken, owner: config.owner, repo: config.repo, ...dataLayout(config) };
+        let report;
+        try {
+            report = await GitHubSetup.verify(credentials);
+        } catch (error) {
+            report = { ok: false, checks: [{ label: 'Connection', status: 'fail', detail: error.message }] };
+        }
+
+        const failed = report.checks.find(check => check.status === 'fail');
+        if (failed && !confirm(`Connection test failed. ${failed.label}: ${failed.detail}\n\nSave anyway?`)) {
+            return;
+        }
+        if (report.canBootstrap && confirm('The repository has no app data yet. Set it up with the default exercises now?')) {
+            try {
+                await GitHubSetup.bootstrap(credentials);
+            } catch (error) {
+                showStatus(`Setup failed: ${error.message}`, 'error');
+                return;
+            }
+        }
+    }
+
+    if (token) {
+        try {
+            await Auth.setToken(token, pin);
+        } catch (error) {
+            showStatus(error.message, 'error');
+            return;
+        }
+    }
+
+    saveUserConfig(config);
+    document.getElementById('github-token').value = '';
+    document.getElementById('github-pin').value = '';
     showStatus('Configuration saved! Reloading...', 'success');
 
     // Close the navigation dropdown
@@ -156,7 +444,7 @@ window.saveConfig = function () {
  * Check if GitHub configuration is complete
  */
 function isConfigured() {
-    return config.token && config.owner && config.repo;
+    return Auth.hasStoredToken() && config.owner && config.repo;
 }
 
 /**
@@ -164,9 +452,15 @@ function isConfigured() {
  */
 window.setMode = function (mode) {
     config.mode = mode;
-    localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+    saveUserConfig(config);
     updateModeUI();
     showStatus(`Switched to ${mode === 'local' ? 'Local' : 'GitHub'} mode`, 'success');
+
+    // Local mode needs no further setup — reload so the local backend takes over.
+    // GitHub mode reloads once the token/repo form is saved.
+    if (mode === 'local') {
+        setTimeout(() => location.reload(), 1000);
+    }
 };
 
 /**
@@ -190,6 +484,18 @@ function updateModeUI() {
     if (localHelp)     localHelp.style.display     = isLocal ? 'block' : 'none';
 }
 
+/**
+ * Remove the GitHub token from this device
+ */
+window.forgetDevice = function () {
+    if (!confirm('Remove the saved GitHub token from this device? You will need to enter a token again to use GitHub mode.')) {
+        return;
+    }
+    Auth.forgetDevice();
+    showStatus('Token removed from this device. Reloading...', 'success');
+    setTimeout(() => location.reload(), 1000);
+};
+
 /**
  * Generate dummy data for local testing
  */
@@ -203,9 +509,14 @@ window.generateDummyData = function () {
 /**
  * Clear all local data
  */
-window.clearLocalData = function () {
+window.clearLocalData = async function () {
     if (confirm('⚠️ This will delete ALL local data including exercises and workouts. Are you sure?')) {
         localStorage.clear();
+        try {
+            await IDB.deleteDatabase();
+        } catch (error) {
+            console.error('Error deleting local database:', error);
+        }
         showStatus('All local data cleared', 'success');
         setTimeout(() => location.reload(), 1000);
     }
@@ -230,3 +541,5 @@ function showStatus(message, type) {
         console.log(`[${type}] ${message}`);
     }
 }
+
+applyDataLayout();
@@ -0,0 +1,79 @@
+// Conflict Dialog
+// Asks which version to keep when a set was edited differently on two devices
+
+import { Storage } from './storage.js';
+
+/**
+ * Describe one version of a set
+ * @param {object|null} workout - null when that side deleted the set
+ * @returns {string}
+ */
+function describeSet(workout) {
+    if (!workout) return 'deleted';
+    const weight = workout.weight !== null && workout.weight !== undefined ? ` × ${workout.weight} kg` : '';
+    return `${workout.reps} reps${weight}`;
+}
+
+export const ConflictDialog = {
+    /**
+     * Show the conflicts and wait for the user's choice.
+     * Used as Storage.conflictResolver.
+     * @param {array} conflicts - {id, base, local, remote}
+     * @returns {Promise<array>} 'local' | 'remote' per conflict
+     */
+    open(conflicts) {
+        const modal = document.getElementById('conflictModal');
+        const list = document.getElementById('conflictList');
+        const applyBtn = document.getElementById('conflictApplyBtn');
+
+        list.replaceChildren(...conflicts.map((conflict, index) => this.renderConflict(conflict, index)));
+        modal.style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+
+        return new Promise(resolve => {
+            applyBtn.onclick = () => {
+                const choices = conflicts.map((_, index) =>
+                    list.querySelector(`input[name="conflict-${index}"]:checked`).value);
+                modal.style.display = 'none';
+                resolve(choices);
+            };
+        });
+    },
+
+    /**
+     * Build the choice for one conflicting set
+     * @param {object} conflict
+     * @param {number} index
+     * @returns {HTMLElement}
+     */
+    renderConflict(conflict, index) {
+        const workout = conflict.local || conflict.remote || conflict.base;
+        const exercise = Storage.getExerciseById(workout.exerciseId);
+
+        const item = document.createElement('fieldset');
+        item.className = 'conflict-item';
+
+        const legend = document.createElement('legend');
+        legend.textContent = `${exercise ? exercise.name : 'Unknown exercise'} · ${workout.date}`;
+        item.appendChild(legend);
+
+        [['local', 'This device'], ['remote', 'Other device']].forEach(([side, label]) => {
+            const option = document.createElement('label');
+            option.className = 'conflict-option';
+
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = `conflict-${index}`;
+            input.value = side;
+            input.checked = side === 'local';
+
+            const text = document.createElement('span');
+            text.textContent = `${label}: ${describeSet(conflict[side])}`;
+
+            option.append(input, text);
+            item.appendChild(option);
+        });
+
+        return item;
+    }
+};
@@ -0,0 +1,156 @@
+// Connection Dialog
+// "Test Connection" report for the GitHub settings in the Configuration panel, with repository setup
+
+import { GitHubSetup } from './github-setup.js';
+import { Auth } from './auth.js';
+import { dataLayout, readLayoutForm } from './config.js';
+import { showToast, showLoading } from './app.js';
+
+// Icon per check status
+const STATUS_ICONS = {
+    ok: 'check-circle',
+    warn: 'alert-triangle',
+    fail: 'x-circle'
+};
+
+export const ConnectionDialog = {
+    // Credentials of the last test and its report
+    credentials: null,
+    report: null,
+
+    /**
+     * Wire the Test Connection button and the report modal
+     */
+    init() {
+        const testBtn = document.getElementById('testConnectionBtn');
+        if (!testBtn) return;
+
+        testBtn.addEventListener('click', () => this.open());
+        document.getElementById('connectionBootstrapBtn').addEventListener('click', () => this.handleBootstrap());
+        document.getElementById('connectionRetestBtn').addEventListener('click', () => this.runTest());
+        document.getElementById('connectionCloseBtn').addEventListener('click', () => this.close());
+
+        const modal = document.getElementById('connectionModal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+    },
+
+    /**
+     * Settings entered in the Configuration panel; a blank token field means the saved token
+     * @returns {Promise<object>} {token, owner, repo, branch, dataRoot, monthFilePattern}
+     */
+    async readForm() {
+        const layout = {};
+        const layoutError = readLayoutForm(layout);
+        if (layoutError) throw new Error(layoutError);
+
+        const entered = document.getElementById('github-token').value.trim();
+        const token = entered || (Auth.hasStoredToken() ? await Auth.requireToken() : '');
+        return {
+            token,
+            owner: document.getElementById('repo-owner').value.trim(),
+            repo: document.getElementById('repo-name').value.trim(),
+            ...dataLayout(layout)
+        };
+    },
+
+    /**
+     * Test the entered settings and show the report
+     */
+    async open() {
+        let credentials;
+        try {
+            credentials = await this.readForm();
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+        if (!credentials.token || !credentials.owner || !credentials.repo) {
+            showToast('Enter a token, username and repository name first', 'error');
+            return;
+        }
+
+        this.credentials = credentials;
+        const branch = credentials.branch ? `@${credentials.branch}` : '';
+        document.getElementById('connectionTarget').textContent = `${credentials.owner}/${credentials.repo}${branch}`;
+        document.getElementById('connectionModal').style.display = 'flex';
+        await this.runTest();
+    },
+
+    /**
+     * Run the checks again with the same credentials
+     */
+    async runTest() {
+        const list = document.getElementById('connectionChecks');
+        list.innerHTML = '';
+        document.getElementById('connectionNote').textContent = 'Testing…';
+        document.getElementById('connectionBootstrapBtn').style.display = 'none';
+
+        try {
+            this.report = await GitHubSetup.verify(this.credentials);
+        } catch (error) {
+            console.error('Error testing connection:', error);
+            this.report = null;
+            document.getElementById('connectionNote').textContent = `Test failed: ${error.message}`;
+            return;
+        }
+        this.render();
+    },
+
+    /**
+     * Show one row per check and what to do next
+     */
+    render() {
+        const list = document.getElementById('connectionChecks');
+        list.innerHTML = '';
+        this.report.checks.forEach(({ label, status, detail }) => {
+            const item = document.createElement('li');
+            item.className = `connection-check connection-check-${status}`;
+
+            const icon = document.createElement('i');
+            icon.setAttribute('data-lucide', STATUS_ICONS[status]);
+            const text = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = label;
+            const note = document.createElement('span');
+            note.textContent = detail;
+            text.append(name, note);
+
+            item.append(icon, text);
+            list.appendChild(item);
+        });
+
+        const { ok, canBootstrap } = this.report;
+        document.getElementById('connectionNote').textContent = !ok
+            ? 'Fix the problem above and test again.'
+            : canBootstrap
+                ? 'Set up the repository to create the missing branch and files: the default exercises, an empty template list and the schema version.'
+                : 'Everything is in place. Save the configuration to start syncing.';
+        document.getElementById('connectionBootstrapBtn').style.display = ok && canBootstrap ? '' : 'none';
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Create the missing data files, then test again
+     */
+    async handleBootstrap() {
+        showLoading(true);
+        try {
+            const created = await GitHubSetup.bootstrap(this.credentials);
+            showToast(`Repository set up: ${created.length} file${created.length === 1 ? '' : 's'} created`, 'success');
+        } catch (error) {
+            console.error('Error setting up repository:', error);
+            showToast(`Setup failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+        await this.runTest();
+    },
+
+    close() {
+        document.getElementById('connectionModal').style.display = 'none';
+        this.credentials = null;
+        this.report = null;
+    }
+};
@@ -0,0 +1,99 @@
+// CSV Export
+// Flat, spreadsheet-friendly CSV of workout history, one row per set
+
+import { Storage } from './storage.js';
+import { estimate1RM } from './chart-helpers.js';
+import { formatEquipmentType, downloadFile } from './utils.js';
+
+const COLUMNS = [
+    'Date', 'Sequence', 'Exercise', 'Muscle', 'Equipment', 'Reps', 'Weight (kg)',
+    'Volume (kg)', 'Estimated 1RM (kg)', 'Superset Group', 'Source'
+];
+
+/**
+ * Round to two decimals, leaving empty values empty
+ * @param {number|null} value
+ * @returns {number|string}
+ */
+function round(value) {
+    return value ? Math.round(value * 100) / 100 : '';
+}
+
+/**
+ * Quote a cell when needed; text starting like a formula is prefixed with ' so
+ * spreadsheets do not evaluate it
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const CsvExport = {
+    /**
+     * Read the sets matching the filters, in date and sequence order
+     * @param {object} filters - {startDate, endDate (YYYY-MM-DD), exerciseId, muscle}; empty
+     *   exerciseId / muscle match every set
+     * @returns {Promise<array>} Workout records
+     */
+    async loadWorkouts({ startDate, endDate, exerciseId = '', muscle = '' }) {
+        const workouts = await Storage.getWorkoutsInRange(startDate, endDate);
+        return workouts
+            .filter(w => !exerciseId || w.exerciseId === exerciseId)
+            .filter(w => !muscle || Storage.getExerciseById(w.exerciseId)?.muscle === muscle)
+            .sort((a, b) => a.date.localeCompare(b.date) || (a.sequence || 0) - (b.sequence || 0));
+    },
+
+    /**
+     * One CSV row of values per set
+     * @param {object} workout
+     * @returns {array}
+     */
+    buildRow(workout) {
+        const exercise = Storage.getExerciseById(workout.exerciseId);
+        const weighted = exercise ? exercise.requiresWeight !== false : true;
+        const weight = weighted && workout.weight ? workout.weight : null;
+
+        return [
+            workout.date,
+            workout.sequence ?? '',
+            exercise ? exercise.name : 'Unknown exercise',
+            exercise?.muscle || '',
+            exercise ? formatEquipmentType(exercise.equipmentType) : '',
+            workout.reps,
+            round(workout.weight),
+            round(weight && weight * workout.reps),
+            round(weight && estimate1RM(weight, workout.reps)),
+            workout.supersetGroupId || '',
+            workout.source || ''
+        ];
+    },
+
+    /**
+     * Build the CSV text for a list of sets
+     * @param {array} workouts
+     * @returns {string}
+     */
+    toCsv(workouts) {
+        return [COLUMNS, ...workouts.map(workout => this.buildRow(workout))]
+            .map(row => row.map(escapeCell).join(','))
+            .join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Export the sets matching the filters as one CSV file
+     * @param {object} filters - See loadWorkouts()
+     * @returns {Promise<number>} Number of sets exported
+     */
+    async download(filters) {
+        const workouts = await this.loadWorkouts(filters);
+        if (workouts.length === 0) return 0;
+
+        downloadFile(`workouts-${filters.startDate}-to-${filters.endDate}.csv`, this.toCsv(workouts), 'text/csv');
+        return workouts.length;
+    }
+};
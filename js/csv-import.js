@@ -0,0 +1,305 @@
+// CSV Import
+// Reads workout history exported as CSV by Strong, Hevy and FitNotes
+
+import { CONFIG } from './config.js';
+import { formatDate, isValidDate } from './utils.js';
+
+const KG_PER_LB = 0.45359237;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Equipment words, looked for in the brackets after the name ("Bench Press (Barbell)") before the name itself
+const EQUIPMENT_HINTS = [
+    [/barbell|ez bar|smith/, 'barbell'],
+    [/dumbbell/, 'dumbbell'],
+    [/kettlebell/, 'kettlebell'],
+    [/machine|cable|band/, 'machines'],
+    [/weighted/, 'bodyweight+'],
+    [/bodyweight|assisted|pull up|chin up|push up|pushup|dip/, 'bodyweight']
+];
+
+// First match wins, so more specific words come first ("leg curl" before "curl")
+const MUSCLE_HINTS = [
+    [/neck/, 'neck'],
+    [/tricep|skull|pushdown|push down|dip/, 'triceps'],
+    [/squat|leg|lunge|calf|calves|deadlift|hip thrust|glute|hamstring|quad/, 'legs'],
+    [/curl|bicep/, 'biceps'],
+    [/bench|chest|fly|flye|push up|pushup|pec/, 'chest'],
+    [/row|pull|chin|lat |pulldown|back|shrug/, 'back'],
+    [/shoulder|overhead|military|lateral raise|front raise|delt|arnold|face pull/, 'shoulders'],
+    [/crunch|plank|sit up|situp|ab |abs|core|leg raise|russian twist/, 'core']
+];
+
+// FitNotes categories that are not one of our muscle names
+const CATEGORY_MUSCLES = { abs: 'core', quads: 'legs', hamstrings: 'legs', glutes: 'legs', calves: 'legs' };
+
+/**
+ * Parse a number that may use a decimal comma
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+    if (value === undefined || value === null || value.trim() === '') return null;
+    const number = parseFloat(value.trim().replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Read the date part of a timestamp: "2023-01-15 08:30:00" or "15 Jan 2023, 08:30"
+ * @param {string} value
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseDay(value) {
+    const text = (value || '').trim();
+    const iso = text.slice(0, 10);
+    if (isValidDate(iso)) return iso;
+
+    const match = text.match(/^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4})/);
+    if (!match) return null;
+    const month = MONTHS.indexOf(match[2].toLowerCase());
+    if (month === -1) return null;
+    const day = formatDate(new Date(parseInt(match[3], 10), month, parseInt(match[1], 10)));
+    return isValidDate(day) ? day : null;
+}
+
+/**
+ * Weight unit named in a header or cell, e.g. "Weight (lbs)" or "kgs"
+ * @param {string} text
+ * @returns {string|null} 'kg' | 'lb'
+ */
+function unitOf(text) {
+    if (/lb/i.test(text || '')) return 'lb';
+    if (/kg/i.test(text || '')) return 'kg';
+    return null;
+}
+
+/**
+ * Lowercase a name and drop punctuation, for matching
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Layouts we recognise by their header row. read() turns one CSV record (header → cell)
+ * into {date, name, category, reps, weight, unit, warmup}; unit is null when the file
+ * does not say (Strong uses the app's unit setting).
+ */
+const FORMATS = {
+    strong: {
+        label: 'Strong',
+        headers: ['Date', 'Exercise Name', 'Set Order', 'Weight', 'Reps'],
+        read: record => ({
+            date: parseDay(record['Date']),
+            name: record['Exercise Name'],
+            category: null,
+            reps: parseNumber(record['Reps']),
+            weight: parseNumber(record['Weight']),
+            unit: unitOf(record['Weight Unit']),
+            warmup: (record['Set Order'] || '').trim().toUpperCase() === 'W'
+        })
+    },
+
+    hevy: {
+        label: 'Hevy',
+        headers: ['start_time', 'exercise_title', 'set_type', 'reps'],
+        read: record => {
+            const lbs = record['weight_lbs'] !== undefined && record['weight_kg'] === undefined;
+            return {
+                date: parseDay(record['start_time']),
+                name: record['exercise_title'],
+                category: null,
+                reps: parseNumber(record['reps']),
+                weight: parseNumber(lbs ? record['weight_lbs'] : record['weight_kg']),
+                unit: lbs ? 'lb' : 'kg',
+                warmup: (record['set_type'] || '').trim().toLowerCase() === 'warmup'
+            };
+        }
+    },
+
+    fitnotes: {
+        label: 'FitNotes',
+        headers: ['Date', 'Exercise', 'Category', 'Reps'],
+        read: record => {
+            const weightHeader = Object.keys(record).find(header => header.startsWith('Weight') && header !== 'Weight Unit');
+            return {
+                date: parseDay(record['Date']),
+                name: record['Exercise'],
+                category: record['Category'] || null,
+                reps: parseNumber(record['Reps']),
+                weight: parseNumber(record[weightHeader]),
+                unit: unitOf(weightHeader) || unitOf(record['Weight Unit']),
+                warmup: false
+            };
+        }
+    }
+};
+
+export const CsvImport = {
+    /**
+     * Split CSV text into rows of cells (RFC 4180 quoting, comma or semicolon separated)
+     * @param {string} text
+     * @returns {array} Array of string arrays
+     */
+    parseCsv(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const firstLine = source.slice(0, source.search(/\r?\n|$/));
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Recognise which app exported a file from its header row
+     * @param {array} headers
+     * @returns {string|null} FORMATS key
+     */
+    detectFormat(headers) {
+        return Object.keys(FORMATS).find(key => FORMATS[key].headers.every(header => headers.includes(header))) || null;
+    },
+
+    /**
+     * Read the sets of an exported file
+     * @param {string} text - CSV file contents
+     * @returns {{format: string, label: string, rows: array, skipped: number}} rows are
+     *   {date, name, category, reps, weight, unit, warmup} in file order; skipped counts
+     *   rows without a date, exercise or reps (cardio, timed sets)
+     */
+    parse(text) {
+        const [headers, ...lines] = this.parseCsv(text);
+        if (!headers) {
+            throw new Error('The file is empty');
+        }
+
+        const trimmed = headers.map(header => header.trim());
+        const format = this.detectFormat(trimmed);
+        if (!format) {
+            throw new Error('Unrecognised CSV: expected an export from Strong, Hevy or FitNotes');
+        }
+
+        const rows = [];
+        let skipped = 0;
+        lines.forEach(cells => {
+            const record = Object.fromEntries(trimmed.map((header, i) => [header, cells[i]]));
+            const row = FORMATS[format].read(record);
+            if (!row.date || !row.name?.trim() || !row.reps || row.reps < 1) {
+                skipped++;
+                return;
+            }
+            rows.push({ ...row, name: row.name.trim(), reps: Math.round(row.reps) });
+        });
+
+        if (rows.length === 0) {
+            throw new Error('The file contains no sets with reps');
+        }
+
+        return { format, label: FORMATS[format].label, rows, skipped };
+    },
+
+    /**
+     * Find the stored exercise an imported name most likely refers to:
+     * same name, or same name without the bracketed equipment. Names of exercises
+     * merged into another one (its aliases) lead to that exercise.
+     * @param {string} name - Name in the exported file
+     * @param {array} exercises - Stored exercises
+     * @returns {object|null}
+     */
+    suggestExercise(name, exercises) {
+        // Also ignore spacing and plurals: "Pull Up" matches "Pull-ups"
+        const loose = text => normalizeName(text.replace(/\(.*?\)/g, ''))
+            .split(' ').map(word => word.replace(/s$/, '')).join('');
+        const exact = normalizeName(name);
+        const bare = loose(name);
+        const aliases = ex => (ex.aliases || []).map(alias => alias.name);
+        return exercises.find(ex => normalizeName(ex.name) === exact)
+            || exercises.find(ex => aliases(ex).some(alias => normalizeName(alias) === exact))
+            || exercises.find(ex => loose(ex.name) === bare)
+            || exercises.find(ex => aliases(ex).some(alias => loose(alias) === bare))
+            || null;
+    },
+
+    /**
+     * Guess equipment and target muscle for an exercise that has to be created
+     * @param {string} name - Name in the exported file
+     * @param {string|null} category - Exporting app's category (FitNotes)
+     * @returns {{equipmentType: string, muscle: string}} Empty strings where nothing fits
+     */
+    guessDetails(name, category) {
+        const text = ` ${normalizeName(name)} `;
+        const bracket = normalizeName((name.match(/\((.*?)\)/) || [])[1] || '');
+
+        const equipment = EQUIPMENT_HINTS.find(([pattern]) => pattern.test(bracket))
+            || EQUIPMENT_HINTS.find(([pattern]) => pattern.test(text));
+
+        const categoryKey = normalizeName(category || '');
+        let muscle = CONFIG.muscles.includes(categoryKey) ? categoryKey : CATEGORY_MUSCLES[categoryKey];
+        if (!muscle) {
+            const hint = MUSCLE_HINTS.find(([pattern]) => pattern.test(text));
+            muscle = hint ? hint[1] : '';
+        }
+
+        return { equipmentType: equipment ? equipment[1] : '', muscle };
+    },
+
+    /**
+     * Turn imported rows into workout entries for Storage.importWorkouts
+     * @param {array} rows - From parse()
+     * @param {Map} mapping - Exported name → exercise id (names not in the map are skipped)
+     * @param {object} options - {unit: 'kg'|'lb' for rows whose file did not say, skipWarmups}
+     * @returns {array} [{exerciseId, date, reps, weight}] in file order
+     */
+    toEntries(rows, mapping, { unit = 'kg', skipWarmups = false } = {}) {
+        return rows
+            .filter(row => mapping.has(row.name) && !(skipWarmups && row.warmup))
+            .map(row => {
+                let weight = row.weight;
+                if (weight && (row.unit || unit) === 'lb') {
+                    weight = Math.round(weight * KG_PER_LB * 100) / 100;
+                }
+                return {
+                    exerciseId: mapping.get(row.name),
+                    date: row.date,
+                    reps: row.reps,
+                    weight: weight || null
+                };
+            });
+    }
+};
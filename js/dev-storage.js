@@ -1,20 +1,31 @@
-// Development Storage Module
-// Uses local dev-data.json file instead of GitHub API
+// Development Storage Adapter
+// Uses local dev-data.json file (served by server.js) instead of GitHub API
+
+import { summarizeMonths } from './storage-adapters.js';
 
 const DEV_API_URL = 'http://localhost:3000/api/dev-data';
 
 export const DevStorage = {
-    // In-memory cache
-    exercises: [],
-    exercisesSha: 'dev-sha-exercises',
-    currentMonthWorkouts: [],
-    currentMonthSha: 'dev-sha-workouts',
-    currentMonthPath: null,
-    sessionTemplates: [],
-    sessionTemplatesSha: 'dev-sha-templates',
+    name: 'dev',
+    capabilities: {
+        remote: false,
+        requiresToken: false,
+        sharedAcrossDevices: false,
+        history: false,
+        encryption: false,
+        changeDetection: false
+    },
+
+    // Full contents of dev-data.json
+    data: {
+        exercises: [],
+        workouts: [],
+        templates: [],
+        meta: null
+    },
 
     /**
-     * Initialize storage by loading from dev-data.json
+     * Load dev-data.json from the dev server
      * @returns {Promise<void>}
      */
     async initialize() {
@@ -27,18 +38,15 @@ export const DevStorage = {
             }
 
             const data = await response.json();
-            this.exercises = data.exercises || [];
-            this.currentMonthWorkouts = data.workouts || [];
-            this.sessionTemplates = data.templates || [];
-
-            // Set current month path
-            const now = new Date();
-            const year = now.getFullYear();
-            const month = String(now.getMonth() + 1).padStart(2, '0');
-            this.currentMonthPath = `data/workouts-${year}-${month}.json`;
+            this.data = {
+                exercises: data.exercises || [],
+                workouts: data.workouts || [],
+                templates: data.templates || [],
+                meta: data.meta || null
+            };
 
-            console.log(`📦 Loaded ${this.exercises.length} exercises`);
-            console.log(`📦 Loaded ${this.currentMonthWorkouts.length} workouts`);
+            console.log(`📦 Loaded ${this.data.exercises.length} exercises`);
+            console.log(`📦 Loaded ${this.data.workouts.length} workouts`);
             console.log('💾 Changes will be saved to data/dev-data.json');
         } catch (error) {
             console.error('❌ Failed to load dev data:', error);
@@ -47,17 +55,12 @@ export const DevStorage = {
     },
 
     /**
-     * Save current state to dev-data.json
+     * Write the full contents of dev-data.json
+     * @param {object} data
      * @returns {Promise<void>}
      */
-    async saveToFile() {
+    async saveToFile(data) {
         try {
-            const data = {
-                exercises: this.exercises,
-                workouts: this.currentMonthWorkouts,
-                templates: this.sessionTemplates
-            };
-
             const response = await fetch(DEV_API_URL, {
                 method: 'POST',
                 headers: {
@@ -78,338 +81,107 @@ export const DevStorage = {
     },
 
     /**
-     * Get all exercises
-     * @returns {Array}
-     */
-    getExercises() {
-        return [...this.exercises];
-    },
-
-    /**
-     * Get exercise by ID
-     * @param {string} id
-     * @returns {Object|null}
-     */
-    getExerciseById(id) {
-        return this.exercises.find(ex => ex.id === id) || null;
-    },
-
-    /**
-     * Add new exercise
-     * @param {Object} exercise
-     * @returns {Promise<Object>}
-     */
-    async addExercise(exercise) {
-        console.log('🧪 DEV MODE: Adding exercise');
-        this.exercises.push(exercise);
-        await this.saveToFile();
-        return exercise;
-    },
-
-    /**
-     * Update exercise
-     * @param {Object} exercise
-     * @returns {Promise<Object>}
+     * @returns {Promise<Array>}
      */
-    async updateExercise(exercise) {
-        console.log('🧪 DEV MODE: Updating exercise');
-        const index = this.exercises.findIndex(ex => ex.id === exercise.id);
-        if (index !== -1) {
-            this.exercises[index] = exercise;
-        }
-        await this.saveToFile();
-        return exercise;
+    async loadExercises() {
+        return [...this.data.exercises];
     },
 
     /**
-     * Delete exercise
-     * @param {string} id
+     * @param {Array} exercises
      * @returns {Promise<void>}
      */
-    async deleteExercise(id) {
-        console.log('🧪 DEV MODE: Deleting exercise');
-        this.exercises = this.exercises.filter(ex => ex.id !== id);
-        await this.saveToFile();
+    async saveExercises(exercises) {
+        await this.saveBatch([{ target: 'exercises', items: exercises }]);
     },
 
     /**
-     * Get workouts for a specific month
-     * @param {number} year
-     * @param {number} month
      * @returns {Promise<Array>}
      */
-    async getWorkoutsForMonth(year, month) {
-        const monthStr = String(month).padStart(2, '0');
-        const prefix = `${year}-${monthStr}`;
-        return this.currentMonthWorkouts.filter(w => w.date.startsWith(prefix));
-    },
-
-    /**
-     * Get workouts for current month
-     * @returns {Array}
-     */
-    getCurrentMonthWorkouts() {
-        return [...this.currentMonthWorkouts];
-    },
-
-    /**
-     * Add new workout
-     * @param {Object} workout
-     * @returns {Promise<Object>}
-     */
-    async addWorkout(workout) {
-        console.log('🧪 DEV MODE: Adding workout');
-
-        if (!workout.id) {
-            workout.id = `dev-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-        }
-
-        // Add sequence number if not present
-        if (!workout.sequence) {
-            const sameDay = this.currentMonthWorkouts.filter(w => w.date === workout.date);
-            workout.sequence = sameDay.length + 1;
-        }
-
-        this.currentMonthWorkouts.push(workout);
-        await this.saveToFile();
-        return workout;
-    },
-
-    /**
-     * Add multiple workouts in one save operation
-     * @param {Array<Object>} workouts
-     * @returns {Promise<Array<Object>>}
-     */
-    async addWorkoutsBatch(workouts) {
-        if (!Array.isArray(workouts) || workouts.length === 0) {
-            throw new Error('No workouts to save');
-        }
-
-        const targetDate = workouts[0].date;
-        if (!targetDate || workouts.some(entry => entry.date !== targetDate)) {
-            throw new Error('Batch submit requires a single date');
-        }
-
-        const sameDay = this.currentMonthWorkouts.filter(w => w.date === targetDate);
-        const startSequence = sameDay.length + 1;
-
-        const newWorkouts = workouts.map((entry, index) => ({
-            ...entry,
-            id: `dev-${Date.now()}-${index}-${Math.random().toString(36).slice(2, 8)}`,
-            reps: parseInt(entry.reps, 10),
-            weight: entry.weight !== null && entry.weight !== undefined && entry.weight !== ''
-                ? parseFloat(entry.weight)
-                : null,
-            sequence: startSequence + index
-        }));
-
-        this.currentMonthWorkouts.push(...newWorkouts);
-        await this.saveToFile();
-        return newWorkouts;
-    },
-
-    /**
-     * Update workout
-     * @param {Object} workout
-     * @returns {Promise<Object>}
-     */
-    async updateWorkout(id, date, updates) {
-        console.log('🧪 DEV MODE: Updating workout');
-        const index = this.currentMonthWorkouts.findIndex(w => w.id === id);
-        if (index !== -1) {
-            this.currentMonthWorkouts[index] = {
-                ...this.currentMonthWorkouts[index],
-                ...updates
-            };
-        }
-        await this.saveToFile();
-        return this.currentMonthWorkouts[index];
+    async loadSessionTemplates() {
+        return [...this.data.templates];
     },
 
     /**
-     * Delete workout
-     * @param {string} id
+     * @param {Array} templates
      * @returns {Promise<void>}
      */
-    async deleteWorkout(id, date) {
-        console.log('🧪 DEV MODE: Deleting workout');
-        this.currentMonthWorkouts = this.currentMonthWorkouts.filter(w => w.id !== id);
-
-        // Re-sequence
-        const sameDateWorkouts = this.currentMonthWorkouts
-            .filter(w => w.date === date)
-            .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
-
-        sameDateWorkouts.forEach((w, i) => {
-            w.sequence = i + 1;
-        });
-
-        await this.saveToFile();
+    async saveSessionTemplates(templates) {
+        await this.saveBatch([{ target: 'templates', items: templates }]);
     },
 
     /**
-     * Get workouts for a specific date
-     * @param {string} date - Date in YYYY-MM-DD format
-     * @returns {Array}
+     * Months that have at least one workout
+     * @returns {Promise<Array>} Month keys (YYYY-MM), ascending
      */
-    getWorkoutsForDate(date) {
-        return this.currentMonthWorkouts.filter(w => w.date === date);
+    async listMonths() {
+        return [...new Set(this.data.workouts.map(w => w.date.slice(0, 7)))].sort();
     },
 
     /**
-     * Get workout by ID
-     * @param {string} id
-     * @returns {Object|null}
+     * @returns {Promise<object>} Month key → summary
      */
-    getWorkoutById(id) {
-        return this.currentMonthWorkouts.find(w => w.id === id) || null;
+    async loadMonthSummaries() {
+        return summarizeMonths(this.data.workouts);
     },
 
     /**
-     * Get recent workouts
-     * @param {number} count - Number of recent workouts to return
-     * @returns {Array}
+     * @param {string} monthKey - YYYY-MM
+     * @returns {Promise<Array>}
      */
-    getRecentWorkouts(count = 20) {
-        return [...this.currentMonthWorkouts]
-            .sort((a, b) => b.date.localeCompare(a.date) || b.id.localeCompare(a.id))
-            .slice(0, count);
+    async loadMonth(monthKey) {
+        return this.data.workouts.filter(w => w.date.startsWith(monthKey));
     },
 
     /**
-     * Get workouts for a specific exercise
-     * @param {string} exerciseId
-     * @returns {Array}
+     * Replace all workouts of a month
+     * @param {string} monthKey - YYYY-MM
+     * @param {Array} workouts
+     * @returns {Promise<void>}
      */
-    getWorkoutsForExercise(exerciseId) {
-        return this.currentMonthWorkouts
-            .filter(w => w.exerciseId === exerciseId)
-            .sort((a, b) => a.date.localeCompare(b.date));
+    async saveMonth(monthKey, workouts) {
+        await this.saveBatch([{ target: monthKey, items: workouts }]);
     },
 
     /**
-     * Get workouts within a date range
-     * @param {Date|string} startDate - Date object or YYYY-MM-DD string
-     * @param {Date|string} endDate - Date object or YYYY-MM-DD string
-     * @returns {Promise<Array>}
+     * @returns {Promise<object|null>}
      */
-    async getWorkoutsInRange(startDate, endDate) {
-        // Normalize to YYYY-MM-DD strings for comparison to avoid timezone issues
-        let startStr, endStr;
-
-        if (startDate instanceof Date) {
-            // Convert Date to YYYY-MM-DD in local timezone (not UTC)
-            const year = startDate.getFullYear();
-            const month = String(startDate.getMonth() + 1).padStart(2, '0');
-            const day = String(startDate.getDate()).padStart(2, '0');
-            startStr = `${year}-${month}-${day}`;
-        } else {
-            startStr = startDate.split('T')[0];
-        }
-
-        if (endDate instanceof Date) {
-            // Convert Date to YYYY-MM-DD in local timezone (not UTC)
-            const year = endDate.getFullYear();
-            const month = String(endDate.getMonth() + 1).padStart(2, '0');
-            const day = String(endDate.getDate()).padStart(2, '0');
-            endStr = `${year}-${month}-${day}`;
-        } else {
-            endStr = endDate.split('T')[0];
-        }
-
-        const filtered = this.currentMonthWorkouts.filter(w => {
-            // Compare date strings directly (YYYY-MM-DD format)
-            return w.date >= startStr && w.date <= endStr;
-        });
-
-        console.log(`🧪 DEV MODE: getWorkoutsInRange(${startStr} to ${endStr}) returned ${filtered.length} workouts`);
-        return filtered;
+    async loadMeta() {
+        return this.data.meta ? { ...this.data.meta } : null;
     },
 
     /**
-     * Update workout sequences for a specific date
-     * @param {string} date - Date in YYYY-MM-DD format
-     * @param {Array<string>} workoutIds - Ordered array of workout IDs
+     * Apply several documents and write the file once; the loaded data only
+     * changes once the write succeeded
+     * @param {Array} documents - [{target, items}]
      * @returns {Promise<void>}
      */
-    async updateWorkoutSequences(date, workoutIds) {
-        console.log('🧪 DEV MODE: Updating workout sequences');
-        console.log('  Date:', date);
-        console.log('  Workout IDs to update:', workoutIds);
-
-        // Update sequence numbers based on the provided order
-        let updatedCount = 0;
-        workoutIds.forEach((id, index) => {
-            const workout = this.currentMonthWorkouts.find(w => w.id === id && w.date === date);
-            if (workout) {
-                const oldSequence = workout.sequence;
-                workout.sequence = index + 1;
-                console.log(`  Updated ${id}: sequence ${oldSequence} -> ${workout.sequence}`);
-                updatedCount++;
+    async saveBatch(documents) {
+        const next = { ...this.data };
+        documents.forEach(({ target, items }) => {
+            if (target === 'meta') {
+                next.meta = { ...items };
+            } else if (target === 'exercises' || target === 'templates') {
+                next[target] = [...items];
             } else {
-                console.warn(`  Workout not found: ${id} on date ${date}`);
+                next.workouts = next.workouts
+                    .filter(w => !w.date.startsWith(target))
+                    .concat(items);
             }
         });
-
-        console.log(`  Total updated: ${updatedCount}/${workoutIds.length}`);
-
-        // Save to file to persist the changes
-        await this.saveToFile();
-    },
-
-    // ─── Session Templates ───────────────────────────────────────────────────
-
-    async loadSessionTemplates() {
-        // Templates are loaded in initialize() from dev-data.json
-    },
-
-    getSessionTemplates() {
-        return [...this.sessionTemplates];
-    },
-
-    getSessionTemplateById(id) {
-        return this.sessionTemplates.find(t => t.id === id) || null;
+        await this.saveToFile(next);
+        this.data = next;
     },
 
-    async addSessionTemplate(template) {
-        console.log('🧪 DEV MODE: Adding session template');
-        if (!template.name || !template.name.trim()) {
-            throw new Error('Template name is required');
-        }
-        const trimmedName = template.name.trim();
-        if (this.sessionTemplates.some(t => t.name.toLowerCase() === trimmedName.toLowerCase())) {
-            throw new Error('A template with this name already exists');
-        }
-        const newTemplate = {
-            id: `dev-tpl-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
-            name: trimmedName,
-            rows: template.rows || []
-        };
-        this.sessionTemplates.push(newTemplate);
-        await this.saveToFile();
-        return newTemplate;
-    },
-
-    async updateSessionTemplate(id, template) {
-        console.log('🧪 DEV MODE: Updating session template');
-        const index = this.sessionTemplates.findIndex(t => t.id === id);
-        if (index === -1) throw new Error('Template not found');
-        const trimmedName = template.name.trim();
-        if (this.sessionTemplates.some(t => t.id !== id && t.name.toLowerCase() === trimmedName.toLowerCase())) {
-            throw new Error('A template with this name already exists');
-        }
-        this.sessionTemplates[index] = {
-            id: this.sessionTemplates[index].id,
-            name: trimmedName,
-            rows: template.rows
-        };
-        await this.saveToFile();
-        return this.sessionTemplates[index];
-    },
-
-    async deleteSessionTemplate(id) {
-        console.log('🧪 DEV MODE: Deleting session template');
-        this.sessionTemplates = this.sessionTemplates.filter(t => t.id !== id);
-        await this.saveToFile();
+    /**
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<Array>}
+     */
+    async loadRange(startDate, endDate) {
+        // Compare date strings directly (YYYY-MM-DD format) to avoid timezone issues
+        const filtered = this.data.workouts.filter(w => w.date >= startDate && w.date <= endDate);
+        console.log(`🧪 DEV MODE: loadRange(${startDate} to ${endDate}) returned ${filtered.length} workouts`);
+        return filtered;
     }
 };
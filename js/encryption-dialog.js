@@ -0,0 +1,162 @@
+// Encryption Dialog
+// Passphrase prompt shown on load for an encrypted repository, and the "Encrypt" settings (Configuration panel)
+
+import { Storage } from './storage.js';
+import { CONFIG } from './config.js';
+import { showToast, showLoading } from './app.js';
+
+export const EncryptionDialog = {
+    // Resolves the pending passphrase prompt, null when none is open
+    resolveUnlock: null,
+
+    /**
+     * Wire the unlock prompt; runs before storage loads so it can ask for the passphrase
+     */
+    initUnlock() {
+        const modal = document.getElementById('unlockModal');
+        if (!modal) return;
+
+        const input = document.getElementById('unlockPassphrase');
+        document.getElementById('unlockSubmitBtn').addEventListener('click', () => this.finishUnlock(input.value));
+        document.getElementById('unlockCancelBtn').addEventListener('click', () => this.finishUnlock(null));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.finishUnlock(input.value);
+        });
+    },
+
+    /**
+     * Ask for the passphrase (Encryption.passphraseProvider)
+     * @param {{retry: boolean}} attempt - retry is true after a wrong passphrase
+     * @returns {Promise<string|null>} null when the user cancels
+     */
+    promptUnlock({ retry }) {
+        const input = document.getElementById('unlockPassphrase');
+        input.value = '';
+        document.getElementById('unlockError').textContent = retry ? 'Wrong passphrase, try again.' : '';
+
+        // The loading overlay would cover the prompt while storage initializes
+        showLoading(false);
+        document.getElementById('unlockModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+        input.focus();
+
+        return new Promise(resolve => {
+            this.resolveUnlock = resolve;
+        });
+    },
+
+    /**
+     * Close the prompt and hand over the answer
+     * @param {string|null} passphrase
+     */
+    finishUnlock(passphrase) {
+        if (!this.resolveUnlock || passphrase === '') return;
+
+        document.getElementById('unlockModal').style.display = 'none';
+        document.getElementById('unlockPassphrase').value = '';
+        const resolve = this.resolveUnlock;
+        this.resolveUnlock = null;
+
+        // Deriving the key takes a moment
+        if (passphrase !== null) showLoading(true);
+        resolve(passphrase);
+    },
+
+    /**
+     * Wire the Encrypt button and the settings modal
+     */
+    init() {
+        const encryptionBtn = document.getElementById('encryptionBtn');
+        if (!encryptionBtn) return;
+
+        encryptionBtn.addEventListener('click', () => this.open());
+        document.getElementById('encryptionApplyBtn').addEventListener('click', () => this.handleApply());
+        document.getElementById('encryptionDisableBtn').addEventListener('click', () => this.handleDisable());
+        document.getElementById('encryptionCancelBtn').addEventListener('click', () => this.close());
+
+        const modal = document.getElementById('encryptionModal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+    },
+
+    /**
+     * Show whether the data is encrypted and the matching actions
+     */
+    open() {
+        if (!Storage.hasEncryption()) {
+            showToast('Encryption is only available in GitHub mode', 'info');
+            return;
+        }
+
+        const encrypted = Storage.isEncrypted();
+        document.getElementById('encryptionStatus').textContent = encrypted
+            ? 'Your data is encrypted. Choose a new passphrase to change it, or decrypt the data.'
+            : 'Your data is stored as plain JSON. Choose a passphrase to encrypt every file in the repository.';
+        document.getElementById('encryptionPassphrase').value = '';
+        document.getElementById('encryptionConfirm').value = '';
+        const applyBtn = document.getElementById('encryptionApplyBtn');
+        applyBtn.title = encrypted ? 'Change passphrase' : 'Encrypt';
+        applyBtn.setAttribute('aria-label', applyBtn.title);
+        document.getElementById('encryptionDisableBtn').style.display = encrypted ? '' : 'none';
+
+        document.getElementById('encryptionModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Encrypt with the entered passphrase (or change it)
+     */
+    async handleApply() {
+        const passphrase = document.getElementById('encryptionPassphrase').value;
+        const confirmation = document.getElementById('encryptionConfirm').value;
+        if (passphrase.length < CONFIG.encryption.minPassphraseLength) {
+            showToast(`Use a passphrase of at least ${CONFIG.encryption.minPassphraseLength} characters`, 'error');
+            return;
+        }
+        if (passphrase !== confirmation) {
+            showToast('The passphrases do not match', 'error');
+            return;
+        }
+
+        const changing = Storage.isEncrypted();
+        showLoading(true);
+        try {
+            await Storage.setEncryption(passphrase);
+            this.close();
+            showToast(changing ? 'Passphrase changed' : 'Data encrypted', 'success');
+        } catch (error) {
+            console.error('Error encrypting data:', error);
+            showToast(`Encryption failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    /**
+     * Store every file as plain JSON again
+     */
+    async handleDisable() {
+        if (!confirm('Decrypt all data? Anyone with access to the repository will be able to read it again.')) {
+            return;
+        }
+
+        showLoading(true);
+        try {
+            await Storage.setEncryption(null);
+            this.close();
+            showToast('Data decrypted', 'success');
+        } catch (error) {
+            console.error('Error decrypting data:', error);
+            showToast(`Decryption failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    close() {
+        document.getElementById('encryptionModal').style.display = 'none';
+        document.getElementById('encryptionPassphrase').value = '';
+        document.getElementById('encryptionConfirm').value = '';
+    }
+};
@@ -0,0 +1,202 @@
+// Encryption
+// Optional end-to-end encryption of repository files: AES-GCM with a key derived from a passphrase (PBKDF2)
+
+import { CONFIG } from './config.js';
+import { bytesToBase64, base64ToBytes } from './utils.js';
+
+// Version of the encrypted file format ({encrypted, iv, data}) and of the key-check file
+const ENVELOPE_VERSION = 1;
+const KEY_CHECK_VERSION = 1;
+
+// Encrypted into the key-check file; decrypting it proves the passphrase is right
+const KEY_CHECK_TEXT = 'progressive-overload key check';
+
+/**
+ * Error for a passphrase that does not open the data (error.wrongPassphrase is set)
+ * @returns {Error}
+ */
+function wrongPassphrase() {
+    const error = new Error('Wrong passphrase');
+    error.wrongPassphrase = true;
+    return error;
+}
+
+export const Encryption = {
+    // AES-GCM key while unlocked (not extractable), null when encryption is off or locked
+    key: null,
+
+    // Content of the key-check file when the repository is encrypted, null otherwise
+    keyCheck: null,
+
+    // UI hook asked for the passphrase when the repository is encrypted:
+    // async ({retry}) → passphrase, or null when the user gives up. retry is true after a wrong one.
+    passphraseProvider: null,
+
+    /**
+     * Whether stored content is an encrypted file
+     * @param {any} content - Parsed file content
+     * @returns {boolean}
+     */
+    isEnvelope(content) {
+        return content?.encrypted === ENVELOPE_VERSION && typeof content.iv === 'string' && typeof content.data === 'string';
+    },
+
+    /**
+     * Derive the AES-GCM key from a passphrase
+     * @param {string} passphrase
+     * @param {Uint8Array} salt
+     * @param {number} iterations
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encrypt file content
+     * @param {object} content
+     * @param {CryptoKey} key
+     * @returns {Promise<{encrypted: number, iv: string, data: string}>}
+     */
+    async encrypt(content, key = this.key) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(content)));
+        return { encrypted: ENVELOPE_VERSION, iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+    },
+
+    /**
+     * Decrypt file content
+     * @param {object} envelope - As written by encrypt()
+     * @param {CryptoKey|null} key
+     * @returns {Promise<object>}
+     */
+    async decrypt(envelope, key = this.key) {
+        if (!key) {
+            throw new Error('This data is encrypted. Reload and enter the passphrase to unlock it.');
+        }
+        let plain;
+        try {
+            plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data));
+        } catch {
+            throw new Error('Could not decrypt data: it was encrypted with a different passphrase or has been altered');
+        }
+        return JSON.parse(new TextDecoder().decode(plain));
+    },
+
+    /**
+     * Start encrypting with a new passphrase: fresh salt, key and key-check file content
+     * @param {string} passphrase
+     * @returns {Promise<{key: CryptoKey, keyCheck: object}>}
+     */
+    async createKey(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = CONFIG.encryption.iterations;
+        const key = await this.deriveKey(passphrase, salt, iterations);
+        const keyCheck = {
+            version: KEY_CHECK_VERSION,
+            kdf: 'PBKDF2-SHA256',
+            iterations,
+            salt: bytesToBase64(salt),
+            check: await this.encrypt(KEY_CHECK_TEXT, key)
+        };
+        return { key, keyCheck };
+    },
+
+    /**
+     * Encrypt one value under its own passphrase (fresh salt), e.g. a token kept on the device
+     * @param {any} value - JSON-serializable value
+     * @param {string} passphrase
+     * @returns {Promise<object>} {version, kdf, iterations, salt, data}
+     */
+    async seal(value, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = CONFIG.encryption.iterations;
+        const key = await this.deriveKey(passphrase, salt, iterations);
+        return {
+            version: KEY_CHECK_VERSION,
+            kdf: 'PBKDF2-SHA256',
+            iterations,
+            salt: bytesToBase64(salt),
+            data: await this.encrypt(value, key)
+        };
+    },
+
+    /**
+     * Decrypt a value written by seal()
+     * @param {object} sealed
+     * @param {string} passphrase
+     * @returns {Promise<any>}
+     */
+    async unseal(sealed, passphrase) {
+        if (sealed?.version !== KEY_CHECK_VERSION || !this.isEnvelope(sealed.data)) {
+            throw new Error('The locked data is not recognised. Was it written by a newer version of the app?');
+        }
+        const key = await this.deriveKey(passphrase, base64ToBytes(sealed.salt), sealed.iterations);
+        try {
+            return await this.decrypt(sealed.data, key);
+        } catch {
+            throw wrongPassphrase();
+        }
+    },
+
+    /**
+     * Derive the key of an encrypted repository and verify it against the key-check file
+     * @param {object} keyCheck - Content of the key-check file
+     * @param {string} passphrase
+     * @returns {Promise<CryptoKey>}
+     */
+    async openKey(keyCheck, passphrase) {
+        if (keyCheck?.version !== KEY_CHECK_VERSION || !this.isEnvelope(keyCheck.check)) {
+            throw new Error('The key-check file is not recognised. Was it written by a newer version of the app?');
+        }
+        const key = await this.deriveKey(passphrase, base64ToBytes(keyCheck.salt), keyCheck.iterations);
+        let text;
+        try {
+            text = await this.decrypt(keyCheck.check, key);
+        } catch {
+            text = null;
+        }
+        if (text !== KEY_CHECK_TEXT) throw wrongPassphrase();
+        return key;
+    },
+
+    /**
+     * Ask for the passphrase (see passphraseProvider) until it opens the key-check file
+     * @param {object} keyCheck - Content of the key-check file
+     * @returns {Promise<void>}
+     */
+    async unlock(keyCheck) {
+        // Already unlocked this session with the same key-check file
+        if (this.key && this.keyCheck?.salt === keyCheck.salt) return;
+
+        for (let retry = false; ; retry = true) {
+            const passphrase = this.passphraseProvider ? await this.passphraseProvider({ retry }) : null;
+            if (passphrase === null || passphrase === undefined) {
+                throw new Error('This data is encrypted. Reload and enter the passphrase to unlock it.');
+            }
+            try {
+                this.use(await this.openKey(keyCheck, passphrase), keyCheck);
+                return;
+            } catch (error) {
+                if (!error.wrongPassphrase) throw error;
+            }
+        }
+    },
+
+    /**
+     * Set the key files are written and read with (null key = plain files)
+     * @param {CryptoKey|null} key
+     * @param {object|null} keyCheck
+     */
+    use(key, keyCheck) {
+        this.key = key;
+        this.keyCheck = keyCheck;
+    }
+};
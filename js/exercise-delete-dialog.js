@@ -0,0 +1,129 @@
+// Exercise Delete Dialog
+// Shows where an exercise is used and lets the user archive it, move its history or delete it with its history
+
+import { Storage } from './storage.js';
+import { showToast, showLoading } from './app.js';
+
+/**
+ * "12 sets in 2 months and 1 template (Push Day)"
+ * @param {object} usage - From Storage.getExerciseUsage()
+ * @returns {string}
+ */
+function describeUsage({ sets, months, templates }) {
+    const parts = [];
+    if (sets > 0) {
+        parts.push(`${sets} set${sets === 1 ? '' : 's'} in ${months.length} month${months.length === 1 ? '' : 's'}`);
+    }
+    if (templates.length > 0) {
+        parts.push(`${templates.length} template${templates.length === 1 ? '' : 's'} (${templates.join(', ')})`);
+    }
+    return parts.join(' and ');
+}
+
+export const ExerciseDeleteDialog = {
+    // Exercise being deleted and where it is used
+    exercise: null,
+    usage: null,
+
+    /**
+     * Wire the modal buttons
+     */
+    init() {
+        const modal = document.getElementById('exerciseDeleteModal');
+        if (!modal) return;
+
+        document.getElementById('exerciseDeleteApplyBtn').addEventListener('click', () => this.handleConfirm());
+        document.getElementById('exerciseDeleteCancelBtn').addEventListener('click', () => this.close());
+        document.getElementById('exerciseDeleteTarget').addEventListener('change', () => {
+            document.querySelector('input[name="exerciseDeleteMode"][value="move"]').checked = true;
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+    },
+
+    /**
+     * Look up where the exercise is used and show the choices
+     * @param {object} exercise
+     */
+    async open(exercise) {
+        showLoading(true);
+        try {
+            this.usage = await Storage.getExerciseUsage(exercise.id);
+        } catch (error) {
+            console.error('Error reading exercise usage:', error);
+            showToast(`Could not check where "${exercise.name}" is used: ${error.message}`, 'error');
+            return;
+        } finally {
+            showLoading(false);
+        }
+        this.exercise = exercise;
+
+        const used = this.usage.sets > 0 || this.usage.templates.length > 0;
+        document.getElementById('exerciseDeleteUsage').textContent = used
+            ? `"${exercise.name}" is used by ${describeUsage(this.usage)}.`
+            : `"${exercise.name}" is not used by any sets or templates. Delete it?`;
+        document.getElementById('exerciseDeleteModes').style.display = used ? '' : 'none';
+        document.getElementById('exerciseDeleteArchiveOption').style.display = exercise.archived ? 'none' : '';
+
+        const targets = Storage.getActiveExercises()
+            .filter(ex => ex.id !== exercise.id)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        document.getElementById('exerciseDeleteTarget').replaceChildren(new Option('Choose exercise...', ''),
+            ...targets.map(ex => new Option(ex.name, ex.id)));
+
+        // Archiving keeps everything, so it is the default while there is history to lose
+        const defaultMode = exercise.archived ? 'move' : 'archive';
+        document.querySelectorAll('input[name="exerciseDeleteMode"]').forEach(input => {
+            input.checked = input.value === defaultMode;
+        });
+
+        document.getElementById('exerciseDeleteModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Carry out the chosen action
+     */
+    async handleConfirm() {
+        const { exercise, usage } = this;
+        const used = usage.sets > 0 || usage.templates.length > 0;
+        const mode = used ? document.querySelector('input[name="exerciseDeleteMode"]:checked')?.value : 'delete';
+        const moveTo = document.getElementById('exerciseDeleteTarget').value;
+
+        if (mode === 'move' && !moveTo) {
+            showToast('Choose the exercise to move the history to', 'error');
+            return;
+        }
+        if (mode === 'cascade' && !confirm(`Delete "${exercise.name}" and ${describeUsage(usage)}? This action cannot be undone.`)) {
+            return;
+        }
+
+        showLoading(true);
+        try {
+            if (mode === 'archive') {
+                await Storage.setExerciseArchived(exercise.id, true);
+                showToast(`"${exercise.name}" archived`, 'success');
+            } else {
+                await Storage.deleteExercise(exercise.id, { moveTo: mode === 'move' ? moveTo : null, cascade: mode === 'cascade' });
+                showToast(mode === 'move'
+                    ? `History moved to "${Storage.getExerciseById(moveTo).name}", exercise deleted`
+                    : 'Exercise deleted successfully', 'success');
+            }
+            this.close();
+
+            // Update exercise dropdowns in other sections
+            window.dispatchEvent(new CustomEvent('exercisesUpdated'));
+        } catch (error) {
+            showToast(error.message, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    close() {
+        document.getElementById('exerciseDeleteModal').style.display = 'none';
+        this.exercise = null;
+        this.usage = null;
+    }
+};
@@ -0,0 +1,171 @@
+// Exercise Merge Dialog
+// Manage → Exercises "Merge" button: folds duplicate exercises into one after a preview of what changes
+
+import { Storage } from './storage.js';
+import { formatEquipmentType } from './utils.js';
+import { showToast, showLoading } from './app.js';
+
+export const ExerciseMergeDialog = {
+    // Plan for the current selection (see Storage.planExerciseMerge), null while incomplete
+    plan: null,
+
+    // Bumped on every selection change so a slow preview cannot overwrite a newer one
+    previewToken: 0,
+
+    /**
+     * Wire the Merge button and the modal
+     */
+    init() {
+        const mergeBtn = document.getElementById('mergeExercisesBtn');
+        if (!mergeBtn) return;
+
+        mergeBtn.addEventListener('click', () => this.open());
+        document.getElementById('mergeSurvivor').addEventListener('change', () => {
+            this.renderDuplicates();
+            this.updatePreview();
+        });
+        document.getElementById('mergeDuplicates').addEventListener('change', () => this.updatePreview());
+        document.getElementById('mergeApplyBtn').addEventListener('click', () => this.handleMerge());
+        document.getElementById('mergeCancelBtn').addEventListener('click', () => this.close());
+
+        const modal = document.getElementById('exerciseMergeModal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+    },
+
+    /**
+     * All exercises (archived too) sorted by name
+     * @returns {array}
+     */
+    sortedExercises() {
+        return [...Storage.getExercises()].sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Open the dialog with nothing selected
+     */
+    open() {
+        if (Storage.getExercises().length < 2) {
+            showToast('There is nothing to merge yet', 'info');
+            return;
+        }
+
+        const label = ex => (ex.archived ? `${ex.name} (archived)` : ex.name);
+        document.getElementById('mergeSurvivor').replaceChildren(new Option('Choose exercise...', ''),
+            ...this.sortedExercises().map(ex => new Option(label(ex), ex.id)));
+        this.renderDuplicates();
+        this.updatePreview();
+
+        document.getElementById('exerciseMergeModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * List every exercise but the survivor as a merge candidate, keeping ticks
+     */
+    renderDuplicates() {
+        const survivorId = document.getElementById('mergeSurvivor').value;
+        const list = document.getElementById('mergeDuplicates');
+        const checked = new Set(this.selectedDuplicates());
+
+        list.replaceChildren(...this.sortedExercises().filter(ex => ex.id !== survivorId).map(ex => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'merge-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = ex.id;
+            checkbox.checked = checked.has(ex.id);
+            checkbox.disabled = !survivorId;
+            const name = document.createElement('span');
+            name.textContent = ex.archived ? `${ex.name} (archived)` : ex.name;
+            const equipment = document.createElement('span');
+            equipment.className = 'merge-equipment';
+            equipment.textContent = formatEquipmentType(ex.equipmentType);
+            label.append(checkbox, name, equipment);
+            item.appendChild(label);
+            return item;
+        }));
+    },
+
+    /**
+     * Ids of the ticked duplicates
+     * @returns {array}
+     */
+    selectedDuplicates() {
+        return [...document.querySelectorAll('#mergeDuplicates input[type="checkbox"]:checked')].map(input => input.value);
+    },
+
+    /**
+     * Show how many records the merge would rewrite
+     */
+    async updatePreview() {
+        const token = ++this.previewToken;
+        const survivorId = document.getElementById('mergeSurvivor').value;
+        const duplicateIds = this.selectedDuplicates();
+        const preview = document.getElementById('mergePreview');
+        const applyBtn = document.getElementById('mergeApplyBtn');
+
+        this.plan = null;
+        applyBtn.disabled = true;
+        if (!survivorId || duplicateIds.length === 0) {
+            preview.textContent = 'Choose the exercise to keep and the duplicates to merge into it.';
+            return;
+        }
+
+        preview.textContent = 'Counting affected records...';
+        let plan;
+        try {
+            plan = await Storage.planExerciseMerge(survivorId, duplicateIds);
+        } catch (error) {
+            if (token === this.previewToken) preview.textContent = error.message;
+            return;
+        }
+        if (token !== this.previewToken) return;
+
+        const survivor = Storage.getExerciseById(survivorId);
+        const parts = [];
+        if (plan.sets > 0) {
+            parts.push(`${plan.sets} set${plan.sets === 1 ? '' : 's'} in ${plan.months.length} month${plan.months.length === 1 ? '' : 's'}`);
+        }
+        if (plan.templates.length > 0) {
+            parts.push(`${plan.templates.length} template${plan.templates.length === 1 ? '' : 's'} (${plan.templates.join(', ')})`);
+        }
+        const deleted = `${duplicateIds.length} exercise${duplicateIds.length === 1 ? '' : 's'}`;
+        preview.textContent = parts.length > 0
+            ? `${parts.join(' and ')} will switch to "${survivor.name}"; ${deleted} will be deleted and kept as aliases.`
+            : `No sets or templates use them; ${deleted} will be deleted and kept as aliases of "${survivor.name}".`;
+
+        this.plan = plan;
+        applyBtn.disabled = false;
+    },
+
+    /**
+     * Merge the selection as previewed
+     */
+    async handleMerge() {
+        const survivorId = document.getElementById('mergeSurvivor').value;
+        const duplicateIds = this.selectedDuplicates();
+        if (!this.plan || !survivorId || duplicateIds.length === 0) return;
+
+        showLoading(true);
+        try {
+            const plan = await Storage.mergeExercises(survivorId, duplicateIds);
+            this.close();
+            showToast(`Merged ${duplicateIds.length} exercise${duplicateIds.length === 1 ? '' : 's'} (${plan.sets} sets updated)`, 'success');
+        } catch (error) {
+            console.error('Error merging exercises:', error);
+            showToast(`Merge failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    close() {
+        document.getElementById('exerciseMergeModal').style.display = 'none';
+        document.getElementById('mergeDuplicates').replaceChildren();
+        this.previewToken++;
+        this.plan = null;
+    }
+};
@@ -3,11 +3,10 @@
 
 import { Storage } from './storage.js';
 import { showToast } from './app.js';
+import { ExerciseDeleteDialog } from './exercise-delete-dialog.js';
 import { CONFIG } from './config.js';
 import { validateExerciseName, validateEquipmentType, formatEquipmentType } from './utils.js';
 
-const MUSCLE_OPTIONS = ['chest', 'back', 'shoulders', 'legs', 'biceps', 'triceps', 'core', 'neck'];
-
 export const Exercises = {
     manageView: 'exercises',
     selectedEquipmentType: '',
@@ -23,6 +22,9 @@ export const Exercises = {
         this.initToggleGroups();
         this.setManageView(localStorage.getItem('activeManageTab') || 'exercises');
         this.render();
+
+        // Refresh when exercises change outside this view (sync, backup restore)
+        window.addEventListener('exercisesUpdated', () => this.render());
     },
 
     /**
@@ -121,7 +123,7 @@ export const Exercises = {
     },
 
     getMuscleOptions() {
-        return MUSCLE_OPTIONS.map((muscle) => ({
+        return CONFIG.muscles.map((muscle) => ({
             value: muscle,
             label: muscle.charAt(0).toUpperCase() + muscle.slice(1)
         }));
@@ -256,19 +258,22 @@ export const Exercises = {
     },
 
     /**
-     * Handle exercise deletion
+     * Handle exercise deletion: the dialog shows where the exercise is used and offers
+     * to archive it, move its history or delete it with its history
      * @param {string} id - Exercise ID
      */
     async handleDelete(id) {
-        const exercise = Storage.getExerciseById(id);
-
-        if (!confirm(`Are you sure you want to delete "${exercise.name}"? This action cannot be undone.`)) {
-            return;
-        }
+        await ExerciseDeleteDialog.open(Storage.getExerciseById(id));
+    },
 
+    /**
+     * Bring an archived exercise back into the pickers
+     * @param {string} id - Exercise ID
+     */
+    async handleUnarchive(id) {
         try {
-            await Storage.deleteExercise(id);
-            showToast('Exercise deleted successfully', 'success');
+            const exercise = await Storage.setExerciseArchived(id, false);
+            showToast(`"${exercise.name}" restored`, 'success');
             this.render();
 
             // Update exercise dropdowns in other sections
@@ -295,7 +300,8 @@ export const Exercises = {
             exercises = exercises.filter((exercise) => exercise.muscle === this.activeMuscleFilter);
         }
 
-        exercises.sort((a, b) => a.name.localeCompare(b.name));
+        // Archived exercises go last
+        exercises.sort((a, b) => Boolean(a.archived) - Boolean(b.archived) || a.name.localeCompare(b.name));
 
         // Clear container
         container.innerHTML = '';
@@ -330,7 +336,7 @@ export const Exercises = {
      */
     createExerciseCard(exercise) {
         const card = document.createElement('div');
-        card.className = 'exercise-card fade-in';
+        card.className = `exercise-card fade-in${exercise.archived ? ' archived' : ''}`;
 
         const header = document.createElement('div');
         header.className = 'exercise-card-header';
@@ -352,6 +358,13 @@ export const Exercises = {
         info.appendChild(badge);
         info.appendChild(muscleBadge);
 
+        if (exercise.archived) {
+            const archivedBadge = document.createElement('span');
+            archivedBadge.className = 'archived-badge';
+            archivedBadge.textContent = 'Archived';
+            info.appendChild(archivedBadge);
+        }
+
         const actions = document.createElement('div');
         actions.className = 'exercise-card-actions';
 
@@ -366,6 +379,13 @@ export const Exercises = {
         deleteBtn.onclick = () => this.handleDelete(exercise.id);
 
         actions.appendChild(editBtn);
+        if (exercise.archived) {
+            const unarchiveBtn = document.createElement('button');
+            unarchiveBtn.className = 'btn btn-small btn-secondary';
+            unarchiveBtn.innerHTML = '<i data-lucide="archive-restore"></i> Restore';
+            unarchiveBtn.onclick = () => this.handleUnarchive(exercise.id);
+            actions.appendChild(unarchiveBtn);
+        }
         actions.appendChild(deleteBtn);
 
         header.appendChild(info);
@@ -0,0 +1,100 @@
+// Export Dialog
+// "Export CSV" buttons in History and Statistics and the filter dialog behind them
+
+import { CsvExport } from './csv-export.js';
+import { Storage } from './storage.js';
+import { CONFIG } from './config.js';
+import { formatDate } from './utils.js';
+import { showToast, showLoading } from './app.js';
+
+export const ExportDialog = {
+    /**
+     * Wire the export buttons and the filter modal
+     */
+    init() {
+        const modal = document.getElementById('exportModal');
+        if (!modal) return;
+
+        document.querySelectorAll('.export-csv-btn').forEach(button => {
+            button.addEventListener('click', () => this.open());
+        });
+        document.getElementById('exportApplyBtn').addEventListener('click', () => this.handleExport());
+        document.getElementById('exportCancelBtn').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+    },
+
+    /**
+     * Open the dialog covering all stored history
+     */
+    async open() {
+        const today = formatDate(new Date());
+        const [firstMonth] = await Storage.listStoredMonths();
+        document.getElementById('exportStartDate').value = firstMonth ? `${firstMonth}-01` : today;
+        document.getElementById('exportEndDate').value = today;
+
+        this.renderFilters();
+        document.getElementById('exportModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Fill the exercise and muscle filters, keeping the previous choice
+     */
+    renderFilters() {
+        const exerciseSelect = document.getElementById('exportExercise');
+        const muscleSelect = document.getElementById('exportMuscle');
+        const previousExercise = exerciseSelect.value;
+        const previousMuscle = muscleSelect.value;
+
+        const exercises = [...Storage.getExercises()].sort((a, b) => a.name.localeCompare(b.name));
+        exerciseSelect.replaceChildren(new Option('All exercises', ''),
+            ...exercises.map(ex => new Option(ex.name, ex.id)));
+        muscleSelect.replaceChildren(new Option('All muscles', ''),
+            ...CONFIG.muscles.map(muscle => new Option(muscle.charAt(0).toUpperCase() + muscle.slice(1), muscle)));
+
+        exerciseSelect.value = exercises.some(ex => ex.id === previousExercise) ? previousExercise : '';
+        muscleSelect.value = previousMuscle;
+    },
+
+    /**
+     * Download the filtered sets
+     */
+    async handleExport() {
+        const filters = {
+            startDate: document.getElementById('exportStartDate').value,
+            endDate: document.getElementById('exportEndDate').value,
+            exerciseId: document.getElementById('exportExercise').value,
+            muscle: document.getElementById('exportMuscle').value
+        };
+        if (!filters.startDate || !filters.endDate) {
+            showToast('Please choose a date range', 'error');
+            return;
+        }
+        if (filters.startDate > filters.endDate) {
+            showToast('The start date must be before the end date', 'error');
+            return;
+        }
+
+        showLoading(true);
+        try {
+            const count = await CsvExport.download(filters);
+            if (count === 0) {
+                showToast('No sets match these filters', 'error');
+                return;
+            }
+            this.close();
+            showToast(`Exported ${count} sets`, 'success');
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            showToast(`Export failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    close() {
+        document.getElementById('exportModal').style.display = 'none';
+    }
+};
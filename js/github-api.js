@@ -2,10 +2,181 @@
 // Handles all interactions with GitHub REST API v3
 
 import { Auth } from './auth.js';
-import { getConfig, CONFIG } from './config.js';
+import { Encryption } from './encryption.js';
+import { getConfig, CONFIG, dataLayout, monthFilePath, monthKeyOfPath } from './config.js';
+import { encodeBase64Utf8, decodeBase64Utf8, getMonthKey } from './utils.js';
+
+/**
+ * Build an Error carrying the HTTP status of a failed API call.
+ * `conflict` marks a write rejected because the file changed since it was read.
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error}
+ */
+function apiError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    error.conflict = status === 409 || status === 422;
+    return error;
+}
+
+/**
+ * Serialize file content the way it is stored in the repository: base64 of pretty JSON
+ * as UTF-8, encrypted first while encryption is on (the key-check file itself stays readable)
+ * @param {string} path
+ * @param {object} content
+ * @returns {Promise<string>}
+ */
+async function encodeContent(path, content) {
+    const stored = Encryption.key && path !== CONFIG.paths.keyCheck ? await Encryption.encrypt(content) : content;
+    return encodeBase64Utf8(JSON.stringify(stored, null, 2));
+}
+
+/**
+ * Parse file content as returned by the API, decrypting encrypted files.
+ * Plain files are read as they are, so a repository can be switched to encryption.
+ * @param {string} base64
+ * @returns {Promise<object>}
+ */
+async function decodeContent(base64) {
+    const stored = JSON.parse(decodeBase64Utf8(base64));
+    return Encryption.isEnvelope(stored) ? await Encryption.decrypt(stored) : stored;
+}
+
+// Subject of every commit while encryption is on; the real message is in the encrypted body
+const ENCRYPTED_SUBJECT = 'Update data';
+
+/**
+ * Commit message as written to the repository. While encryption is on, the summary
+ * (exercise names, dates, set counts) would give the data away in the commit log, so
+ * the subject is fixed and the message is stored encrypted in the body.
+ * @param {string} message
+ * @returns {Promise<string>}
+ */
+async function encodeMessage(message) {
+    if (!Encryption.key) return message;
+    return `${ENCRYPTED_SUBJECT}\n\n${JSON.stringify(await Encryption.encrypt(message))}`;
+}
+
+/**
+ * Readable commit message: the encrypted body of an encrypted commit, decrypted with the
+ * current key (just the fixed subject if that is not possible, e.g. after a passphrase change)
+ * @param {string} message - As stored in the repository
+ * @returns {Promise<string>}
+ */
+async function decodeMessage(message) {
+    const [subject, body] = message.split('\n\n', 2);
+    if (subject !== ENCRYPTED_SUBJECT || !body) return message;
+    try {
+        const envelope = JSON.parse(body);
+        return Encryption.isEnvelope(envelope) ? await Encryption.decrypt(envelope) : message;
+    } catch {
+        return ENCRYPTED_SUBJECT;
+    }
+}
+
+// Attempts to land a multi-file commit when the branch keeps moving
+const MAX_COMMIT_ATTEMPTS = 3;
+
+// Largest file (bytes) the Contents API returns inline; bigger files are read and written as Git blobs
+const INLINE_CONTENT_LIMIT = 1024 * 1024;
+
+// Server errors GitHub documents as transient; the request is sent again
+const RETRY_STATUSES = [500, 502, 503, 504];
+
+/**
+ * Build the error for a request that cannot be sent before the rate limit resets.
+ * `rateLimited` lets the outbox keep the change for later, like an offline write.
+ * @param {number} retryAt - Time (ms) the budget is expected back
+ * @returns {Error}
+ */
+function rateLimitError(retryAt) {
+    const time = new Date(retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const error = apiError(`GitHub API rate limit reached. Try again after ${time}.`, 429);
+    error.rateLimited = true;
+    error.retryAt = retryAt;
+    return error;
+}
+
+/**
+ * Recognize a rate-limited response: the hourly budget is used up (primary limit), or
+ * GitHub asks to slow down (secondary limit, with or without Retry-After)
+ * @param {Response} response
+ * @returns {Promise<{retryAt: number, primary: boolean}|null>} null when the response is not rate-limited
+ */
+async function rateLimitOf(response) {
+    if (response.status !== 403 && response.status !== 429) return null;
+
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter !== null) {
+        return { retryAt: Date.now() + Number(retryAfter) * 1000, primary: false };
+    }
+    if (response.headers.get('X-RateLimit-Remaining') === '0') {
+        return { retryAt: Number(response.headers.get('X-RateLimit-Reset')) * 1000, primary: true };
+    }
 
+    // A 403 is usually a token problem; secondary limits without headers say so in the message
+    let text = '';
+    try {
+        text = await response.clone().text();
+    } catch {
+        // Body not readable: treat as a plain error
+    }
+    if (response.status === 429 || /rate limit/i.test(text)) {
+        return { retryAt: Date.now() + CONFIG.requests.secondaryLimitWaitSeconds * 1000, primary: false };
+    }
+    return null;
+}
+
+/**
+ * Exponential backoff with jitter, so retrying clients do not hit GitHub in step
+ * @param {number} attempt - 0 for the first retry
+ * @returns {number} Milliseconds to wait
+ */
+function backoffDelay(attempt) {
+    const ceiling = CONFIG.requests.retryBaseMs * 2 ** attempt;
+    return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Copy a cached file result so callers can modify it freely
+ * @param {{content: object, sha: string}|null} file
+ * @returns {{content: object, sha: string}|null}
+ */
+function copyFile(file) {
+    return file ? { content: structuredClone(file.content), sha: file.sha } : null;
+}
 
 export const GitHubAPI = {
+    // Decoded files read or written this session: path → { sha, etag, content }
+    fileCache: new Map(),
+
+    // GETs in flight, shared by concurrent callers of the same path: path → Promise
+    pendingReads: new Map(),
+
+    // Directory listings read this session: path → { etag, files }
+    listingCache: new Map(),
+
+    // Branch holding the data (configured, or the repository's default), looked up once per session
+    branch: null,
+
+    // Request budget from the last X-RateLimit-* headers (core resource); reset in epoch seconds
+    rateLimit: { limit: null, remaining: null, reset: null },
+
+    // Whether the low-budget warning went out for the current rate-limit window
+    lowBudgetWarned: false,
+
+    // Scheduler state: requests in flight, callers waiting for a slot, the pause after a
+    // secondary rate limit and the earliest time the next paced read may go out (ms)
+    activeRequests: 0,
+    requestQueue: [],
+    pausedUntil: 0,
+    nextPacedAt: 0,
+
     /**
      * Get current repository configuration
      * @returns {object} {owner, repo}
@@ -21,35 +192,194 @@ export const GitHubAPI = {
     },
 
     /**
-     * Get common headers for API requests
-     * @returns {object} Headers object
+     * Get common headers for API requests (asks for the PIN while the token is locked)
+     * @returns {Promise<object>} Headers object
      */
-    getHeaders() {
+    async getHeaders() {
         return {
-            'Authorization': `token ${Auth.getToken()}`,
+            'Authorization': `token ${await Auth.requireToken()}`,
             'Accept': 'application/vnd.github.v3+json',
             'Content-Type': 'application/json'
         };
     },
 
     /**
-     * List files in a directory
-     * @param {string} path - Directory path (e.g., 'data')
-     * @returns {Promise<array>} Array of file objects with name and path
+     * Send a request through the scheduler. At most CONFIG.requests.maxConcurrent requests
+     * are in flight; server errors, network errors and secondary rate limits are retried
+     * with jittered backoff; while the hourly budget is low, reads are spread over the rest
+     * of the window so bulk loads cannot use it up. Auth headers are added here.
+     * @param {string} url
+     * @param {object} options - fetch options; headers are added to the auth headers
+     * @returns {Promise<Response>} The final response, which may still be an error status
+     */
+    async request(url, options = {}) {
+        const method = options.method || 'GET';
+        await this.acquireSlot();
+        try {
+            for (let attempt = 0; ; attempt++) {
+                await this.waitForBudget(method);
+
+                let response;
+                try {
+                    const headers = { ...await this.getHeaders(), ...options.headers };
+                    response = await fetch(url, { ...options, headers });
+                } catch (error) {
+                    // Offline: fail now so the change is queued instead of waiting here
+                    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+                    if (!(error instanceof TypeError) || offline || attempt >= CONFIG.requests.maxRetries) throw error;
+                    console.warn(`[GitHubAPI] ${method} failed (${error.message}), retrying:`, url);
+                    await sleep(backoffDelay(attempt));
+                    continue;
+                }
+                this.recordRateLimit(response);
+
+                const limited = await rateLimitOf(response);
+                if (limited) {
+                    const wait = limited.retryAt - Date.now();
+                    if (limited.primary || wait > CONFIG.requests.maxWaitSeconds * 1000 || attempt >= CONFIG.requests.maxRetries) {
+                        throw rateLimitError(limited.retryAt);
+                    }
+                    // Secondary limit: every request holds off, not just this one
+                    console.warn(`[GitHubAPI] Secondary rate limit, pausing ${Math.ceil(wait / 1000)}s:`, url);
+                    this.pausedUntil = Math.max(this.pausedUntil, limited.retryAt + Math.random() * CONFIG.requests.retryBaseMs);
+                    continue;
+                }
+
+                if (RETRY_STATUSES.includes(response.status) && attempt < CONFIG.requests.maxRetries) {
+                    console.warn(`[GitHubAPI] ${method} ${response.status}, retrying:`, url);
+                    await sleep(backoffDelay(attempt));
+                    continue;
+                }
+                return response;
+            }
+        } finally {
+            this.releaseSlot();
+        }
+    },
+
+    /**
+     * Wait for one of the CONFIG.requests.maxConcurrent request slots
+     * @returns {Promise<void>}
+     */
+    async acquireSlot() {
+        if (this.activeRequests < CONFIG.requests.maxConcurrent) {
+            this.activeRequests++;
+            return;
+        }
+        // The slot is handed over by releaseSlot(), so the count stays the same
+        await new Promise(resolve => this.requestQueue.push(resolve));
+    },
+
+    releaseSlot() {
+        const next = this.requestQueue.shift();
+        if (next) {
+            next();
+        } else {
+            this.activeRequests--;
+        }
+    },
+
+    /**
+     * Hold a request until the budget allows it: after a secondary rate limit everything
+     * waits; with the hourly budget used up nothing is sent; below the reserve, reads are
+     * paced so the remaining requests last until the window resets. Writes are never paced,
+     * so saving stays possible. Waits longer than CONFIG.requests.maxWaitSeconds fail instead.
+     * @param {string} method - HTTP method
+     * @returns {Promise<void>}
+     */
+    async waitForBudget(method) {
+        const now = Date.now();
+        const maxWait = CONFIG.requests.maxWaitSeconds * 1000;
+        const { remaining, reset } = this.rateLimit;
+        const resetAt = reset * 1000;
+
+        if (remaining === 0 && resetAt > now) {
+            throw rateLimitError(resetAt);
+        }
+
+        let wait = this.pausedUntil - now;
+        if (wait <= 0 && method === 'GET' && remaining !== null && remaining <= CONFIG.requests.reserveBudget && resetAt > now) {
+            const at = Math.max(now, this.nextPacedAt);
+            if (at - now > maxWait) throw rateLimitError(resetAt);
+            this.nextPacedAt = at + (resetAt - now) / remaining;
+            wait = at - now;
+        }
+        if (wait > maxWait) throw rateLimitError(now + wait);
+        if (wait > 0) await sleep(wait);
+    },
+
+    /**
+     * Note the budget from a response's X-RateLimit-* headers
+     * @param {Response} response
+     */
+    recordRateLimit(response) {
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        const resource = response.headers.get('X-RateLimit-Resource');
+        if (remaining === null || (resource && resource !== 'core')) return;
+
+        this.updateBudget({
+            limit: Number(response.headers.get('X-RateLimit-Limit')),
+            remaining: Number(remaining),
+            reset: Number(response.headers.get('X-RateLimit-Reset'))
+        });
+    },
+
+    /**
+     * Store the current budget and warn once per window when it runs low (rateLimitLow event)
+     * @param {{limit: number, remaining: number, reset: number}} budget
+     */
+    updateBudget(budget) {
+        if (budget.reset !== this.rateLimit.reset) {
+            this.lowBudgetWarned = false;
+            this.nextPacedAt = 0;
+        }
+        this.rateLimit = budget;
+
+        if (!this.lowBudgetWarned && budget.remaining <= CONFIG.requests.lowBudget) {
+            this.lowBudgetWarned = true;
+            window.dispatchEvent(new CustomEvent('rateLimitLow', { detail: { ...budget } }));
+        }
+    },
+
+    /**
+     * Query string that reads from the configured branch ('' reads the default branch)
+     * @returns {string}
+     */
+    refQuery() {
+        const { branch } = dataLayout();
+        return branch ? `?ref=${encodeURIComponent(branch)}` : '';
+    },
+
+    /**
+     * List files in a directory. Revalidated with the ETag of the last listing, so an
+     * unchanged directory costs no API budget (304 responses are not counted).
+     * @param {string} path - Directory path (e.g., 'data'; '' for the repository root)
+     * @returns {Promise<array>} Array of file objects with name, path and sha
      */
     async listFiles(path) {
         try {
             const { owner, repo } = this.getRepoInfo();
-            const url = `${CONFIG.github.apiUrl}/repos/${owner}/${repo}/contents/${path}`;
+            const url = `${CONFIG.github.apiUrl}/repos/${owner}/${repo}/contents/${path}${this.refQuery()}`;
+            const cached = this.listingCache.get(path);
+            const headers = cached ? { 'If-None-Match': cached.etag } : {};
+
             console.log('[GitHubAPI] GET (listFiles):', url);
-            const response = await fetch(url, { headers: this.getHeaders() });
+            const response = await this.request(url, { headers });
             console.log('[GitHubAPI] GET (listFiles) response:', response.status, response.statusText, url);
 
+            if (response.status === 304) {
+                return structuredClone(cached.files);
+            }
             if (!response.ok) {
-                throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+                throw apiError(`GitHub API error: ${response.status} ${response.statusText}`, response.status);
             }
 
-            return await response.json();
+            const files = await response.json();
+            const etag = response.headers.get('ETag');
+            if (etag) {
+                this.listingCache.set(path, { etag, files: structuredClone(files) });
+            }
+            return files;
         } catch (error) {
             console.error('Error listing files:', error);
             return [];
@@ -57,79 +387,150 @@ export const GitHubAPI = {
     },
 
     /**
-     * Get file from repository
+     * Get file from repository through the session cache.
+     * A cached copy whose SHA matches `knownSha` is returned without a request;
+     * otherwise the file is revalidated with If-None-Match, and concurrent reads
+     * of the same path share one request.
      * @param {string} path - File path in repository (e.g., 'data/exercises.json')
      * @param {boolean} silent - If true, don't log 404 warnings
+     * @param {string|null} knownSha - Current SHA of the file, if known (e.g., from the month index)
      * @returns {Promise<{content: object, sha: string}|null>} File content and SHA
      */
-    async getFile(path, silent = false) {
+    async getFile(path, silent = false, knownSha = null) {
+        const cached = this.fileCache.get(path);
+        if (cached && knownSha && cached.sha === knownSha) {
+            return copyFile(cached);
+        }
+
+        if (!this.pendingReads.has(path)) {
+            const request = this.fetchFile(path, silent).finally(() => this.pendingReads.delete(path));
+            this.pendingReads.set(path, request);
+        }
+        return copyFile(await this.pendingReads.get(path));
+    },
+
+    /**
+     * Fetch a file from the API, revalidating the cached copy by ETag
+     * @param {string} path - File path in repository
+     * @param {boolean} silent - If true, don't log 404 warnings
+     * @returns {Promise<{sha: string, etag: string|null, content: object}|null>} Cache entry
+     */
+    async fetchFile(path, silent) {
         try {
             const { owner, repo } = this.getRepoInfo();
-            const url = `${CONFIG.github.apiUrl}/repos/${owner}/${repo}/contents/${path}`;
+            const url = `${CONFIG.github.apiUrl}/repos/${owner}/${repo}/contents/${path}${this.refQuery()}`;
+            const cached = this.fileCache.get(path);
+            const headers = {};
+            if (cached?.etag) {
+                headers['If-None-Match'] = cached.etag;
+            }
+
             console.log('[GitHubAPI] GET (getFile):', url);
-            const response = await fetch(url, { headers: this.getHeaders() });
+            const response = await this.request(url, { headers });
             console.log('[GitHubAPI] GET (getFile) response:', response.status, response.statusText, url);
 
+            if (response.status === 304) {
+                return cached;
+            }
+
             if (response.status === 404) {
+                this.fileCache.delete(path);
                 // File doesn't exist yet - this is normal for months without workouts
-                if (!silent && !path.includes(CONFIG.paths.workoutsPrefix)) {
+                if (!silent && !monthKeyOfPath(path)) {
                     console.log(`File not found: ${path}`);
                 }
                 return null;
             }
 
             if (response.status === 401 || response.status === 403) {
-                throw new Error('GitHub authentication failed. Your PAT may be expired or missing required repo access. Open Configuration in the menu and save a new token.');
+                throw apiError('GitHub authentication failed. Your PAT may be expired or missing required repo access. Open Configuration in the menu and save a new token.', response.status);
             }
 
             if (!response.ok) {
-                throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+                throw apiError(`GitHub API error: ${response.status} ${response.statusText}`, response.status);
             }
 
             const data = await response.json();
 
             // Decode base64 content
-            const content = JSON.parse(atob(data.content));
-
-            return {
-                content,
-                sha: data.sha
+            const entry = {
+                sha: data.sha,
+                etag: response.headers.get('ETag'),
+                content: await decodeContent(await this.contentOf(data))
             };
+            this.fileCache.set(path, entry);
+            return entry;
         } catch (error) {
             console.error('Error fetching file:', error);
             throw error;
         }
     },
 
+    /**
+     * Record content known to be the file at a SHA (written by this tab or another one);
+     * there is no ETag until the file is read again
+     * @param {string} path
+     * @param {string} sha
+     * @param {object} content - Decoded file content
+     */
+    cacheFile(path, sha, content) {
+        this.fileCache.set(path, { sha, etag: null, content: structuredClone(content) });
+    },
+
+    /**
+     * Base64 content of a Contents API file response. Files over the inline limit come
+     * without content (encoding 'none') and are read from the Git blobs API instead.
+     * @param {object} data - Contents API response for a file
+     * @returns {Promise<string>}
+     */
+    async contentOf(data) {
+        if (data.encoding !== 'none') return data.content;
+        console.log(`[GitHubAPI] ${data.path} is over the inline limit, reading blob ${data.sha}`);
+        const blob = await this.gitRequest('GET', `git/blobs/${data.sha}`);
+        return blob.content;
+    },
+
     /**
      * Create or update file in repository
      * @param {string} path - File path in repository
      * @param {object} content - Content to write (will be JSON stringified)
      * @param {string} message - Commit message
      * @param {string|null} sha - File SHA for updates (null for new files)
-     * @returns {Promise<object>} Response from GitHub
+     * @returns {Promise<object>} Response from GitHub ({content: {sha}, ...})
      */
     async putFile(path, content, message, sha = null) {
         try {
             const { owner, repo } = this.getRepoInfo();
             const url = `${CONFIG.github.apiUrl}/repos/${owner}/${repo}/contents/${path}`;
-            console.log('[GitHubAPI] PUT (putFile):', url, '| sha:', sha);
             // Encode content to base64
-            const encodedContent = btoa(JSON.stringify(content, null, 2));
+            const encodedContent = await encodeContent(path, content);
+
+            // Too big for the Contents API: write the blob and commit it with the Git Data API
+            if (encodedContent.length * 3 / 4 > INLINE_CONTENT_LIMIT) {
+                console.log('[GitHubAPI] PUT (putFile) over the inline limit, committing as a blob:', path);
+                const result = await this.commitFiles([{ path, content, sha }], message);
+                return { content: { sha: result.shas[path] }, commit: { sha: result.commit } };
+            }
+            console.log('[GitHubAPI] PUT (putFile):', url, '| sha:', sha);
 
             const body = {
-                message,
+                message: await encodeMessage(message),
                 content: encodedContent
             };
 
+            // Without a configured branch the Contents API writes to the default branch
+            const { branch } = dataLayout();
+            if (branch) {
+                body.branch = branch;
+            }
+
             // Include SHA if updating existing file
             if (sha) {
                 body.sha = sha;
             }
 
-            const response = await fetch(url, {
+            const response = await this.request(url, {
                 method: 'PUT',
-                headers: this.getHeaders(),
                 body: JSON.stringify(body)
             });
             console.log('[GitHubAPI] PUT (putFile) response:', response.status, response.statusText, url);
@@ -138,21 +539,201 @@ export const GitHubAPI = {
                 const errorBody = await response.text().catch(() => '');
                 console.error('[GitHubAPI] PUT error body:', errorBody);
                 if (response.status === 401 || response.status === 403) {
-                    throw new Error('GitHub authentication failed. Your PAT may be expired or missing required repo access. Open Configuration in the menu and save a new token.');
+                    throw apiError('GitHub authentication failed. Your PAT may be expired or missing required repo access. Open Configuration in the menu and save a new token.', response.status);
+                }
+                if (response.status === 409 || response.status === 422) {
+                    // Our copy is stale: the next read must go to the network
+                    this.fileCache.delete(path);
                 }
                 if (response.status === 409) {
-                    throw new Error('File has been modified. Please refresh and try again.');
+                    throw apiError('File has been modified. Please refresh and try again.', response.status);
                 }
-                throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+                throw apiError(`GitHub API error: ${response.status} ${response.statusText}`, response.status);
             }
 
-            return await response.json();
+            const result = await response.json();
+            this.cacheFile(path, result.content.sha, content);
+            return result;
         } catch (error) {
             console.error('Error updating file:', error);
             throw error;
         }
     },
 
+    /**
+     * Call a Git Data API endpoint of the configured repository
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - Path below /repos/:owner/:repo (e.g., 'git/blobs'; '' for the repository itself)
+     * @param {object|null} body - JSON body
+     * @returns {Promise<object>} Parsed response
+     */
+    async gitRequest(method, endpoint, body = null) {
+        const { owner, repo } = this.getRepoInfo();
+        const url = `${CONFIG.github.apiUrl}/repos/${owner}/${repo}${endpoint ? `/${endpoint}` : ''}`;
+        console.log(`[GitHubAPI] ${method} (git):`, url);
+        const response = await this.request(url, {
+            method,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        console.log(`[GitHubAPI] ${method} (git) response:`, response.status, response.statusText, url);
+
+        if (response.status === 401 || response.status === 403) {
+            throw apiError('GitHub authentication failed. Your PAT may be expired or missing required repo access. Open Configuration in the menu and save a new token.', response.status);
+        }
+        if (!response.ok) {
+            throw apiError(`GitHub API error: ${response.status} ${response.statusText}`, response.status);
+        }
+        return await response.json();
+    },
+
+    /**
+     * Name of the branch the data lives on: the configured one, else the repository's default branch
+     * @returns {Promise<string>}
+     */
+    async getBranch() {
+        if (!this.branch) {
+            this.branch = dataLayout().branch || (await this.gitRequest('GET', '')).default_branch;
+        }
+        return this.branch;
+    },
+
+    /**
+     * Write several files in one commit (Git Data API): stage a blob per file, build one
+     * tree on top of the current head and move the branch with a single ref update, so
+     * either every file changes or none does.
+     *
+     * Each file may give the SHA it expects to replace (`sha`, null = must not exist yet);
+     * if any differs from the head, nothing is written and a conflict error is thrown with
+     * `path` set to the stale file. `content: null` deletes the file, and a file without
+     * `content` is only checked, not written. `content` may also be
+     * a function receiving the blob SHAs of the files listed before it, for files that
+     * record other files' SHAs (e.g., the month index).
+     *
+     * @param {array} files - [{path, content, sha}]
+     * @param {string} message - Commit message
+     * @returns {Promise<{commit: string, shas: object}>} New commit SHA and blob SHA per written path
+     */
+    async commitFiles(files, message) {
+        try {
+            const branch = await this.getBranch();
+
+            for (let attempt = 1; ; attempt++) {
+                const ref = await this.gitRequest('GET', `git/ref/heads/${branch}`);
+                const head = await this.gitRequest('GET', `git/commits/${ref.object.sha}`);
+                const tree = await this.gitRequest('GET', `git/trees/${head.tree.sha}?recursive=1`);
+                const current = new Map(tree.tree.filter(entry => entry.type === 'blob').map(entry => [entry.path, entry.sha]));
+
+                const stale = files.find(file => file.sha !== undefined && (current.get(file.path) || null) !== (file.sha || null));
+                if (stale) {
+                    this.fileCache.delete(stale.path);
+                    const error = apiError(`File has been modified: ${stale.path}. Please refresh and try again.`, 409);
+                    error.path = stale.path;
+                    throw error;
+                }
+
+                const shas = {};
+                const written = new Map();
+                const entries = [];
+                for (const file of files) {
+                    if (file.content === undefined) continue;
+                    if (file.content === null) {
+                        // Deleting a file that does not exist would fail the whole tree
+                        if (current.has(file.path)) {
+                            entries.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+                        }
+                        shas[file.path] = null;
+                        continue;
+                    }
+
+                    const content = typeof file.content === 'function' ? file.content(shas) : file.content;
+                    const blob = await this.gitRequest('POST', 'git/blobs', { content: await encodeContent(file.path, content), encoding: 'base64' });
+                    entries.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+                    shas[file.path] = blob.sha;
+                    written.set(file.path, content);
+                }
+
+                const newTree = await this.gitRequest('POST', 'git/trees', { base_tree: head.tree.sha, tree: entries });
+                const commit = await this.gitRequest('POST', 'git/commits', { message: await encodeMessage(message), tree: newTree.sha, parents: [ref.object.sha] });
+
+                try {
+                    await this.gitRequest('PATCH', `git/refs/heads/${branch}`, { sha: commit.sha });
+                } catch (error) {
+                    // 422: another commit landed since the head was read; rebuild on top of it
+                    if (error.status !== 422 || attempt >= MAX_COMMIT_ATTEMPTS) throw error;
+                    continue;
+                }
+
+                files.forEach(file => {
+                    if (written.has(file.path)) {
+                        this.cacheFile(file.path, shas[file.path], written.get(file.path));
+                    } else if (file.content === null) {
+                        this.fileCache.delete(file.path);
+                    }
+                });
+                return { commit: commit.sha, shas };
+            }
+        } catch (error) {
+            console.error('Error committing files:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * List recent commits on the data branch that touched a path
+     * @param {string} path - File or directory (e.g., 'data'; '' for the whole repository)
+     * @param {number} limit - Number of commits (at most 100)
+     * @returns {Promise<array>} [{sha, message, date, author}], newest first
+     */
+    async listCommits(path, limit) {
+        const branch = await this.getBranch();
+        const query = `sha=${encodeURIComponent(branch)}${path ? `&path=${encodeURIComponent(path)}` : ''}&per_page=${limit}`;
+        const commits = await this.gitRequest('GET', `commits?${query}`);
+        return await Promise.all(commits.map(async ({ sha, commit }) => ({
+            sha,
+            message: await decodeMessage(commit.message),
+            date: commit.author?.date || commit.committer?.date || null,
+            author: commit.author?.name || null
+        })));
+    },
+
+    /**
+     * Get a commit with the files it changed
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<{sha: string, parent: string|null, message: string, date: string|null, author: string|null, files: array}>}
+     *   files: [{path, previousPath, status}], status as reported by GitHub ('added', 'modified', 'removed', 'renamed')
+     */
+    async getCommit(sha) {
+        const data = await this.gitRequest('GET', `commits/${sha}`);
+        return {
+            sha: data.sha,
+            parent: data.parents[0]?.sha || null,
+            message: await decodeMessage(data.commit.message),
+            date: data.commit.author?.date || data.commit.committer?.date || null,
+            author: data.commit.author?.name || null,
+            files: (data.files || []).map(file => ({
+                path: file.filename,
+                previousPath: file.previous_filename || file.filename,
+                status: file.status
+            }))
+        };
+    },
+
+    /**
+     * Read a file as it was at a commit (bypasses the session cache)
+     * @param {string} path - File path in repository
+     * @param {string} ref - Commit SHA
+     * @returns {Promise<object|null>} Parsed content, null if the file did not exist
+     */
+    async getFileAt(path, ref) {
+        try {
+            const data = await this.gitRequest('GET', `contents/${path}?ref=${ref}`);
+            return await decodeContent(await this.contentOf(data));
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    },
+
     /**
      * Get exercises from repository
      * @returns {Promise<{exercises: array, sha: string}>}
@@ -178,40 +759,38 @@ export const GitHubAPI = {
      * Save exercises to repository
      * @param {array} exercises - Array of exercise objects
      * @param {string|null} sha - Current file SHA
+     * @param {string|null} message - Commit message (defaults to a generic one)
      * @returns {Promise<object>}
      */
-    async saveExercises(exercises, sha = null) {
-        // WARNING: This file accepts unlimited growth. 
-        // If you create hundreds of exercises, it may eventually exceed 
-        // GitHub's 1MB API limit. For typical use (50-100 exercises), this won't be an issue.
+    async saveExercises(exercises, sha = null, message = null) {
+        // Past GitHub's 1MB inline limit putFile() switches to the Git blobs API
 
         const content = { exercises };
-        const message = sha
+        const defaultMessage = sha
             ? `Update exercises (${exercises.length} total)`
             : 'Initialize exercises';
 
-        return await this.putFile(CONFIG.paths.exercises, content, message, sha);
+        return await this.putFile(CONFIG.paths.exercises, content, message || defaultMessage, sha);
     },
 
     /**
      * Get workout file path for a given date
      * @param {Date} date - Date object
-     * @returns {string} File path (e.g., 'data/workouts-2026-01.json')
+     * @returns {string} File path (e.g., 'data/workouts-2026-01.json' with the default layout)
      */
     getWorkoutFilePath(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        return `${CONFIG.paths.workoutsPrefix}${year}-${month}.json`;
+        return monthFilePath(getMonthKey(date));
     },
 
     /**
      * Get workouts for a specific month
      * @param {Date} date - Any date within the target month
+     * @param {string|null} knownSha - Current file SHA if known (served from cache when it matches)
      * @returns {Promise<{workouts: array, sha: string, path: string}>}
      */
-    async getWorkouts(date) {
+    async getWorkouts(date, knownSha = null) {
         const path = this.getWorkoutFilePath(date);
-        const result = await this.getFile(path, true); // Silent mode for workouts
+        const result = await this.getFile(path, true, knownSha); // Silent mode for workouts
 
         if (!result) {
             // Return empty structure if file doesn't exist
@@ -230,77 +809,51 @@ export const GitHubAPI = {
     },
 
     /**
-     * Save workouts for a specific month
-     * @param {Date} date - Any date within the target month
-     * @param {array} workouts - Array of workout objects
-     * @param {string|null} sha - Current file SHA
-     * @returns {Promise<object>}
+     * List the workout files in the repository with their blob SHAs
+     * @returns {Promise<array>} [{monthKey, path, sha}], ascending by month
      */
-    async saveWorkouts(date, workouts, sha = null) {
-        const path = this.getWorkoutFilePath(date);
-        const content = { workouts };
-
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const message = sha
-            ? `Update workouts for ${year}-${month}`
-            : `Initialize workouts for ${year}-${month}`;
-
-        return await this.putFile(path, content, message, sha);
+    async listWorkoutFiles() {
+        const files = await this.listFiles(CONFIG.paths.root);
+
+        // Parse the months from workout filenames (CONFIG.paths.monthFile)
+        return files
+            .filter(file => file.type !== 'dir')
+            .map(file => ({ monthKey: monthKeyOfPath(file.path), path: file.path, sha: file.sha }))
+            .filter(file => file.monthKey)
+            .sort((a, b) => a.monthKey.localeCompare(b.monthKey));
     },
 
     /**
-     * Get workouts across multiple months (only fetches existing files)
-     * @param {Date} startDate - Start date
-     * @param {Date} endDate - End date
-     * @returns {Promise<array>} Combined array of workouts
+     * Get the workout month index (data/index.json)
+     * @returns {Promise<{index: object|null, sha: string|null}>} index is null if the file does not exist yet
      */
-    async getWorkoutsInRange(startDate, endDate) {
-        // First, list all files in the data folder
-        const dataPath = CONFIG.paths.workoutsPrefix.substring(0, CONFIG.paths.workoutsPrefix.lastIndexOf('/'));
-        const files = await this.listFiles(dataPath || 'data');
-
-        // Filter to only workout files
-        const prefix = CONFIG.paths.workoutsPrefix.split('/').pop();
-        const workoutFiles = files
-            .filter(file => file.name.startsWith(prefix) && file.name.endsWith('.json'))
-            .map(file => file.name);
-
-        // Parse the dates from filenames and filter by range
-        const regex = new RegExp(`${prefix}(\\d{4})-(\\d{2})\\.json`);
-        const relevantFiles = workoutFiles.filter(filename => {
-            const match = filename.match(regex);
-            if (!match) return false;
-
-
-            const year = parseInt(match[1]);
-            const month = parseInt(match[2]);
-            const fileDate = new Date(year, month - 1, 1);
-
-            const rangeStart = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
-            const rangeEnd = new Date(endDate.getFullYear(), endDate.getMonth(), 1);
-
-            return fileDate >= rangeStart && fileDate <= rangeEnd;
-        });
-
-        // Fetch only the files that exist
-        const workouts = [];
-        for (const filename of relevantFiles) {
-            try {
-                const match = filename.match(regex);
-                const year = parseInt(match[1]);
-
-                const month = parseInt(match[2]);
-                const date = new Date(year, month - 1, 1);
+    async getIndex() {
+        const result = await this.getFile(CONFIG.paths.index, true);
+        return result
+            ? { index: result.content, sha: result.sha }
+            : { index: null, sha: null };
+    },
 
-                const monthData = await this.getWorkouts(date);
-                workouts.push(...monthData.workouts);
-            } catch (error) {
-                console.warn(`Could not fetch ${filename}:`, error);
-            }
-        }
+    /**
+     * Save the workout month index
+     * @param {object} index - Index content
+     * @param {string|null} sha - Current file SHA
+     * @returns {Promise<object>}
+     */
+    async saveIndex(index, sha = null) {
+        const message = sha ? 'Update workout index' : 'Initialize workout index';
+        return await this.putFile(CONFIG.paths.index, index, message, sha);
+    },
 
-        return workouts;
+    /**
+     * Get the repository metadata (data/meta.json: schema version)
+     * @returns {Promise<{meta: object|null, sha: string|null}>} meta is null if the file does not exist yet
+     */
+    async getMeta() {
+        const result = await this.getFile(CONFIG.paths.meta, true);
+        return result
+            ? { meta: result.content, sha: result.sha }
+            : { meta: null, sha: null };
     },
 
     /**
@@ -327,30 +880,37 @@ export const GitHubAPI = {
      * Save session templates to repository
      * @param {array} templates - Array of template objects
      * @param {string|null} sha - Current file SHA
+     * @param {string|null} message - Commit message (defaults to a generic one)
      * @returns {Promise<object>}
      */
-    async saveSessionTemplates(templates, sha = null) {
+    async saveSessionTemplates(templates, sha = null, message = null) {
         const content = { templates };
-        const message = sha
+        const defaultMessage = sha
             ? `Update session templates (${templates.length} total)`
             : 'Initialize session templates';
 
-        return await this.putFile(CONFIG.paths.sessionTemplates, content, message, sha);
+        return await this.putFile(CONFIG.paths.sessionTemplates, content, message || defaultMessage, sha);
     },
 
     /**
-     * Check API rate limit status
+     * Check API rate limit status and note the core budget for the scheduler.
+     * Sent outside the scheduler: /rate_limit does not count against the limit.
      * @returns {Promise<object>} Rate limit information
      */
     async getRateLimit() {
         try {
             const response = await fetch(
                 `${CONFIG.github.apiUrl}/rate_limit`,
-                { headers: this.getHeaders() }
+                { headers: await this.getHeaders() }
             );
 
             if (response.ok) {
-                return await response.json();
+                const data = await response.json();
+                const core = data.resources?.core || data.rate;
+                if (core) {
+                    this.updateBudget({ limit: core.limit, remaining: core.remaining, reset: core.reset });
+                }
+                return data;
             }
             return null;
         } catch (error) {
@@ -0,0 +1,272 @@
+// GitHub Setup
+// Connection test for the Configuration panel (token, repository, push access, branch, data files) and repository bootstrap
+
+import { CONFIG, dataLayout, dataPaths, monthKeyOfPath } from './config.js';
+import { generateId, encodeBase64Utf8 } from './utils.js';
+import { SCHEMA_VERSION } from './migrations.js';
+
+// Token scopes (classic PAT) that allow writing data files: any one of them is enough
+const PRIVATE_REPO_SCOPES = ['repo'];
+const PUBLIC_REPO_SCOPES = ['repo', 'public_repo'];
+
+/**
+ * Call the GitHub API with credentials that may not be saved yet
+ * @param {{token: string}} credentials
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Path below the API root (e.g., '/user')
+ * @param {object|null} body - JSON body
+ * @returns {Promise<Response>}
+ */
+async function request(credentials, method, endpoint, body = null) {
+    const url = `${CONFIG.github.apiUrl}${endpoint}`;
+    console.log(`[GitHubSetup] ${method}:`, url);
+    return await fetch(url, {
+        method,
+        headers: {
+            'Authorization': `token ${credentials.token}`,
+            'Accept': 'application/vnd.github.v3+json',
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+/**
+ * Contents API path of a repository file or folder on a branch
+ * @param {{owner: string, repo: string}} settings
+ * @param {string} path - '' for the repository root
+ * @param {string} branch
+ * @returns {string}
+ */
+function contentsEndpoint(settings, path, branch) {
+    return `/repos/${settings.owner}/${settings.repo}/contents${path ? `/${path}` : ''}?ref=${encodeURIComponent(branch)}`;
+}
+
+/**
+ * Paths of the files in the data folder, from one listing
+ * @param {object} settings - As for GitHubSetup.verify()
+ * @param {object} paths - Layout paths (see dataPaths())
+ * @param {string} branch
+ * @returns {Promise<Set<string>>} Empty if the folder (or the whole repository) has no files yet
+ */
+async function listDataFiles(settings, paths, branch) {
+    const response = await request(settings, 'GET', contentsEndpoint(settings, paths.root, branch));
+    if (response.status === 404) return new Set();
+    if (!response.ok) throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    const entries = await response.json();
+    return new Set(entries.filter(entry => entry.type === 'file').map(entry => entry.path));
+}
+
+/**
+ * Data files setup creates. meta.json only goes into a repository without data: stamping
+ * the current schema version over older files would skip their migrations, which
+ * Storage.migrate() runs when the app loads instead.
+ * @param {object} paths - Layout paths (see dataPaths())
+ * @param {Set<string>} existing - Paths found (see listDataFiles())
+ * @returns {array} Paths
+ */
+function missingDataFiles(paths, existing) {
+    const missing = [paths.exercises, paths.sessionTemplates].filter(path => !existing.has(path));
+    const hasData = missing.length < 2 || [...existing].some(path => monthKeyOfPath(path, paths));
+    if (!hasData && !existing.has(paths.meta)) {
+        missing.push(paths.meta);
+    }
+    return missing;
+}
+
+/**
+ * Files a new repository starts with: default exercises, no templates, current schema version
+ * @param {object} paths - Layout paths (see dataPaths())
+ * @returns {array} [{path, content, message}]
+ */
+function bootstrapFiles(paths) {
+    const exercises = CONFIG.defaultExercises.map(exercise => ({
+        id: generateId(),
+        name: exercise.name,
+        equipmentType: exercise.equipmentType,
+        muscle: exercise.muscle,
+        requiresWeight: CONFIG.equipmentTypes[exercise.equipmentType]?.requiresWeight ?? true
+    }));
+
+    // meta.json last: it marks the layout as complete
+    return [
+        { path: paths.exercises, content: { exercises }, message: 'Initialize exercises' },
+        { path: paths.sessionTemplates, content: { templates: [] }, message: 'Initialize session templates' },
+        { path: paths.meta, content: { schemaVersion: SCHEMA_VERSION, createdAt: new Date().toISOString() }, message: 'Initialize data layout' }
+    ];
+}
+
+export const GitHubSetup = {
+    /**
+     * Check the token, the repository, push access, the branch and the data files.
+     * Stops at the first check that fails, since the later ones depend on it.
+     * @param {object} settings - {token, owner, repo} and optionally {branch, dataRoot, monthFilePattern}
+     * @returns {Promise<object>} {checks: [{label, status: 'ok'|'warn'|'fail', detail}],
+     *   ok, missingScopes, missingFiles, missingBranch, canBootstrap}
+     */
+    async verify(settings) {
+        const report = { checks: [], ok: false, missingScopes: [], missingFiles: [], missingBranch: null, canBootstrap: false };
+        const check = (label, status, detail) => report.checks.push({ label, status, detail });
+
+        // Token
+        let response;
+        try {
+            response = await request(settings, 'GET', '/user');
+        } catch (error) {
+            check('Token', 'fail', `GitHub could not be reached (${error.message})`);
+            return report;
+        }
+        if (response.status === 401) {
+            check('Token', 'fail', 'GitHub rejected the token: it is mistyped, expired or revoked');
+            return report;
+        }
+        if (!response.ok) {
+            check('Token', 'fail', `GitHub API error: ${response.status} ${response.statusText}`);
+            return report;
+        }
+        const user = await response.json();
+        // Classic tokens list their scopes; fine-grained tokens do not, their access shows on the repository
+        const scopeHeader = response.headers.get('X-OAuth-Scopes');
+        const scopes = scopeHeader === null ? null : scopeHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+        check('Token', 'ok', `Signed in as ${user.login}${scopes ? ` (scopes: ${scopes.join(', ') || 'none'})` : ' (fine-grained token)'}`);
+
+        // Repository
+        const repoEndpoint = `/repos/${settings.owner}/${settings.repo}`;
+        response = await request(settings, 'GET', repoEndpoint);
+        if (response.status === 404) {
+            check('Repository', 'fail', `${settings.owner}/${settings.repo} does not exist, or the token has no access to it. Check the owner and repository name.`);
+            return report;
+        }
+        if (!response.ok) {
+            check('Repository', 'fail', `GitHub API error: ${response.status} ${response.statusText}`);
+            return report;
+        }
+        const repository = await response.json();
+        check('Repository', 'ok', `${repository.full_name} (${repository.private ? 'private' : 'public'})`);
+
+        // Push access: the token's scopes and the user's role on the repository
+        if (scopes) {
+            const accepted = repository.private ? PRIVATE_REPO_SCOPES : PUBLIC_REPO_SCOPES;
+            if (!accepted.some(scope => scopes.includes(scope))) {
+                report.missingScopes = [repository.private ? 'repo' : 'public_repo'];
+            }
+        }
+        if (report.missingScopes.length > 0) {
+            check('Push access', 'fail', `The token is missing the '${report.missingScopes.join("', '")}' scope. Create a token with the 'repo' scope.`);
+            return report;
+        }
+        if (!repository.permissions?.push) {
+            check('Push access', 'fail', scopes
+                ? `${user.login} cannot push to ${repository.full_name}`
+                : `The token cannot push to ${repository.full_name}. Grant it "Contents: Read and write" on this repository.`);
+            return report;
+        }
+        check('Push access', 'ok', 'Can save data');
+
+        // Branch: the configured one, else the repository's default branch
+        const layout = dataLayout(settings);
+        const paths = dataPaths(layout);
+        const branch = layout.branch || repository.default_branch;
+        const branchExists = async name => {
+            const found = await request(settings, 'GET', `${repoEndpoint}/branches/${encodeURIComponent(name)}`);
+            if (found.status === 404) return false;
+            if (!found.ok) throw new Error(`GitHub API error: ${found.status} ${found.statusText}`);
+            return true;
+        };
+
+        let empty = false;
+        if (await branchExists(branch)) {
+            check('Branch', 'ok', branch);
+        } else if (branch !== repository.default_branch && await branchExists(repository.default_branch)) {
+            report.missingBranch = { name: branch, from: repository.default_branch };
+            check('Branch', 'warn', `'${branch}' does not exist yet; setting up creates it from '${repository.default_branch}'`);
+        } else if (branch === repository.default_branch) {
+            empty = true;
+            check('Branch', 'warn', `The repository is empty; setting it up creates '${branch}'`);
+        } else {
+            check('Branch', 'fail', `The repository is empty. Add a first commit on GitHub (e.g. a README) or leave the branch blank, then test again.`);
+            return report;
+        }
+
+        // Data files
+        if (!empty && !report.missingBranch) {
+            const existing = await listDataFiles(settings, paths, branch);
+            report.missingFiles = missingDataFiles(paths, existing);
+            if (existing.has(paths.keyCheck)) {
+                // Files written here would be plain text; the app itself fills gaps in encrypted data
+                report.missingFiles = [];
+                check('Data', 'ok', 'Encrypted data found; the app asks for its passphrase');
+            } else if (report.missingFiles.length === 0) {
+                check('Data', 'ok', existing.has(paths.meta)
+                    ? 'Exercises, templates and schema version found'
+                    : 'Exercises and templates found; the app upgrades them and records the schema version when it loads');
+            } else {
+                check('Data', 'warn', `Missing ${report.missingFiles.join(', ')}`);
+            }
+        } else {
+            report.missingFiles = bootstrapFiles(paths).map(file => file.path);
+            check('Data', 'warn', `No data yet${layout.dataRoot ? ` in ${layout.dataRoot}/` : ''}`);
+        }
+
+        report.ok = true;
+        report.canBootstrap = report.missingFiles.length > 0 || Boolean(report.missingBranch);
+        return report;
+    },
+
+    /**
+     * Create the data files the repository is missing, one commit each (the first one also
+     * creates the branch of an empty repository). A configured branch that does not exist
+     * yet is created from the default branch first. Existing files are left alone, and
+     * meta.json is only written when there is no data yet (see missingDataFiles()).
+     * @param {object} settings - As for verify()
+     * @returns {Promise<array>} Paths created
+     */
+    async bootstrap(settings) {
+        const layout = dataLayout(settings);
+        const paths = dataPaths(layout);
+        const repoEndpoint = `/repos/${settings.owner}/${settings.repo}`;
+        const found = await request(settings, 'GET', repoEndpoint);
+        if (!found.ok) {
+            throw new Error(`Could not read ${settings.owner}/${settings.repo}: GitHub API error ${found.status} ${found.statusText}`);
+        }
+        const repository = await found.json();
+        const branch = layout.branch || repository.default_branch;
+
+        // The default branch of an empty repository is created by the first file written below
+        if (branch !== repository.default_branch) {
+            const existing = await request(settings, 'GET', `${repoEndpoint}/branches/${encodeURIComponent(branch)}`);
+            if (existing.status === 404) {
+                const head = await request(settings, 'GET', `${repoEndpoint}/git/ref/heads/${encodeURIComponent(repository.default_branch)}`);
+                if (!head.ok) {
+                    throw new Error(`Could not read branch '${repository.default_branch}': GitHub API error ${head.status} ${head.statusText}`);
+                }
+                const created = await request(settings, 'POST', `${repoEndpoint}/git/refs`, {
+                    ref: `refs/heads/${branch}`,
+                    sha: (await head.json()).object.sha
+                });
+                if (!created.ok) {
+                    throw new Error(`Could not create branch '${branch}': GitHub API error ${created.status} ${created.statusText}`);
+                }
+            }
+        }
+
+        const missing = missingDataFiles(paths, await listDataFiles(settings, paths, branch));
+        const created = [];
+        for (const file of bootstrapFiles(paths).filter(({ path }) => missing.includes(path))) {
+            const body = {
+                message: file.message,
+                content: encodeBase64Utf8(JSON.stringify(file.content, null, 2))
+            };
+            if (layout.branch) body.branch = layout.branch;
+
+            const response = await request(settings, 'PUT', `${repoEndpoint}/contents/${file.path}`, body);
+            // 422: the file exists already (no SHA was given)
+            if (response.status === 422) continue;
+            if (!response.ok) {
+                throw new Error(`Could not create ${file.path}: GitHub API error ${response.status} ${response.statusText}`);
+            }
+            created.push(file.path);
+        }
+        return created;
+    }
+};
@@ -0,0 +1,597 @@
+// GitHub Storage Adapter
+// Persists exercises, monthly workout files and session templates in a GitHub repository
+
+import { GitHubAPI } from './github-api.js';
+import { Auth } from './auth.js';
+import { Encryption } from './encryption.js';
+import { CONFIG, monthKeyOfPath } from './config.js';
+import { parseMonthKey } from './utils.js';
+import { summarizeMonth } from './storage-adapters.js';
+
+const INDEX_VERSION = 1;
+
+// Attempts to save the index when other devices keep updating it
+const MAX_INDEX_ATTEMPTS = 3;
+
+/**
+ * Use index content read from the repository, or start an empty one if it is missing or outdated
+ * @param {object|null} index
+ * @returns {object}
+ */
+function parseIndex(index) {
+    return index?.version === INDEX_VERSION ? index : { version: INDEX_VERSION, months: {} };
+}
+
+/**
+ * Document target stored at a repository path (the index and meta files have none)
+ * @param {string} path
+ * @returns {string|null} 'exercises', 'templates', a month key (YYYY-MM) or null
+ */
+function documentTarget(path) {
+    if (path === CONFIG.paths.exercises) return 'exercises';
+    if (path === CONFIG.paths.sessionTemplates) return 'templates';
+    return monthKeyOfPath(path);
+}
+
+/**
+ * Items held by a document's file content
+ * @param {string} target
+ * @param {object|null} content
+ * @returns {array|null} null if the file did not exist
+ */
+function documentItems(target, content) {
+    if (!content) return null;
+    if (target === 'exercises') return content.exercises || [];
+    if (target === 'templates') return content.templates || [];
+    return content.workouts || [];
+}
+
+export const GitHubStorage = {
+    name: 'github',
+    capabilities: {
+        remote: true,
+        requiresToken: true,
+        sharedAcrossDevices: true,
+        history: true,
+        encryption: true,
+        changeDetection: true
+    },
+
+    // SHA of the last version read or written, keyed by repository path.
+    // Required to update an existing file and to detect changes made by other devices.
+    shas: {},
+
+    // data/index.json: { version, months: { 'YYYY-MM': { sha, count, firstDate, lastDate, exercises } } }
+    // Lets range and "last session" queries fetch only the month files they need.
+    index: null,
+
+    // Pending index load, shared by concurrent callers
+    indexLoading: null,
+
+    // Months whose index entries were updated in memory by a single-file save and
+    // are written with the next batch commit
+    unsavedIndexMonths: new Set(),
+
+    /**
+     * Unlock an encrypted repository; files are fetched on demand
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        this.shas = {};
+        this.index = null;
+        this.indexLoading = null;
+        this.unsavedIndexMonths = new Set();
+
+        // Start with the current budget so the request scheduler can pace from the first load
+        await GitHubAPI.getRateLimit();
+
+        const keyCheck = await GitHubAPI.getFile(CONFIG.paths.keyCheck, true);
+        this.shas[CONFIG.paths.keyCheck] = keyCheck?.sha || null;
+        if (keyCheck) {
+            await Encryption.unlock(keyCheck.content);
+        } else {
+            Encryption.use(null, null);
+        }
+    },
+
+    /**
+     * Whether the repository files are encrypted
+     * @returns {boolean}
+     */
+    isEncrypted() {
+        return Boolean(Encryption.keyCheck);
+    },
+
+    /**
+     * Rewrite every data file in one commit: encrypted with a key from the passphrase,
+     * or decrypted when the passphrase is null. Also used to change the passphrase.
+     * @param {string|null} passphrase
+     * @returns {Promise<void>}
+     */
+    async setEncryption(passphrase) {
+        const index = await this.loadIndex();
+        const months = Object.keys(index.months);
+        const paths = [CONFIG.paths.exercises, CONFIG.paths.sessionTemplates, CONFIG.paths.meta,
+            ...months.map(monthKey => this.documentFile(monthKey, []).path)];
+
+        // Read everything with the current key before switching
+        const read = await Promise.all(paths.map(path => GitHubAPI.getFile(path, true)));
+        const files = paths
+            .map((path, i) => ({ path, content: read[i]?.content, sha: read[i]?.sha }))
+            .filter(file => file.sha);
+
+        // Every month file gets a new blob SHA, so the index is rewritten with them
+        let nextIndex = null;
+        files.push({
+            path: CONFIG.paths.index,
+            sha: this.shas[CONFIG.paths.index] || null,
+            content: shas => {
+                nextIndex = { ...index, months: { ...index.months } };
+                months.forEach(monthKey => {
+                    const path = this.documentFile(monthKey, []).path;
+                    if (shas[path]) nextIndex.months[monthKey] = { ...index.months[monthKey], sha: shas[path] };
+                });
+                return nextIndex;
+            }
+        });
+
+        const next = passphrase ? await Encryption.createKey(passphrase) : { key: null, keyCheck: null };
+        const previous = { key: Encryption.key, keyCheck: Encryption.keyCheck };
+        files.push({ path: CONFIG.paths.keyCheck, content: next.keyCheck, sha: this.shas[CONFIG.paths.keyCheck] || null });
+
+        const message = !passphrase ? 'Decrypt data' : previous.keyCheck ? 'Change encryption passphrase' : 'Encrypt data';
+        Encryption.use(next.key, next.keyCheck);
+        try {
+            const result = await GitHubAPI.commitFiles(files, message);
+            Object.entries(result.shas).forEach(([path, sha]) => {
+                this.shas[path] = sha;
+            });
+            this.index = nextIndex;
+            this.unsavedIndexMonths.clear();
+        } catch (error) {
+            Encryption.use(previous.key, previous.keyCheck);
+            throw error;
+        }
+    },
+
+    /**
+     * Get the month index, reading and reconciling it once per session
+     * @returns {Promise<object>}
+     */
+    async loadIndex() {
+        if (this.index) return this.index;
+
+        if (!this.indexLoading) {
+            this.indexLoading = this.readIndex().finally(() => {
+                this.indexLoading = null;
+            });
+        }
+        return this.indexLoading;
+    },
+
+    /**
+     * Read data/index.json and bring it in line with the workout files in the repository.
+     * One directory listing is compared against the SHAs recorded in the index; only months
+     * that are missing or were written by a client that did not update the index are
+     * fetched (in parallel). Builds the index from scratch on first use.
+     * @returns {Promise<object>}
+     */
+    async readIndex() {
+        const data = await GitHubAPI.getIndex();
+        const index = parseIndex(data.index);
+        this.shas[CONFIG.paths.index] = data.sha;
+
+        const files = await GitHubAPI.listWorkoutFiles();
+        const changed = [];
+
+        // An empty listing with a non-empty index means the listing failed; trust the index
+        if (files.length > 0 || Object.keys(index.months).length === 0) {
+            const listed = new Set(files.map(file => file.monthKey));
+            Object.keys(index.months)
+                .filter(monthKey => !listed.has(monthKey))
+                .forEach(monthKey => {
+                    delete index.months[monthKey];
+                    changed.push(monthKey);
+                });
+
+            // The listed SHA, not the outdated one in the index: a cached copy is only used if it is current
+            const stale = files.filter(file => index.months[file.monthKey]?.sha !== file.sha);
+            const loaded = await Promise.all(stale.map(file => this.fetchMonth(file.monthKey, file.sha)));
+            stale.forEach((file, i) => {
+                index.months[file.monthKey] = { sha: loaded[i].sha, ...summarizeMonth(loaded[i].workouts) };
+                changed.push(file.monthKey);
+            });
+        }
+
+        // Months saved without their index entry were re-indexed from the listing
+        this.index = index;
+        this.unsavedIndexMonths.clear();
+        if (changed.length > 0 || !data.index) {
+            console.log(`Updating workout index (${changed.length} month(s) refreshed)`);
+            await this.saveIndex(changed).catch(error => console.warn('Could not save workout index:', error));
+        }
+        return index;
+    },
+
+    /**
+     * Save the index. If another device updated it meanwhile, take their version
+     * and re-apply only the months this device changed.
+     * @param {array} monthKeys - Months whose entries this device changed
+     * @returns {Promise<void>}
+     */
+    async saveIndex(monthKeys) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await GitHubAPI.saveIndex(this.index, this.shas[CONFIG.paths.index] || null);
+                this.shas[CONFIG.paths.index] = result.content.sha;
+                return;
+            } catch (error) {
+                if (!error.conflict || attempt >= MAX_INDEX_ATTEMPTS) throw error;
+
+                const remote = await GitHubAPI.getIndex();
+                const merged = parseIndex(remote.index);
+                monthKeys.forEach(monthKey => {
+                    if (this.index.months[monthKey]) {
+                        merged.months[monthKey] = this.index.months[monthKey];
+                    } else {
+                        delete merged.months[monthKey];
+                    }
+                });
+                this.index = merged;
+                this.shas[CONFIG.paths.index] = remote.sha;
+            }
+        }
+    },
+
+    /**
+     * Load exercises from exercises.json
+     * @returns {Promise<array>}
+     */
+    async loadExercises() {
+        const data = await GitHubAPI.getExercises();
+        this.shas[CONFIG.paths.exercises] = data.sha;
+        return data.exercises;
+    },
+
+    /**
+     * Save exercises to exercises.json
+     * @param {array} exercises
+     * @param {string} message - Optional commit message
+     * @returns {Promise<void>}
+     */
+    async saveExercises(exercises, message) {
+        const result = await GitHubAPI.saveExercises(exercises, this.shas[CONFIG.paths.exercises], message);
+        this.shas[CONFIG.paths.exercises] = result.content.sha;
+    },
+
+    /**
+     * Load session templates from session-templates.json
+     * @returns {Promise<array>}
+     */
+    async loadSessionTemplates() {
+        const data = await GitHubAPI.getSessionTemplates();
+        this.shas[CONFIG.paths.sessionTemplates] = data.sha;
+        return data.templates;
+    },
+
+    /**
+     * Save session templates to session-templates.json
+     * @param {array} templates
+     * @param {string} message - Optional commit message
+     * @returns {Promise<void>}
+     */
+    async saveSessionTemplates(templates, message) {
+        const result = await GitHubAPI.saveSessionTemplates(templates, this.shas[CONFIG.paths.sessionTemplates], message);
+        this.shas[CONFIG.paths.sessionTemplates] = result.content.sha;
+    },
+
+    /**
+     * List months that hold workouts, from the index
+     * @returns {Promise<array>} Month keys (YYYY-MM), ascending
+     */
+    async listMonths() {
+        const index = await this.loadIndex();
+        return Object.keys(index.months)
+            .filter(monthKey => index.months[monthKey].count > 0)
+            .sort();
+    },
+
+    /**
+     * Per-month summaries, from the index
+     * @returns {Promise<object>} Month key → {count, firstDate, lastDate, exercises}
+     */
+    async loadMonthSummaries() {
+        const index = await this.loadIndex();
+        return Object.fromEntries(
+            Object.entries(index.months)
+                .filter(([, entry]) => entry.count > 0)
+                .map(([monthKey, { sha, ...summary }]) => [monthKey, summary])
+        );
+    },
+
+    /**
+     * Fetch one month file and remember its SHA.
+     * A known SHA lets an unchanged month be served from the session cache.
+     * @param {string} monthKey - YYYY-MM
+     * @param {string|null} knownSha - Current SHA of the file; defaults to the one in the index
+     * @returns {Promise<{workouts: array, sha: string|null}>}
+     */
+    async fetchMonth(monthKey, knownSha = this.index?.months[monthKey]?.sha || null) {
+        const entry = this.index?.months[monthKey];
+        const data = await GitHubAPI.getWorkouts(parseMonthKey(monthKey), knownSha);
+        this.shas[data.path] = data.sha;
+
+        // Keep the in-memory index current if the file changed since it was indexed
+        if (entry && data.sha && entry.sha !== data.sha) {
+            this.index.months[monthKey] = { sha: data.sha, ...summarizeMonth(data.workouts) };
+        }
+        return data;
+    },
+
+    /**
+     * Load one month file
+     * @param {string} monthKey - YYYY-MM
+     * @returns {Promise<array>}
+     */
+    async loadMonth(monthKey) {
+        return (await this.fetchMonth(monthKey)).workouts;
+    },
+
+    /**
+     * Save one month file (creates it on first save) and its index entry (see saveBatch())
+     * @param {string} monthKey - YYYY-MM
+     * @param {array} workouts
+     * @param {string} message - Optional commit message
+     * @returns {Promise<void>}
+     */
+    async saveMonth(monthKey, workouts, message) {
+        await this.saveBatch([{ target: monthKey, items: workouts }], message);
+    },
+
+    /**
+     * Load the repository metadata from meta.json
+     * @returns {Promise<object|null>}
+     */
+    async loadMeta() {
+        const data = await GitHubAPI.getMeta();
+        this.shas[CONFIG.paths.meta] = data.sha;
+        return data.meta;
+    },
+
+    /**
+     * Repository path and content of a stored document
+     * @param {string} target - 'exercises', 'templates', 'meta' or a month key (YYYY-MM)
+     * @param {array|object} items - The meta object for 'meta'
+     * @returns {{path: string, content: object}}
+     */
+    documentFile(target, items) {
+        if (target === 'meta') {
+            return { path: CONFIG.paths.meta, content: items };
+        }
+        if (target === 'exercises') {
+            return { path: CONFIG.paths.exercises, content: { exercises: items } };
+        }
+        if (target === 'templates') {
+            return { path: CONFIG.paths.sessionTemplates, content: { templates: items } };
+        }
+        return { path: GitHubAPI.getWorkoutFilePath(parseMonthKey(target)), content: { workouts: items } };
+    },
+
+    /**
+     * Update one existing file with a single Contents API request. Its SHA is the conflict
+     * check; an encryption change on another device rewrites every file, so that is caught
+     * too. A month's index entry is only updated in memory and goes with the next batch.
+     * @param {object} file - {path, content, sha, target, items} as built by saveBatch()
+     * @param {string} message - Commit message
+     * @returns {Promise<void>}
+     */
+    async saveFile(file, message) {
+        const result = await GitHubAPI.putFile(file.path, file.content, message, file.sha);
+        this.shas[file.path] = result.content.sha;
+        if (this.index && !['exercises', 'templates', 'meta'].includes(file.target)) {
+            this.index.months[file.target] = { sha: result.content.sha, ...summarizeMonth(file.items) };
+            this.unsavedIndexMonths.add(file.target);
+        }
+    },
+
+    /**
+     * Save several documents in one commit. Month files are committed together with
+     * their index entries; if only the index was changed by another device meanwhile,
+     * its version is re-read and these entries are applied on top. The commit is refused
+     * if another device switched encryption since this one unlocked.
+     * A single existing file is saved with saveFile() instead, which takes one request
+     * where a commit takes eight.
+     * @param {array} documents - [{target, items}]
+     * @param {string} message - Optional commit message
+     * @returns {Promise<void>}
+     */
+    async saveBatch(documents, message) {
+        const files = documents.map(({ target, items }) => {
+            const { path, content } = this.documentFile(target, items);
+            return { path, content, sha: this.shas[path] || null, target, items };
+        });
+        const months = files.filter(file => !['exercises', 'templates', 'meta'].includes(file.target));
+
+        const defaultMessage = files.length === 1 && months.length === 1
+            ? `${files[0].sha ? 'Update' : 'Initialize'} workouts for ${months[0].target}`
+            : `Update ${files.map(file => file.path.split('/').pop()).join(', ')}`;
+
+        if (files.length === 1 && files[0].sha) {
+            await this.saveFile(files[0], message || defaultMessage);
+            return;
+        }
+        if (months.length > 0) {
+            await this.loadIndex();
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            let nextIndex = null;
+            const indexFiles = months.length === 0 && this.unsavedIndexMonths.size === 0 ? [] : [{
+                path: CONFIG.paths.index,
+                sha: this.shas[CONFIG.paths.index] || null,
+                content: shas => {
+                    nextIndex = { ...this.index, months: { ...this.index.months } };
+                    months.forEach(file => {
+                        nextIndex.months[file.target] = { sha: shas[file.path], ...summarizeMonth(file.items) };
+                    });
+                    return nextIndex;
+                }
+            }];
+
+            // Checked, not written: files must all be saved under the key in use
+            const keyCheckFile = { path: CONFIG.paths.keyCheck, sha: this.shas[CONFIG.paths.keyCheck] || null };
+
+            try {
+                const result = await GitHubAPI.commitFiles([...files, ...indexFiles, keyCheckFile], message || defaultMessage);
+                Object.entries(result.shas).forEach(([path, sha]) => {
+                    this.shas[path] = sha;
+                });
+                if (nextIndex) {
+                    this.index = nextIndex;
+                    this.unsavedIndexMonths.clear();
+                }
+                return;
+            } catch (error) {
+                if (error.conflict && error.path === CONFIG.paths.keyCheck) {
+                    throw new Error('Encryption was changed on another device. Reload the app to continue.');
+                }
+                if (!error.conflict || error.path !== CONFIG.paths.index || attempt >= MAX_INDEX_ATTEMPTS) throw error;
+
+                const remote = await GitHubAPI.getIndex();
+                const merged = parseIndex(remote.index);
+                this.unsavedIndexMonths.forEach(monthKey => {
+                    merged.months[monthKey] = this.index.months[monthKey];
+                });
+                this.index = merged;
+                this.shas[CONFIG.paths.index] = remote.sha;
+            }
+        }
+    },
+
+    /**
+     * Load workouts between two dates (inclusive), fetching only the indexed months
+     * that overlap the range, in parallel. Rejects if any of them cannot be read, so
+     * callers (exports in particular) never get a range with a month missing.
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<array>}
+     */
+    async loadRange(startDate, endDate) {
+        const index = await this.loadIndex();
+        const months = Object.keys(index.months).filter(monthKey => {
+            const entry = index.months[monthKey];
+            return entry.count > 0 && entry.firstDate <= endDate && entry.lastDate >= startDate;
+        });
+
+        const loaded = await Promise.all(months.map(monthKey => this.loadMonth(monthKey)));
+        return loaded.flat().filter(w => w.date >= startDate && w.date <= endDate);
+    },
+
+    /**
+     * Documents other devices changed since this device last read or wrote them. One
+     * listing of the data folder (free while nothing changed, see GitHubAPI.listFiles)
+     * is compared with the SHAs this session knows; months are compared with the index.
+     * When months changed, the index is re-read so range queries fetch the new files.
+     * @returns {Promise<array>} Targets: 'exercises', 'templates' and month keys
+     */
+    async listRemoteChanges() {
+        // Checking must not ask for the PIN; the next save or load will
+        if (Auth.isLocked()) return [];
+
+        const files = await GitHubAPI.listFiles(CONFIG.paths.root);
+        // An empty listing means the listing failed (or the folder is gone); nothing to compare
+        if (files.length === 0) return [];
+
+        const changed = [];
+        const listed = new Map(files.map(file => [file.path, file.sha]));
+        let indexStale = this.index !== null && CONFIG.paths.index in this.shas
+            && this.shas[CONFIG.paths.index] !== listed.get(CONFIG.paths.index);
+
+        files.forEach(file => {
+            const target = documentTarget(file.path);
+            if (!target) return;
+            const isMonth = target !== 'exercises' && target !== 'templates';
+            const known = file.path in this.shas ? this.shas[file.path] : this.index?.months[target]?.sha;
+            // Unknown: a document this session never read, or a month created since the index was read
+            if (known === undefined && !(isMonth && this.index)) return;
+            if (known === file.sha) return;
+            changed.push(target);
+            if (isMonth) indexStale = true;
+        });
+
+        // Files read this session that are gone now
+        Object.entries(this.shas).forEach(([path, sha]) => {
+            const target = documentTarget(path);
+            if (target && sha && !listed.has(path) && !changed.includes(target)) changed.push(target);
+        });
+
+        if (indexStale && this.index) {
+            if (!this.indexLoading) {
+                this.indexLoading = this.readIndex().finally(() => {
+                    this.indexLoading = null;
+                });
+            }
+            await this.indexLoading;
+        }
+        return changed;
+    },
+
+    /**
+     * SHA of a document as this device last read or wrote it
+     * @param {string} target - 'exercises', 'templates' or a month key
+     * @returns {string|null}
+     */
+    documentVersion(target) {
+        return this.shas[this.documentFile(target, []).path] ?? null;
+    },
+
+    /**
+     * Take over a document another tab saved as if this tab had written it: its SHA,
+     * the session file cache and, for a month, its index entry. The next save then
+     * builds on that commit instead of being rejected as stale.
+     * @param {string} target - 'exercises', 'templates' or a month key
+     * @param {array} items
+     * @param {string|null} version - SHA after the other tab's save
+     */
+    adoptDocument(target, items, version) {
+        if (!version) return;
+        const { path, content } = this.documentFile(target, items);
+        this.shas[path] = version;
+        GitHubAPI.cacheFile(path, version, content);
+        if (this.index && monthKeyOfPath(path)) {
+            this.index.months[target] = { sha: version, ...summarizeMonth(items) };
+        }
+    },
+
+    /**
+     * Recent commits that touched the data folder
+     * @param {number} limit
+     * @returns {Promise<array>} [{id, message, date, author}], newest first
+     */
+    async listHistory(limit) {
+        const commits = await GitHubAPI.listCommits(CONFIG.paths.root, limit);
+        return commits.map(({ sha, ...commit }) => ({ id: sha, ...commit }));
+    },
+
+    /**
+     * Read the documents a commit changed, as they were before and after it
+     * @param {string} id - Commit SHA
+     * @returns {Promise<object>} {id, message, date, author, documents: [{target, before, after}]}
+     */
+    async loadHistoryEntry(id) {
+        const commit = await GitHubAPI.getCommit(id);
+        const files = commit.files
+            .map(file => ({ ...file, target: documentTarget(file.path) }))
+            .filter(file => file.target);
+
+        const documents = await Promise.all(files.map(async file => {
+            const [before, after] = await Promise.all([
+                file.status === 'added' || !commit.parent ? null : GitHubAPI.getFileAt(file.previousPath, commit.parent),
+                file.status === 'removed' ? null : GitHubAPI.getFileAt(file.path, id)
+            ]);
+            return { target: file.target, before: documentItems(file.target, before), after: documentItems(file.target, after) };
+        }));
+
+        return { id: commit.sha, message: commit.message, date: commit.date, author: commit.author, documents };
+    }
+};
@@ -2,6 +2,7 @@
 // Displays daily workout history with sequence ordering and drag-and-drop reordering
 
 import { Storage } from './storage.js';
+import { TrashDialog } from './trash-dialog.js';
 import { showToast, showLoading } from './app.js';
 import { formatDate, parseDate, getWeekStart, getWeekNumber } from './utils.js';
 
@@ -341,8 +342,18 @@ export const History = {
         exerciseCount.className = 'workout-count';
         exerciseCount.textContent = `${exerciseGroups.size} exercise${exerciseGroups.size !== 1 ? 's' : ''}`;
 
+        const deleteDayBtn = document.createElement('button');
+        deleteDayBtn.className = 'btn-icon btn-small btn-secondary btn-danger-text history-delete-day';
+        deleteDayBtn.innerHTML = '<i data-lucide="trash-2" style="width: 14px; height: 14px;"></i>';
+        deleteDayBtn.title = 'Delete Day';
+        deleteDayBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.handleDeleteDay(date);
+        };
+
         header.appendChild(titleContainer);
         header.appendChild(exerciseCount);
+        header.appendChild(deleteDayBtn);
         group.appendChild(header);
 
         // Workouts list
@@ -527,19 +538,15 @@ export const History = {
      * @param {object} workout - Workout object to delete
      */
     async handleDeleteWorkout(workout) {
-        if (!confirm('Are you sure you want to delete this set?')) {
-            return;
-        }
-
         try {
             showLoading(true);
-            await Storage.deleteWorkout(workout.id, workout.date);
+            const entry = await Storage.deleteWorkout(workout.id, workout.date);
 
             // Dispatch event to update other components (like Statistics)
             window.dispatchEvent(new CustomEvent('workoutsUpdated'));
 
             await this.renderHistory();
-            showToast('Workout deleted successfully', 'success');
+            TrashDialog.offerUndo('Set deleted', entry);
         } catch (error) {
             console.error('Error deleting workout:', error);
             showToast(`Failed to delete: ${error.message}`, 'error');
@@ -548,6 +555,27 @@ export const History = {
         }
     },
 
+    /**
+     * Handle deleting every set of a day
+     * @param {string} date - Date string (YYYY-MM-DD)
+     */
+    async handleDeleteDay(date) {
+        try {
+            showLoading(true);
+            const entry = await Storage.deleteDay(date);
+
+            window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+
+            await this.renderHistory();
+            TrashDialog.offerUndo(`${entry.records.length} set${entry.records.length === 1 ? '' : 's'} deleted`, entry);
+        } catch (error) {
+            console.error('Error deleting day:', error);
+            showToast(`Failed to delete: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
     /**
      * Create history workout item with drag-and-drop and sequence badge
      * @param {object} workout - Workout object
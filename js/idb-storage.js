@@ -0,0 +1,156 @@
+// Local Storage Adapter
+// Browser-local (IndexedDB) backend used in Local mode — no GitHub account required
+
+import { IDB } from './idb.js';
+import { summarizeMonths } from './storage-adapters.js';
+import { formatDate, parseMonthKey } from './utils.js';
+
+/**
+ * Build the inclusive YYYY-MM-DD key range covering one calendar month
+ * @param {string} monthKey - YYYY-MM
+ * @returns {IDBKeyRange}
+ */
+function monthKeyRange(monthKey) {
+    const start = parseMonthKey(monthKey);
+    const end = new Date(start.getFullYear(), start.getMonth() + 1, 0);
+    return IDBKeyRange.bound(formatDate(start), formatDate(end));
+}
+
+export const IdbStorage = {
+    name: 'local',
+    capabilities: {
+        remote: false,
+        requiresToken: false,
+        sharedAcrossDevices: false,
+        history: false,
+        encryption: false,
+        changeDetection: false
+    },
+
+    /**
+     * Open the local database
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        console.log('💾 LOCAL MODE: Loading data from IndexedDB');
+        await IDB.open();
+    },
+
+    /**
+     * Read a whole-document value (exercises, templates)
+     * @param {string} key
+     * @returns {Promise<Array>}
+     */
+    async readDocument(key) {
+        const record = await IDB.get('documents', key);
+        return record ? record.value : [];
+    },
+
+    /**
+     * Write a whole-document value (exercises, templates)
+     * @param {string} key
+     * @param {Array} value
+     * @returns {Promise<void>}
+     */
+    async writeDocument(key, value) {
+        await IDB.putAll('documents', [{ key, value }]);
+    },
+
+    /**
+     * @returns {Promise<Array>}
+     */
+    async loadExercises() {
+        return this.readDocument('exercises');
+    },
+
+    /**
+     * @param {Array} exercises
+     * @returns {Promise<void>}
+     */
+    async saveExercises(exercises) {
+        await this.writeDocument('exercises', exercises);
+    },
+
+    /**
+     * @returns {Promise<Array>}
+     */
+    async loadSessionTemplates() {
+        return this.readDocument('templates');
+    },
+
+    /**
+     * @param {Array} templates
+     * @returns {Promise<void>}
+     */
+    async saveSessionTemplates(templates) {
+        await this.writeDocument('templates', templates);
+    },
+
+    /**
+     * Months that have at least one workout
+     * @returns {Promise<Array>} Month keys (YYYY-MM), ascending
+     */
+    async listMonths() {
+        const dates = await IDB.uniqueIndexKeys('workouts', 'date');
+        return [...new Set(dates.map(date => date.slice(0, 7)))];
+    },
+
+    /**
+     * @returns {Promise<object>} Month key → summary
+     */
+    async loadMonthSummaries() {
+        return summarizeMonths(await IDB.getAll('workouts'));
+    },
+
+    /**
+     * @param {string} monthKey - YYYY-MM
+     * @returns {Promise<Array>}
+     */
+    async loadMonth(monthKey) {
+        return IDB.getAll('workouts', monthKeyRange(monthKey), 'date');
+    },
+
+    /**
+     * Replace all workouts of a month in a single transaction
+     * @param {string} monthKey - YYYY-MM
+     * @param {Array} workouts
+     * @returns {Promise<void>}
+     */
+    async saveMonth(monthKey, workouts) {
+        await IDB.replaceRange('workouts', 'date', monthKeyRange(monthKey), workouts);
+    },
+
+    /**
+     * @returns {Promise<object|null>}
+     */
+    async loadMeta() {
+        const record = await IDB.get('documents', 'meta');
+        return record ? record.value : null;
+    },
+
+    /**
+     * Save several documents in a single transaction
+     * @param {Array} documents - [{target, items}]
+     * @returns {Promise<void>}
+     */
+    async saveBatch(documents) {
+        await IDB.transaction(['documents', 'workouts'], 'readwrite', tx => {
+            documents.forEach(({ target, items }) => {
+                if (target === 'exercises' || target === 'templates' || target === 'meta') {
+                    tx.objectStore('documents').put({ key: target, value: items });
+                } else {
+                    IDB.stageReplaceRange(tx, 'workouts', 'date', monthKeyRange(target), items);
+                }
+            });
+        });
+    },
+
+    /**
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<Array>}
+     */
+    async loadRange(startDate, endDate) {
+        return IDB.getAll('workouts', IDBKeyRange.bound(startDate, endDate), 'date');
+    }
+};
@@ -0,0 +1,240 @@
+// IndexedDB Wrapper
+// Promise-based helpers around the browser's IndexedDB (Local mode data, offline outbox, trash)
+
+const DB_NAME = 'progressive-overload';
+const DB_VERSION = 3;
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export const IDB = {
+    db: null,
+
+    // Database name; the test page uses its own so it never touches the app's data
+    name: DB_NAME,
+
+    /**
+     * Open (and upgrade if needed) the application database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available in this browser. Switch to GitHub mode to save data.');
+        }
+
+        const request = indexedDB.open(this.name, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            // Whole-document store (exercises list, session templates list)
+            if (!db.objectStoreNames.contains('documents')) {
+                db.createObjectStore('documents', { keyPath: 'key' });
+            }
+            // One record per logged set, indexed by date for range queries
+            if (!db.objectStoreNames.contains('workouts')) {
+                const workouts = db.createObjectStore('workouts', { keyPath: 'id' });
+                workouts.createIndex('date', 'date');
+            }
+            // Changes waiting to reach a remote backend, replayed in key order
+            if (!db.objectStoreNames.contains('outbox')) {
+                db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+            }
+            // Deleted records that can still be restored (see trash.js)
+            if (!db.objectStoreNames.contains('trash')) {
+                db.createObjectStore('trash', { keyPath: 'id', autoIncrement: true });
+            }
+        };
+
+        // Another tab still holds an older version open and did not give it up
+        // (a version of this app from before versionchange was handled)
+        let blocked = false;
+        const db = await new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                if (blocked) {
+                    // Opened after the caller gave up: nobody would ever close it
+                    request.result.close();
+                } else {
+                    resolve(request.result);
+                }
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                blocked = true;
+                reject(new Error('The local database is being upgraded but another tab of this app is still using it. Close the other tabs and reload.'));
+            };
+        });
+
+        // Let an upgrade or a delete started by another tab go ahead; the next call here reopens
+        db.onversionchange = () => {
+            db.close();
+            if (this.db === db) this.db = null;
+        };
+        this.db = db;
+        return this.db;
+    },
+
+    /**
+     * Run a callback inside a transaction and resolve once it commits
+     * @param {string|Array<string>} storeNames - Object store(s) to include
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the transaction; may return a value
+     * @returns {Promise<any>} Value returned by the callback
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        let result;
+        try {
+            result = callback(tx);
+        } catch (error) {
+            // Requests already queued would otherwise commit without the rest
+            tx.abort();
+            throw error;
+        }
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+        return result;
+    },
+
+    /**
+     * Get a single record by key
+     * @param {string} storeName
+     * @param {any} key
+     * @returns {Promise<object|undefined>}
+     */
+    async get(storeName, key) {
+        const db = await this.open();
+        return promisify(db.transaction(storeName).objectStore(storeName).get(key));
+    },
+
+    /**
+     * Get all records, optionally through an index and key range
+     * @param {string} storeName
+     * @param {IDBKeyRange|null} range
+     * @param {string|null} indexName
+     * @returns {Promise<Array>}
+     */
+    async getAll(storeName, range = null, indexName = null) {
+        const db = await this.open();
+        const store = db.transaction(storeName).objectStore(storeName);
+        const source = indexName ? store.index(indexName) : store;
+        return promisify(source.getAll(range));
+    },
+
+    /**
+     * Insert or replace records
+     * @param {string} storeName
+     * @param {Array<object>} records
+     * @returns {Promise<void>}
+     */
+    async putAll(storeName, records) {
+        await this.transaction(storeName, 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            records.forEach(record => store.put(record));
+        });
+    },
+
+    /**
+     * Insert a record and return its key (generated for auto-increment stores)
+     * @param {string} storeName
+     * @param {object} record
+     * @returns {Promise<any>} Record key
+     */
+    async add(storeName, record) {
+        let request;
+        await this.transaction(storeName, 'readwrite', tx => {
+            request = tx.objectStore(storeName).add(record);
+        });
+        return request.result;
+    },
+
+    /**
+     * Delete a single record by key
+     * @param {string} storeName
+     * @param {any} key
+     * @returns {Promise<void>}
+     */
+    async delete(storeName, key) {
+        await this.transaction(storeName, 'readwrite', tx => {
+            tx.objectStore(storeName).delete(key);
+        });
+    },
+
+    /**
+     * Atomically replace every record in an index range with a new set of records
+     * @param {string} storeName
+     * @param {string} indexName
+     * @param {IDBKeyRange} range
+     * @param {Array<object>} records
+     * @returns {Promise<void>}
+     */
+    async replaceRange(storeName, indexName, range, records) {
+        await this.transaction(storeName, 'readwrite', tx => {
+            this.stageReplaceRange(tx, storeName, indexName, range, records);
+        });
+    },
+
+    /**
+     * Queue a range replacement inside an open transaction (lets callers combine
+     * several writes into one atomic transaction)
+     * @param {IDBTransaction} tx - Read-write transaction including storeName
+     * @param {string} storeName
+     * @param {string} indexName
+     * @param {IDBKeyRange} range
+     * @param {Array<object>} records
+     */
+    stageReplaceRange(tx, storeName, indexName, range, records) {
+        const store = tx.objectStore(storeName);
+        const request = store.index(indexName).getAllKeys(range);
+        request.onsuccess = () => {
+            request.result.forEach(key => store.delete(key));
+            records.forEach(record => store.put(record));
+        };
+    },
+
+    /**
+     * Get the distinct keys of an index, ascending
+     * @param {string} storeName
+     * @param {string} indexName
+     * @returns {Promise<Array>}
+     */
+    async uniqueIndexKeys(storeName, indexName) {
+        const keys = [];
+        await this.transaction(storeName, 'readonly', tx => {
+            const request = tx.objectStore(storeName).index(indexName).openKeyCursor(null, 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                keys.push(cursor.key);
+                cursor.continue();
+            };
+        });
+        return keys;
+    },
+
+    /**
+     * Delete the whole database (used by "Clear Data")
+     * @returns {Promise<void>}
+     */
+    async deleteDatabase() {
+        if (typeof indexedDB === 'undefined') return;
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        await promisify(indexedDB.deleteDatabase(this.name));
+    }
+};
@@ -0,0 +1,215 @@
+// Import Dialog
+// Maps exercise names from a Strong / Hevy / FitNotes CSV to our exercises and imports the sets
+
+import { CsvImport } from './csv-import.js';
+import { Storage } from './storage.js';
+import { CONFIG } from './config.js';
+import { formatEquipmentType } from './utils.js';
+import { showToast, showLoading } from './app.js';
+
+// Select values that are not exercise ids
+const CREATE = '__create';
+const SKIP = '__skip';
+
+/**
+ * Build a <select> from [value, label] pairs
+ * @param {array} options
+ * @param {string} selected
+ * @returns {HTMLSelectElement}
+ */
+function buildSelect(options, selected) {
+    const select = document.createElement('select');
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = selected;
+    return select;
+}
+
+export const ImportDialog = {
+    // Result of CsvImport.parse for the file being mapped
+    parsed: null,
+
+    /**
+     * Wire the CSV button and the mapping modal
+     */
+    init() {
+        const importBtn = document.getElementById('csvImportBtn');
+        const fileInput = document.getElementById('csvFileInput');
+        if (!importBtn || !fileInput) return;
+
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (file) this.handleFile(file);
+        });
+
+        document.getElementById('importApplyBtn').addEventListener('click', () => this.handleImport());
+        document.getElementById('importCancelBtn').addEventListener('click', () => this.close());
+
+        const modal = document.getElementById('importModal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+    },
+
+    /**
+     * Read a chosen CSV file and open the mapping screen
+     * @param {File} file
+     */
+    async handleFile(file) {
+        try {
+            this.parsed = CsvImport.parse(await file.text());
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+
+        const { label, rows, skipped } = this.parsed;
+        const dates = [...new Set(rows.map(row => row.date))].sort();
+        const range = dates.length > 1 ? `${dates[0]} – ${dates[dates.length - 1]}` : dates[0];
+        const ignored = skipped > 0 ? `, ${skipped} rows without reps ignored` : '';
+        document.getElementById('importSource').textContent =
+            `${file.name} (${label}): ${rows.length} sets on ${dates.length} days, ${range}${ignored}`;
+
+        document.getElementById('importUnitGroup').style.display = rows.some(row => !row.unit) ? '' : 'none';
+        document.getElementById('importUnit').value = 'kg';
+        document.getElementById('importWarmupGroup').style.display = rows.some(row => row.warmup) ? '' : 'none';
+        document.getElementById('importSkipWarmups').checked = true;
+
+        this.renderMapping();
+        document.getElementById('importModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * One row per exercise name in the file: map it to a stored exercise,
+     * create it, or skip its sets
+     */
+    renderMapping() {
+        const counts = new Map();
+        this.parsed.rows.forEach(row => {
+            if (!counts.has(row.name)) counts.set(row.name, { sets: 0, category: row.category });
+            counts.get(row.name).sets++;
+        });
+
+        const exercises = [...Storage.getExercises()].sort((a, b) => a.name.localeCompare(b.name));
+        const targetOptions = [
+            [CREATE, 'Create new exercise'],
+            [SKIP, "Skip - don't import"],
+            ...exercises.map(ex => [ex.id, ex.name])
+        ];
+        const equipmentOptions = [['', 'Equipment...'],
+            ...Object.keys(CONFIG.equipmentTypes).map(type => [type, formatEquipmentType(type)])];
+        const muscleOptions = [['', 'Muscle...'],
+            ...CONFIG.muscles.map(muscle => [muscle, muscle.charAt(0).toUpperCase() + muscle.slice(1)])];
+
+        const list = document.getElementById('importMapping');
+        list.replaceChildren(...[...counts].map(([name, { sets, category }]) => {
+            const row = document.createElement('li');
+            row.className = 'import-row';
+            row.dataset.name = name;
+
+            const heading = document.createElement('div');
+            heading.className = 'import-name';
+            const label = document.createElement('span');
+            label.textContent = name;
+            const count = document.createElement('span');
+            count.className = 'backup-counts';
+            count.textContent = `${sets} set${sets === 1 ? '' : 's'}`;
+            heading.append(label, count);
+
+            const match = CsvImport.suggestExercise(name, exercises);
+            const target = buildSelect(targetOptions, match ? match.id : CREATE);
+            target.className = 'import-target';
+            target.setAttribute('aria-label', `Exercise for ${name}`);
+
+            const guess = CsvImport.guessDetails(name, category);
+            const details = document.createElement('div');
+            details.className = 'import-details';
+            const equipment = buildSelect(equipmentOptions, guess.equipmentType);
+            equipment.className = 'import-equipment';
+            equipment.setAttribute('aria-label', `Equipment for ${name}`);
+            const muscle = buildSelect(muscleOptions, guess.muscle);
+            muscle.className = 'import-muscle';
+            muscle.setAttribute('aria-label', `Muscle for ${name}`);
+            details.append(equipment, muscle);
+
+            const toggleDetails = () => {
+                details.style.display = target.value === CREATE ? '' : 'none';
+            };
+            target.addEventListener('change', toggleDetails);
+            toggleDetails();
+
+            row.append(heading, target, details);
+            return row;
+        }));
+    },
+
+    /**
+     * Create the missing exercises and import the mapped sets
+     */
+    async handleImport() {
+        const mapping = new Map();
+        const created = new Map();
+
+        try {
+            document.querySelectorAll('#importMapping .import-row').forEach(row => {
+                const name = row.dataset.name;
+                const target = row.querySelector('.import-target').value;
+                if (target === SKIP) return;
+                if (target !== CREATE) {
+                    mapping.set(name, target);
+                    return;
+                }
+
+                const equipmentType = row.querySelector('.import-equipment').value;
+                const muscle = row.querySelector('.import-muscle').value;
+                if (!equipmentType || !muscle) {
+                    throw new Error(`Choose equipment and muscle for ${name}`);
+                }
+
+                // Names that differ only in case become one exercise
+                const key = name.toLowerCase();
+                if (!created.has(key)) {
+                    created.set(key, Storage.buildExerciseRecord({ name, equipmentType, muscle }));
+                }
+                mapping.set(name, created.get(key).id);
+            });
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+
+        const entries = CsvImport.toEntries(this.parsed.rows, mapping, {
+            unit: document.getElementById('importUnit').value,
+            skipWarmups: document.getElementById('importSkipWarmups').checked
+        });
+        if (entries.length === 0) {
+            showToast('No sets selected for import', 'error');
+            return;
+        }
+
+        showLoading(true);
+        try {
+            const result = await Storage.importWorkouts([...created.values()], entries);
+            this.close();
+            const exercises = result.exercises > 0 ? ` and ${result.exercises} new exercises` : '';
+            showToast(`Imported ${result.sets} sets on ${result.days} days${exercises}`, 'success');
+        } catch (error) {
+            console.error('Error importing CSV:', error);
+            showToast(`Import failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    close() {
+        document.getElementById('importModal').style.display = 'none';
+        this.parsed = null;
+    }
+};
@@ -0,0 +1,173 @@
+// Integrity Dialog
+// "Check data" in the Configuration panel: lists problems in stored data and repairs the selected ones
+
+import { Integrity } from './integrity.js';
+import { Storage } from './storage.js';
+import { Migrations, SCHEMA_VERSION } from './migrations.js';
+import { showToast, showLoading } from './app.js';
+
+/**
+ * Schema version of the stored data and the upgrades still to run on it
+ * @param {object} report - Dry-run report from Storage.migrate()
+ * @returns {string}
+ */
+function describeSchema(report) {
+    if (report.fromVersion > SCHEMA_VERSION) {
+        return `Data schema v${report.fromVersion} is newer than this app (v${SCHEMA_VERSION}); update the app.`;
+    }
+    if (report.steps.length === 0) {
+        return `Data schema v${report.fromVersion}, up to date.`;
+    }
+    return `${Migrations.describe(report)}\nThese upgrades run the next time the app starts.`;
+}
+
+export const IntegrityDialog = {
+    // Result of the last Integrity.scan()
+    scan: null,
+
+    // Dry-run report of the data migrations still pending (see Storage.migrate)
+    migration: null,
+
+    /**
+     * Wire the Check button and the report modal
+     */
+    init() {
+        const checkBtn = document.getElementById('checkDataBtn');
+        if (!checkBtn) return;
+
+        checkBtn.addEventListener('click', () => this.open());
+        document.getElementById('integrityRepairBtn').addEventListener('click', () => this.handleRepair());
+        document.getElementById('integrityCloseBtn').addEventListener('click', () => this.close());
+
+        const modal = document.getElementById('integrityModal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+    },
+
+    /**
+     * Scan stored data and show the report
+     */
+    async open() {
+        showLoading(true);
+        try {
+            this.scan = await Integrity.scan();
+            this.migration = await Storage.migrate({ dryRun: true });
+        } catch (error) {
+            console.error('Error checking data:', error);
+            showToast(`Check failed: ${error.message}`, 'error');
+            return;
+        } finally {
+            showLoading(false);
+        }
+
+        this.render();
+        document.getElementById('integrityModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Show the issues of the last scan, each with its repair choice
+     */
+    render() {
+        const { documents, issues } = this.scan;
+        const summary = document.getElementById('integritySummary');
+        const list = document.getElementById('integrityIssues');
+        const files = Object.keys(documents.months).length + 2;
+
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        const warnings = issues.length - errors;
+        summary.textContent = issues.length === 0
+            ? `No problems found in ${files} files.`
+            : `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'} in ${files} files.`;
+        document.getElementById('integritySchema').textContent = describeSchema(this.migration);
+
+        list.replaceChildren(...issues.map((issue, index) => {
+            const row = document.createElement('li');
+            row.className = `integrity-issue ${issue.severity}`;
+
+            const label = document.createElement('label');
+            label.className = 'integrity-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.index = index;
+            checkbox.checked = issue.kind !== 'orphan' || Boolean(issue.suggestion);
+            const badge = document.createElement('span');
+            badge.className = 'integrity-severity';
+            badge.textContent = issue.severity;
+            const message = document.createElement('span');
+            message.textContent = issue.message;
+            label.append(checkbox, badge, message);
+            row.appendChild(label);
+
+            // Orphans are fixed once the user says which exercise they belong to (preset for merged exercises)
+            if (issue.kind === 'orphan') {
+                const select = document.createElement('select');
+                select.className = 'integrity-reassign';
+                select.setAttribute('aria-label', 'Reassign to exercise');
+                const exercises = Storage.getActiveExercises(issue.suggestion).sort((a, b) => a.name.localeCompare(b.name));
+                select.replaceChildren(new Option('Reassign to...', ''),
+                    ...exercises.map(ex => new Option(ex.name, ex.id)));
+                select.value = issue.suggestion || '';
+                select.addEventListener('change', () => {
+                    checkbox.checked = Boolean(select.value);
+                });
+                row.appendChild(select);
+            }
+            return row;
+        }));
+
+        document.getElementById('integrityRepairBtn').disabled = issues.length === 0;
+    },
+
+    /**
+     * Repair the ticked issues and check again
+     */
+    async handleRepair() {
+        const selected = [];
+        const reassign = new Map();
+        let missingChoice = false;
+
+        document.querySelectorAll('#integrityIssues .integrity-issue').forEach(row => {
+            const checkbox = row.querySelector('input[type="checkbox"]');
+            if (!checkbox.checked) return;
+            const issue = this.scan.issues[checkbox.dataset.index];
+            if (issue.kind === 'orphan') {
+                const exerciseId = row.querySelector('.integrity-reassign').value;
+                if (!exerciseId) {
+                    missingChoice = true;
+                    return;
+                }
+                reassign.set(issue.exerciseId, exerciseId);
+            }
+            selected.push(issue);
+        });
+
+        if (missingChoice) {
+            showToast('Choose an exercise for each missing exercise to repair', 'error');
+            return;
+        }
+        if (selected.length === 0) {
+            showToast('Select at least one issue to repair', 'error');
+            return;
+        }
+
+        showLoading(true);
+        try {
+            await Integrity.repair(this.scan.documents, selected, reassign);
+            this.scan = await Integrity.scan();
+            this.render();
+            showToast(`Repaired ${selected.length} issue${selected.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Error repairing data:', error);
+            showToast(`Repair failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    close() {
+        document.getElementById('integrityModal').style.display = 'none';
+        this.scan = null;
+    }
+};
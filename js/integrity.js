@@ -0,0 +1,254 @@
+// Integrity
+// Finds broken references, misfiled sets, duplicate ids and sequence gaps in stored data, and plans their repair
+
+import { Storage } from './storage.js';
+import { fingerprint } from './merge.js';
+import { getMonthKey } from './utils.js';
+
+const SEVERITY_ORDER = { error: 0, warning: 1 };
+
+/**
+ * Plural helper for issue messages
+ * @param {number} count
+ * @param {string} noun
+ * @returns {string}
+ */
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Exercise ids referenced by a template (single rows and superset exercises)
+ * @param {object} template
+ * @returns {array}
+ */
+function templateExerciseIds(template) {
+    return (template.rows || []).flatMap(row => [
+        row.exerciseId,
+        ...(row.exercises || []).map(entry => entry.exerciseId)
+    ]).filter(Boolean);
+}
+
+/**
+ * Group records by id, keeping the ids used more than once
+ * @param {array} occurrences - [{target, record}] in document order
+ * @returns {array} [[id, occurrences]]
+ */
+function findDuplicates(occurrences) {
+    const byId = new Map();
+    occurrences.forEach(occurrence => {
+        const { id } = occurrence.record;
+        if (!byId.has(id)) byId.set(id, []);
+        byId.get(id).push(occurrence);
+    });
+    return [...byId].filter(([, list]) => list.length > 1);
+}
+
+export const Integrity = {
+    /**
+     * Read every stored document and check it
+     * @returns {Promise<{documents: object, issues: array}>} documents as from Storage.exportDocuments()
+     */
+    async scan() {
+        const documents = await Storage.exportDocuments();
+        return { documents, issues: this.check(documents) };
+    },
+
+    /**
+     * Find problems in a set of documents.
+     * Issues are {kind, severity, message, ...details}; kind is 'duplicate', 'misfiled',
+     * 'orphan' or 'sequence', severity 'error' or 'warning'. Errors first. Orphans of a
+     * merged exercise carry the survivor's id as suggestion.
+     * @param {object} documents - {exercises, templates, months}
+     * @returns {array}
+     */
+    check({ exercises, templates, months }) {
+        const issues = [];
+        const monthKeys = Object.keys(months).sort();
+
+        // Duplicate ids: exercises and templates within their file, sets across all month files
+        const labels = { exercises: 'exercises', templates: 'templates' };
+        [['exercises', exercises], ['templates', templates]].forEach(([target, items]) => {
+            findDuplicates(items.map(record => ({ target, record }))).forEach(([id, occurrences]) => {
+                issues.push({
+                    kind: 'duplicate', severity: 'error', id, occurrences,
+                    message: `Id ${id} is used by ${occurrences.length} ${labels[target]}`
+                });
+            });
+        });
+        const sets = monthKeys.flatMap(monthKey => months[monthKey].map(record => ({ target: monthKey, record })));
+        findDuplicates(sets).forEach(([id, occurrences]) => {
+            const files = [...new Set(occurrences.map(occurrence => occurrence.target))];
+            issues.push({
+                kind: 'duplicate', severity: 'error', id, occurrences,
+                message: `Id ${id} is used by ${occurrences.length} sets (${files.join(', ')})`
+            });
+        });
+
+        // Sets stored in a month file other than their date's
+        monthKeys.forEach(monthKey => {
+            const records = months[monthKey].filter(w => getMonthKey(w.date) !== monthKey);
+            if (records.length === 0) return;
+            const dates = [...new Set(records.map(w => w.date))].sort();
+            issues.push({
+                kind: 'misfiled', severity: 'error', target: monthKey, records,
+                message: `${plural(records.length, 'set')} in ${monthKey} dated ${dates.join(', ')}`
+            });
+        });
+
+        // References to exercises that no longer exist; ids of merged exercises point to the survivor
+        const exerciseIds = new Set(exercises.map(ex => ex.id));
+        const mergedInto = new Map(exercises.flatMap(ex => (ex.aliases || []).map(alias => [alias.id, ex])));
+        const orphans = new Map();
+        const orphan = exerciseId => {
+            if (!orphans.has(exerciseId)) orphans.set(exerciseId, { sets: 0, months: new Set(), templates: 0 });
+            return orphans.get(exerciseId);
+        };
+        monthKeys.forEach(monthKey => {
+            months[monthKey].filter(w => !exerciseIds.has(w.exerciseId)).forEach(w => {
+                const entry = orphan(w.exerciseId);
+                entry.sets++;
+                entry.months.add(monthKey);
+            });
+        });
+        templates.forEach(template => {
+            new Set(templateExerciseIds(template).filter(id => !exerciseIds.has(id))).forEach(id => {
+                orphan(id).templates++;
+            });
+        });
+        orphans.forEach(({ sets: count, months: files, templates: templateCount }, exerciseId) => {
+            const parts = [];
+            if (count > 0) parts.push(`${plural(count, 'set')} (${[...files].join(', ')})`);
+            if (templateCount > 0) parts.push(plural(templateCount, 'template'));
+            const survivor = mergedInto.get(exerciseId);
+            issues.push({
+                kind: 'orphan', severity: count > 0 ? 'error' : 'warning', exerciseId,
+                months: [...files], templates: templateCount, suggestion: survivor ? survivor.id : null,
+                message: `${parts.join(' and ')} ${count + templateCount === 1 ? 'uses' : 'use'} missing exercise ${exerciseId}`
+                    + (survivor ? ` (merged into ${survivor.name})` : '')
+            });
+        });
+
+        // Sequence numbers of a date that are not 1, 2, 3, ...
+        monthKeys.forEach(monthKey => {
+            const byDate = new Map();
+            months[monthKey].forEach(w => {
+                if (!byDate.has(w.date)) byDate.set(w.date, []);
+                byDate.get(w.date).push(w.sequence);
+            });
+            const dates = [...byDate]
+                .filter(([, sequences]) => sequences.sort((a, b) => a - b).some((sequence, i) => sequence !== i + 1))
+                .map(([date]) => date)
+                .sort();
+            if (dates.length === 0) return;
+            issues.push({
+                kind: 'sequence', severity: 'warning', target: monthKey, dates,
+                message: `Sets out of sequence on ${dates.join(', ')}`
+            });
+        });
+
+        return issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    },
+
+    /**
+     * Document changes that fix the selected issues, in the order they must apply:
+     * duplicate ids, orphan reassignment, renumbering, then moves to the right month.
+     * @param {object} documents - The scanned documents
+     * @param {array} issues - Issues to fix (from check())
+     * @param {Map} reassign - Missing exercise id → exercise id to use instead (orphans)
+     * @returns {array} [{target, op, payload}] for Storage.commitBatch()
+     */
+    planRepairs(documents, issues, reassign = new Map()) {
+        const changes = [];
+        const selected = kind => issues.filter(issue => issue.kind === kind);
+
+        // Outcome of duplicate resolution per record object: 'remove' or its new id
+        const outcome = new Map();
+        const takenIds = new Set([
+            ...documents.exercises, ...documents.templates, ...Object.values(documents.months).flat()
+        ].map(record => record.id));
+        selected('duplicate').forEach(({ id, occurrences }) => {
+            const [first] = occurrences;
+            const actions = new Map();
+            occurrences.forEach((occurrence, i) => {
+                let action = 'keep';
+                if (i > 0 && fingerprint(occurrence.record, ['sequence']) === fingerprint(first.record, ['sequence'])) {
+                    action = 'remove';
+                } else if (i > 0) {
+                    let suffix = i + 1;
+                    while (takenIds.has(`${id}-${suffix}`)) suffix++;
+                    action = `${id}-${suffix}`;
+                    takenIds.add(action);
+                }
+                if (action !== 'keep') outcome.set(occurrence.record, action);
+                if (!actions.has(occurrence.target)) actions.set(occurrence.target, []);
+                actions.get(occurrence.target).push(action);
+            });
+            actions.forEach((list, target) => {
+                if (list.some(action => action !== 'keep')) {
+                    changes.push({ target, op: 'resolveDuplicates', payload: { id, actions: list } });
+                }
+            });
+        });
+        const currentId = record => {
+            const action = outcome.get(record);
+            return action && action !== 'remove' ? action : record.id;
+        };
+        const removed = record => outcome.get(record) === 'remove';
+
+        selected('orphan').filter(issue => reassign.get(issue.exerciseId)).forEach(issue => {
+            const payload = { from: issue.exerciseId, to: reassign.get(issue.exerciseId) };
+            issue.months.forEach(target => changes.push({ target, op: 'reassignExercise', payload }));
+            if (issue.templates > 0) changes.push({ target: 'templates', op: 'reassignExercise', payload });
+        });
+
+        selected('sequence').forEach(({ target, dates }) => {
+            dates.forEach(date => {
+                const ids = documents.months[target]
+                    .filter(w => w.date === date && !removed(w))
+                    .sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+                    .map(currentId);
+                changes.push({ target, op: 'reorderWorkouts', payload: { date, ids } });
+            });
+        });
+
+        // A duplicated id left unresolved would make the move ambiguous; those sets stay put
+        const resolved = new Set(selected('duplicate').map(issue => issue.id));
+        const unresolved = new Set(this.check(documents)
+            .filter(issue => issue.kind === 'duplicate' && !resolved.has(issue.id))
+            .map(issue => issue.id));
+        selected('misfiled').forEach(({ target, records }) => {
+            records.filter(record => !removed(record) && !unresolved.has(record.id)).forEach(record => {
+                const id = currentId(record);
+                const exerciseId = reassign.get(record.exerciseId) || record.exerciseId;
+                changes.push({ target, op: 'deleteWorkout', payload: { id, date: record.date } });
+                changes.push({
+                    target: getMonthKey(record.date),
+                    op: 'addWorkouts',
+                    payload: { date: record.date, records: [{ ...record, id, exerciseId }] }
+                });
+            });
+        });
+
+        return changes;
+    },
+
+    /**
+     * Fix the selected issues, all files in one save
+     * @param {object} documents - The scanned documents
+     * @param {array} issues - Issues to fix
+     * @param {Map} reassign - See planRepairs()
+     * @returns {Promise<number>} Number of changes applied
+     */
+    async repair(documents, issues, reassign) {
+        const changes = this.planRepairs(documents, issues, reassign);
+        if (changes.length === 0) return 0;
+
+        await Storage.commitBatch(changes);
+
+        window.dispatchEvent(new CustomEvent('exercisesUpdated'));
+        window.dispatchEvent(new CustomEvent('templatesUpdated'));
+        window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+        return changes.length;
+    }
+};
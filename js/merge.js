@@ -0,0 +1,58 @@
+// Merge
+// Record-level three-way merge of stored documents, keyed by record id
+
+/**
+ * Stable JSON form of a record without the ignored fields
+ * @param {object} record
+ * @param {array} ignore - Field names to leave out
+ * @returns {string}
+ */
+export function fingerprint(record, ignore = []) {
+    const keys = Object.keys(record).filter(key => !ignore.includes(key)).sort();
+    return JSON.stringify(keys.map(key => [key, record[key]]));
+}
+
+/**
+ * Three-way merge of two edited copies of the same record list.
+ *   - changed on one side only → that side wins (deletions included)
+ *   - changed the same way on both sides → taken once
+ *   - changed differently on both sides → reported as a conflict, remote version kept
+ * Remote records keep their order; records only known locally follow.
+ * @param {array} base - Records as last read from the backend
+ * @param {array} local - Records including this device's changes
+ * @param {array} remote - Records currently in the backend
+ * @param {array} ignore - Fields left out of the comparison (e.g. 'sequence', recomputed by the caller)
+ * @returns {{merged: array, conflicts: array}} Conflicts as {id, base, local, remote}; null means absent/deleted
+ */
+export function threeWayMerge(base, local, remote, ignore = []) {
+    const byId = records => new Map(records.map(record => [record.id, record]));
+    const baseById = byId(base);
+    const localById = byId(local);
+    const remoteById = byId(remote);
+
+    const same = (a, b) => (a && b ? fingerprint(a, ignore) === fingerprint(b, ignore) : a === b);
+
+    const merged = [];
+    const conflicts = [];
+    const ids = new Set([...remote.map(record => record.id), ...local.map(record => record.id)]);
+
+    ids.forEach(id => {
+        const baseRecord = baseById.get(id) || null;
+        const localRecord = localById.get(id) || null;
+        const remoteRecord = remoteById.get(id) || null;
+
+        let picked;
+        if (same(localRecord, remoteRecord) || same(remoteRecord, baseRecord)) {
+            picked = localRecord;
+        } else if (same(localRecord, baseRecord)) {
+            picked = remoteRecord;
+        } else {
+            conflicts.push({ id, base: baseRecord, local: localRecord, remote: remoteRecord });
+            picked = remoteRecord;
+        }
+
+        if (picked) merged.push(picked);
+    });
+
+    return { merged, conflicts };
+}
@@ -0,0 +1,155 @@
+// Migrations
+// Ordered, versioned upgrades of stored data; data/meta.json records the schema version reached
+
+/**
+ * Give template rows a type and every row, exercise and set an id. The v2 step runs it
+ * once over stored templates; Storage also runs it on templates as they are loaded or
+ * saved, which covers restores and older clients writing after the migration. Missing
+ * ids are derived from the owner's id and the position, so running it again on the
+ * same rows gives the same ids.
+ * @param {array} rows
+ * @param {string} ownerId - Id of the template (or planner session) holding the rows
+ * @returns {array}
+ */
+export function normalizeTemplateRows(rows, ownerId) {
+    return (rows || []).map((row, rowIdx) => {
+        const r = { ...row };
+        if (!r.id) r.id = `${ownerId}-row-${rowIdx + 1}`;
+        if (!r.type) r.type = 'single';
+
+        if (r.type === 'single') {
+            r.sets = (r.sets || []).map((set, i) => ({
+                id: set.id || `${r.id}-set-${i + 1}`,
+                reps: set.reps ?? '',
+                weight: set.weight ?? ''
+            }));
+        } else {
+            r.exercises = (r.exercises || []).map((ex, exIdx) => {
+                const exId = ex.id || `${r.id}-ex-${exIdx}`;
+                return {
+                    ...ex,
+                    id: exId,
+                    sets: (ex.sets || []).map((set, i) => ({
+                        id: set.id || `${exId}-set-${i + 1}`,
+                        reps: set.reps ?? '',
+                        weight: set.weight ?? ''
+                    }))
+                };
+            });
+        }
+        return r;
+    });
+}
+
+/**
+ * Upgrade steps in version order. A step may define exercises(items), templates(items)
+ * and month(workouts, monthKey); each edits the array in place and returns how many
+ * records it changed. Steps run once per repository and must never be reordered or
+ * renumbered — add a new step for every data model change.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Number sets that have no sequence',
+        month(workouts) {
+            const byDate = new Map();
+            workouts.forEach(w => {
+                if (!byDate.has(w.date)) byDate.set(w.date, []);
+                byDate.get(w.date).push(w);
+            });
+
+            let changed = 0;
+            byDate.forEach(sets => {
+                if (sets.every(w => Number.isInteger(w.sequence))) return;
+
+                // Numbered sets keep their order; the rest follow in creation order (ids start with a timestamp)
+                const rank = w => (Number.isInteger(w.sequence) ? w.sequence : Infinity);
+                sets.sort((a, b) => rank(a) - rank(b) || a.id.localeCompare(b.id));
+                sets.forEach((w, i) => {
+                    if (w.sequence !== i + 1) {
+                        w.sequence = i + 1;
+                        changed++;
+                    }
+                });
+            });
+            return changed;
+        }
+    },
+    {
+        version: 2,
+        description: 'Give template rows a type and ids',
+        templates(items) {
+            let changed = 0;
+            items.forEach((template, i) => {
+                const rows = normalizeTemplateRows(template.rows, template.id);
+                if (JSON.stringify(rows) !== JSON.stringify(template.rows)) {
+                    items[i] = { ...template, rows };
+                    changed++;
+                }
+            });
+            return changed;
+        }
+    }
+];
+
+// Schema version written by this version of the app
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export const Migrations = {
+    /**
+     * Steps still to run for data at a schema version
+     * @param {number} fromVersion
+     * @returns {array}
+     */
+    pending(fromVersion) {
+        return MIGRATIONS.filter(step => step.version > fromVersion);
+    },
+
+    /**
+     * Run the pending steps over a set of documents (edited in place)
+     * @param {Map<string, array>} documents - 'exercises', 'templates' and month keys → items
+     * @param {number} fromVersion - Schema version the documents are at
+     * @returns {{fromVersion: number, toVersion: number, steps: array, changed: array}} steps are
+     *   [{version, description, changes: {target: count}}]; changed lists the targets any step edited
+     */
+    apply(documents, fromVersion) {
+        const changed = new Set();
+        const steps = this.pending(fromVersion).map(step => {
+            const changes = {};
+            documents.forEach((items, target) => {
+                let count = 0;
+                if (target === 'exercises') {
+                    count = step.exercises ? step.exercises(items) : 0;
+                } else if (target === 'templates') {
+                    count = step.templates ? step.templates(items) : 0;
+                } else {
+                    count = step.month ? step.month(items, target) : 0;
+                }
+                if (count > 0) {
+                    changes[target] = count;
+                    changed.add(target);
+                }
+            });
+            return { version: step.version, description: step.description, changes };
+        });
+
+        return { fromVersion, toVersion: Math.max(fromVersion, SCHEMA_VERSION), steps, changed: [...changed] };
+    },
+
+    /**
+     * Readable report of a migration, one line per step
+     * @param {object} report - From apply()
+     * @returns {string}
+     */
+    describe(report) {
+        const lines = report.steps.map(({ version, description, changes }) => {
+            const entries = Object.entries(changes);
+            const total = entries.reduce((sum, [, count]) => sum + count, 0);
+            const detail = entries.length > 0
+                ? `${total} record${total === 1 ? '' : 's'} in ${entries.map(([target]) => target).join(', ')}`
+                : 'nothing to change';
+            return `v${version} ${description}: ${detail}`;
+        });
+        return [`Migrate data from schema v${report.fromVersion} to v${report.toVersion}`, ...lines].join('\n');
+    }
+};
@@ -0,0 +1,144 @@
+// Outbox
+// Persistent queue of changes waiting to reach a remote backend (offline writes)
+
+import { IDB } from './idb.js';
+
+export const Outbox = {
+    // Queued entries in replay order: {seq, changes: [{target, op, payload}], queuedAt}.
+    // The changes of one entry are saved together (one commit / transaction).
+    // Changes held by hold() are stored the same way but only listed here from the next visit.
+    entries: [],
+
+    // False when IndexedDB is unavailable: the queue then only lives until reload
+    persistent: true,
+
+    // Fallback sequence used when the queue is not persistent
+    nextSeq: 1,
+
+    /**
+     * Load entries left over from a previous visit
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const stored = await IDB.getAll('outbox');
+            // Entries queued before batches existed hold a single change
+            this.entries = stored.map(({ seq, target, op, payload, changes, queuedAt }) =>
+                ({ seq, changes: changes || [{ target, op, payload }], queuedAt }));
+        } catch (error) {
+            console.warn('Offline queue unavailable, pending changes will not survive a reload:', error);
+            this.persistent = false;
+            this.entries = [];
+        }
+        this.notify();
+    },
+
+    /**
+     * Append changes to the queue as one entry
+     * @param {array} changes - [{target, op, payload}]: target is 'exercises', 'templates' or a
+     *   month key (YYYY-MM), op a Storage document operation name, payload its arguments
+     * @param {number|null} heldSeq - Key hold() stored these changes under; that record becomes the entry
+     * @returns {Promise<object>} Queued entry
+     */
+    async enqueue(changes, heldSeq = null) {
+        const entry = {
+            // Detach from live cache objects the operations may keep editing
+            changes: JSON.parse(JSON.stringify(changes)),
+            queuedAt: new Date().toISOString()
+        };
+
+        if (heldSeq !== null) {
+            entry.seq = heldSeq;
+            await IDB.putAll('outbox', [entry]);
+        } else {
+            entry.seq = this.persistent ? await IDB.add('outbox', entry) : this.nextSeq++;
+        }
+        this.entries.push(entry);
+        // A held record keeps its place in the replay order
+        this.entries.sort((a, b) => a.seq - b.seq);
+        this.notify();
+        return entry;
+    },
+
+    /**
+     * Store changes that are applied but not saved yet (write coalescing). They are kept
+     * like an entry, so the next visit replays them if this one never saves them, but are
+     * not listed in `entries`: this session saves them itself, then calls release(), or
+     * passes the key to enqueue() when the save failed.
+     * @param {number|null} seq - Key of the held record to replace, null for a new one
+     * @param {array} changes - Every change held for the document, in order
+     * @returns {Promise<number|null>} Key of the held record (null when the queue is not persistent)
+     */
+    async hold(seq, changes) {
+        if (!this.persistent) return null;
+
+        const entry = { changes: JSON.parse(JSON.stringify(changes)), queuedAt: new Date().toISOString() };
+        if (seq === null) {
+            return await IDB.add('outbox', entry);
+        }
+        await IDB.putAll('outbox', [{ ...entry, seq }]);
+        return seq;
+    },
+
+    /**
+     * Forget held changes once they are saved
+     * @param {number|null} seq - Key returned by hold()
+     * @returns {Promise<void>}
+     */
+    async release(seq) {
+        if (seq !== null) {
+            await IDB.delete('outbox', seq);
+        }
+    },
+
+    /**
+     * Remove an entry once it has been replayed (or discarded)
+     * @param {number} seq - Entry key
+     * @returns {Promise<void>}
+     */
+    async remove(seq) {
+        if (this.persistent) {
+            await IDB.delete('outbox', seq);
+        }
+        this.entries = this.entries.filter(entry => entry.seq !== seq);
+        this.notify();
+    },
+
+    /**
+     * Queued changes for one document, in replay order
+     * @param {string} target
+     * @returns {array} [{target, op, payload}]
+     */
+    changesFor(target) {
+        return this.entries.flatMap(entry => entry.changes.filter(change => change.target === target));
+    },
+
+    /**
+     * Whether an error means the backend could not take the change now: it could not be
+     * reached at all (fetch rejects with a TypeError on network failure) or the API
+     * budget is used up until the rate limit resets
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isOfflineError(error) {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+        if (error?.rateLimited) return true;
+        return error instanceof TypeError && /fetch|network|load failed/i.test(error.message);
+    },
+
+    /**
+     * Whether an error means the file changed remotely since it was read (stale SHA)
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isConflictError(error) {
+        return error?.conflict === true;
+    },
+
+    /**
+     * Tell the UI how many changes are pending
+     */
+    notify() {
+        window.dispatchEvent(new CustomEvent('outboxChanged', { detail: { pending: this.entries.length } }));
+    }
+};
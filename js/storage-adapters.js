@@ -0,0 +1,209 @@
+// Storage Adapters
+// Contract and registry for pluggable storage backends (GitHub, dev server, local)
+
+import { CONFIG, getConfig } from './config.js';
+
+/**
+ * Methods every storage adapter must implement.
+ * Adapters only move whole documents in and out of their backend;
+ * validation, sequencing and caching live in the Storage facade.
+ *
+ *   initialize()                       → Promise<void>
+ *   loadExercises()                    → Promise<Exercise[]>
+ *   saveExercises(exercises)           → Promise<void>
+ *   loadSessionTemplates()             → Promise<Template[]>
+ *   saveSessionTemplates(templates)    → Promise<void>
+ *   listMonths()                       → Promise<string[]>  month keys (YYYY-MM) holding data, ascending
+ *   loadMonthSummaries()               → Promise<object>    month key → summary (see summarizeMonth)
+ *   loadMonth(monthKey)                → Promise<Workout[]>
+ *   saveMonth(monthKey, workouts)      → Promise<void>
+ *   loadMeta()                         → Promise<object|null>  data/meta.json ({schemaVersion, ...}), null if never written
+ *   saveBatch(documents)               → Promise<void>  [{target, items}] saved all-or-nothing;
+ *                                                       target is 'exercises', 'templates', 'meta'
+ *                                                       (items is then the meta object) or a month key
+ *   loadRange(startDate, endDate)      → Promise<Workout[]>  inclusive YYYY-MM-DD bounds
+ *
+ * Save methods take an optional trailing `message` describing the change (used as the
+ * commit message by backends that keep history; others ignore it).
+ *
+ * A save rejected because the stored document changed since it was read must
+ * throw an error with `conflict: true` so the facade can merge and retry.
+ *
+ * Adapters declaring the `history` capability also implement:
+ *   listHistory(limit)                 → Promise<array>  [{id, message, date, author}] saves that
+ *                                                       touched the data, newest first
+ *   loadHistoryEntry(id)               → Promise<object> {id, message, date, author, documents}
+ *                                                       documents: [{target, before, after}], the
+ *                                                       items of each document it changed (null = absent)
+ *
+ * Adapters declaring the `changeDetection` capability also implement:
+ *   listRemoteChanges()                → Promise<string[]>  targets ('exercises', 'templates', month keys)
+ *                                                       changed by other devices since this one last
+ *                                                       read or wrote them; cheap enough to poll
+ *   documentVersion(target)            → string|null    version (e.g. SHA) last read or written
+ *   adoptDocument(target, items, version) → void        take over a document another tab saved
+ *
+ * Adapters declaring the `encryption` capability also implement:
+ *   setEncryption(passphrase)          → Promise<void>   rewrite every stored file encrypted with a
+ *                                                       key from the passphrase (null = decrypted)
+ *   isEncrypted()                      → boolean
+ */
+export const ADAPTER_METHODS = [
+    'initialize',
+    'loadExercises',
+    'saveExercises',
+    'loadSessionTemplates',
+    'saveSessionTemplates',
+    'listMonths',
+    'loadMonthSummaries',
+    'loadMonth',
+    'saveMonth',
+    'loadMeta',
+    'saveBatch',
+    'loadRange'
+];
+
+/**
+ * Capability flags every adapter must declare (true/false)
+ *   remote             - data lives outside this browser
+ *   requiresToken      - a GitHub token must be configured before use
+ *   sharedAcrossDevices - other devices can read/write the same data
+ *   history            - past saves can be listed and read back (see listHistory)
+ *   encryption         - stored files can be encrypted with a passphrase (see setEncryption)
+ *   changeDetection    - changes saved by other devices can be detected (see listRemoteChanges)
+ */
+export const ADAPTER_CAPABILITIES = ['remote', 'requiresToken', 'sharedAcrossDevices', 'history', 'encryption', 'changeDetection'];
+
+// Methods required by optional capabilities
+export const CAPABILITY_METHODS = {
+    history: ['listHistory', 'loadHistoryEntry'],
+    encryption: ['setEncryption', 'isEncrypted'],
+    changeDetection: ['listRemoteChanges', 'documentVersion', 'adoptDocument']
+};
+
+const registry = new Map();
+
+/**
+ * Summarize one month of workouts
+ * @param {array} workouts
+ * @returns {{count: number, firstDate: string|null, lastDate: string|null, exercises: object}}
+ *   exercises maps exerciseId → last date (YYYY-MM-DD) it was performed in the month
+ */
+export function summarizeMonth(workouts) {
+    const summary = { count: workouts.length, firstDate: null, lastDate: null, exercises: {} };
+
+    workouts.forEach(w => {
+        if (!summary.firstDate || w.date < summary.firstDate) summary.firstDate = w.date;
+        if (!summary.lastDate || w.date > summary.lastDate) summary.lastDate = w.date;
+        if (!summary.exercises[w.exerciseId] || w.date > summary.exercises[w.exerciseId]) {
+            summary.exercises[w.exerciseId] = w.date;
+        }
+    });
+
+    return summary;
+}
+
+/**
+ * Summarize workouts spanning any number of months
+ * @param {array} workouts
+ * @returns {object} Month key (YYYY-MM) → summary
+ */
+export function summarizeMonths(workouts) {
+    const byMonth = {};
+    workouts.forEach(w => {
+        const monthKey = w.date.slice(0, 7);
+        if (!byMonth[monthKey]) byMonth[monthKey] = [];
+        byMonth[monthKey].push(w);
+    });
+
+    return Object.fromEntries(
+        Object.entries(byMonth).map(([monthKey, monthWorkouts]) => [monthKey, summarizeMonth(monthWorkouts)])
+    );
+}
+
+/**
+ * Verify an adapter implements the storage contract.
+ * Run against every adapter when it is loaded so drift fails loudly at startup.
+ * @param {object} adapter - Adapter to check
+ * @returns {object} The same adapter
+ */
+export function assertConformance(adapter) {
+    const problems = [];
+
+    if (!adapter || typeof adapter.name !== 'string') {
+        problems.push('missing name');
+    }
+
+    ADAPTER_METHODS.forEach(method => {
+        if (typeof adapter?.[method] !== 'function') {
+            problems.push(`missing method ${method}()`);
+        }
+    });
+
+    ADAPTER_CAPABILITIES.forEach(flag => {
+        if (typeof adapter?.capabilities?.[flag] !== 'boolean') {
+            problems.push(`missing capability flag "${flag}"`);
+        }
+    });
+
+    Object.entries(CAPABILITY_METHODS).forEach(([flag, methods]) => {
+        if (!adapter?.capabilities?.[flag]) return;
+        methods.forEach(method => {
+            if (typeof adapter[method] !== 'function') {
+                problems.push(`missing method ${method}() required by "${flag}"`);
+            }
+        });
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Storage adapter "${adapter?.name || 'unknown'}" does not conform: ${problems.join(', ')}`);
+    }
+
+    return adapter;
+}
+
+export const StorageAdapters = {
+    /**
+     * Register an adapter under a backend name
+     * @param {string} name - Backend name (e.g., 'github')
+     * @param {Function} load - Async function resolving to the adapter object
+     */
+    register(name, load) {
+        registry.set(name, load);
+    },
+
+    /**
+     * Names of all registered backends
+     * @returns {array}
+     */
+    list() {
+        return Array.from(registry.keys());
+    },
+
+    /**
+     * Pick the backend name for the current environment and configuration
+     * @param {object} config - User configuration (defaults to saved config)
+     * @returns {string} Backend name
+     */
+    selectName(config = getConfig()) {
+        if (CONFIG.devMode) return 'dev';
+        return config.mode === 'local' ? 'local' : 'github';
+    },
+
+    /**
+     * Load a registered adapter and check it against the contract
+     * @param {string} name - Backend name
+     * @returns {Promise<object>} Adapter
+     */
+    async create(name = this.selectName()) {
+        const load = registry.get(name);
+        if (!load) {
+            throw new Error(`Unknown storage backend: ${name}`);
+        }
+        return assertConformance(await load());
+    }
+};
+
+StorageAdapters.register('github', async () => (await import('./github-storage.js')).GitHubStorage);
+StorageAdapters.register('dev', async () => (await import('./dev-storage.js')).DevStorage);
+StorageAdapters.register('local', async () => (await import('./idb-storage.js')).IdbStorage);
@@ -1,78 +1,387 @@
 // Storage Module
-// Central data management layer for exercises and workouts
-
-import { GitHubAPI } from './github-api.js';
-import { Auth } from './auth.js';
+// Central data management layer for exercises and workouts.
+// Backend-agnostic: persistence is delegated to the active storage adapter.
+
+import { StorageAdapters, assertConformance } from './storage-adapters.js';
+import { Outbox } from './outbox.js';
+import { TabSync } from './tab-sync.js';
+import { Trash } from './trash.js';
+import { threeWayMerge, fingerprint } from './merge.js';
+import { Migrations, SCHEMA_VERSION, normalizeTemplateRows } from './migrations.js';
 import { CONFIG, getConfig } from './config.js';
-import { generateId, parseDate, formatDate } from './utils.js';
+import { generateId, parseDate, formatDate, getMonthKey } from './utils.js';
+
+/**
+ * Session templates with every row in the current shape (see normalizeTemplateRows)
+ * @param {array} templates
+ * @returns {array}
+ */
+function normalizeTemplates(templates) {
+    return templates.map(template => ({ ...template, rows: normalizeTemplateRows(template.rows, template.id) }));
+}
+
+/**
+ * Normalize a Date or date string to YYYY-MM-DD
+ * @param {Date|string} value
+ * @returns {string}
+ */
+function toDateKey(value) {
+    return value instanceof Date ? formatDate(value) : String(value).split('T')[0];
+}
+
+/**
+ * Group workouts into sessions by date, newest first, sets ordered by sequence
+ * @param {array} workouts
+ * @returns {array} Array of {date, sets}
+ */
+function groupSessionsByDate(workouts) {
+    const groups = {};
+    workouts.forEach(w => {
+        if (!groups[w.date]) groups[w.date] = [];
+        groups[w.date].push(w);
+    });
+
+    return Object.entries(groups)
+        .map(([date, sets]) => ({
+            date,
+            sets: sets.sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+        }))
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Give the sets of one date consecutive sequence numbers, keeping their order
+ * @param {array} workouts - Month workouts (edited in place)
+ * @param {string} date - YYYY-MM-DD
+ * @param {Function} compare - Sort order (defaults to current sequence)
+ */
+function resequenceDate(workouts, date, compare = (a, b) => (a.sequence || 0) - (b.sequence || 0)) {
+    workouts
+        .filter(w => w.date === date)
+        .sort(compare)
+        .forEach((w, i) => {
+            w.sequence = i + 1;
+        });
+}
+
+/**
+ * Whether a record is still as a past change left it, so the change can be undone.
+ * Sets are compared without their sequence, which later saves renumber.
+ * @param {object|undefined} current - The record now, if it exists
+ * @param {object} change - {before, after} from Storage.loadChangeSet() (null = absent)
+ * @returns {boolean}
+ */
+function isRevertible(current, { before, after }) {
+    if (!after) return !current;
+    const ignore = 'date' in (before || after) ? ['sequence'] : [];
+    return Boolean(current) && fingerprint(current, ignore) === fingerprint(after, ignore);
+}
+
+/**
+ * Whether a document target is a month file (YYYY-MM) rather than exercises/templates
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isMonthTarget(target) {
+    return /^\d{4}-\d{2}$/.test(target);
+}
+
+/**
+ * Count how restoring a backup copy of a document would change it
+ * @param {array} current - Stored records
+ * @param {array} incoming - Records from the backup
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {{added: number, updated: number, removed: number}}
+ */
+function diffItems(current, incoming, mode) {
+    const currentById = new Map(current.map(item => [item.id, item]));
+    const incomingIds = new Set(incoming.map(item => item.id));
+
+    let added = 0;
+    let updated = 0;
+    incoming.forEach(item => {
+        const existing = currentById.get(item.id);
+        if (!existing) {
+            added++;
+        } else if (fingerprint(existing) !== fingerprint(item)) {
+            updated++;
+        }
+    });
+    const removed = mode === 'replace' ? current.filter(item => !incomingIds.has(item.id)).length : 0;
+
+    return { added, updated, removed };
+}
+
+/**
+ * Describe queued changes for log messages
+ * @param {array} changes - [{target, op, payload}]
+ * @returns {string}
+ */
+function describeChanges(changes) {
+    return changes.map(({ target, op }) => `${op} for ${target}`).join(', ');
+}
+
+// Attempts per queued change when the file keeps changing underneath the replay
+const MAX_REPLAY_ATTEMPTS = 3;
+
+// Attempts to merge and re-save a month file that keeps changing remotely
+const MAX_MERGE_ATTEMPTS = 3;
+
+/**
+ * Changes that can be applied to a stored document (exercise list, template list
+ * or one month of workouts). The same operation runs for a live write and when the
+ * outbox replays it later against a newer copy of the file, so every operation
+ * edits the array in place and matches records by id rather than by position.
+ *
+ * Signature: (items, payload, strict) → result. With strict=false (replay),
+ * operations whose target is already gone are treated as done where that is safe.
+ */
+const DOCUMENT_OPS = {
+    upsertItem(items, { item }) {
+        const index = items.findIndex(existing => existing.id === item.id);
+        if (index === -1) {
+            items.push(item);
+        } else {
+            items[index] = item;
+        }
+        return item;
+    },
+
+    removeItem(items, { id }) {
+        const index = items.findIndex(existing => existing.id === id);
+        if (index !== -1) {
+            items.splice(index, 1);
+        }
+    },
+
+    addWorkouts(workouts, { date, records }) {
+        const missing = records.filter(record => !workouts.some(w => w.id === record.id));
+        const startSequence = workouts.filter(w => w.date === date).length + 1;
+        missing.forEach((record, index) => {
+            record.sequence = startSequence + index;
+        });
+        workouts.push(...missing);
+        return records;
+    },
+
+    updateWorkout(workouts, { id, updates }) {
+        const index = workouts.findIndex(w => w.id === id);
+        if (index === -1) {
+            throw new Error('Workout not found');
+        }
+
+        workouts[index] = {
+            ...workouts[index],
+            ...updates,
+            reps: parseInt(updates.reps, 10),
+            weight: updates.weight ? parseFloat(updates.weight) : null
+        };
+        return workouts[index];
+    },
+
+    deleteWorkout(workouts, { id, date }, strict) {
+        const index = workouts.findIndex(w => w.id === id);
+        if (index === -1) {
+            if (strict) throw new Error('Workout not found');
+            return;
+        }
+
+        workouts.splice(index, 1);
+
+        // Re-sequence remaining workouts for the same date
+        resequenceDate(workouts, date);
+    },
+
+    replaceItems(items, { items: replacement }) {
+        items.splice(0, items.length, ...replacement.map(item => ({ ...item })));
+    },
+
+    mergeItems(items, { items: incoming }) {
+        incoming.forEach(item => DOCUMENT_OPS.upsertItem(items, { item: { ...item } }));
+    },
+
+    mergeWorkouts(workouts, { items: incoming }) {
+        DOCUMENT_OPS.mergeItems(workouts, { items: incoming });
+        // Stored and restored sets of a date share one sequence
+        new Set(incoming.map(w => w.date)).forEach(date => resequenceDate(workouts, date));
+    },
+
+    resolveDuplicates(items, { id, actions }) {
+        // actions[i] is 'keep', 'remove' or a new id for the i-th record with this id
+        const matches = items.filter(item => item.id === id);
+        if (matches.length !== actions.length) return; // already resolved (replay)
+        matches.forEach((item, i) => {
+            if (actions[i] === 'remove') {
+                items.splice(items.indexOf(item), 1);
+            } else if (actions[i] !== 'keep') {
+                item.id = actions[i];
+            }
+        });
+    },
+
+    reassignExercise(items, { from, to }) {
+        // Sets (and the superset partners they list), and template rows (single and superset),
+        // that use one exercise switch to another
+        items.forEach(item => {
+            if (item.exerciseId === from) item.exerciseId = to;
+            if (Array.isArray(item.supersetExercises) && item.supersetExercises.includes(from)) {
+                item.supersetExercises = [...new Set(item.supersetExercises.map(id => (id === from ? to : id)))];
+            }
+            (item.rows || []).forEach(row => {
+                if (row.exerciseId === from) row.exerciseId = to;
+                (row.exercises || []).forEach(entry => {
+                    if (entry.exerciseId === from) entry.exerciseId = to;
+                });
+            });
+        });
+    },
+
+    removeExercise(items, { exerciseId }) {
+        // Sets of the exercise go (their dates are renumbered); template rows drop it,
+        // and a superset left with one exercise becomes a single row
+        const dates = new Set(items.filter(item => item.exerciseId === exerciseId).map(w => w.date));
+        items.splice(0, items.length, ...items.filter(item => item.exerciseId !== exerciseId));
+        dates.forEach(date => resequenceDate(items, date));
+        items.filter(item => Array.isArray(item.supersetExercises)).forEach(item => {
+            item.supersetExercises = item.supersetExercises.filter(id => id !== exerciseId);
+        });
+
+        items.filter(item => Array.isArray(item.rows)).forEach(template => {
+            template.rows = template.rows.flatMap(row => {
+                if (row.type !== 'superset') return row.exerciseId === exerciseId ? [] : [row];
+                const exercises = (row.exercises || []).filter(entry => entry.exerciseId !== exerciseId);
+                if (exercises.length === (row.exercises || []).length) return [row];
+                if (exercises.length === 0) return [];
+                if (exercises.length === 1) {
+                    return [{ id: row.id, type: 'single', exerciseId: exercises[0].exerciseId, sets: exercises[0].sets || [] }];
+                }
+                return [{ ...row, exercises }];
+            });
+        });
+    },
+
+    restoreWorkouts(workouts, { records }) {
+        // Sets come back at their old position in the day; the sets from there on move down one
+        records
+            .filter(record => !workouts.some(w => w.id === record.id))
+            .sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+            .forEach(record => {
+                workouts.filter(w => w.date === record.date && w.sequence >= record.sequence).forEach(w => {
+                    w.sequence++;
+                });
+                workouts.push({ ...record });
+            });
+        new Set(records.map(record => record.date)).forEach(date => resequenceDate(workouts, date));
+    },
+
+    revertRecords(items, { records }) {
+        // Records still as the change left them get their earlier version back; sets then
+        // take their earlier place in the day. Changed since → left alone.
+        const rank = new Map();
+        const dates = new Set();
+        records.filter(record => isRevertible(items.find(item => item.id === record.id), record)).forEach(({ id, before, after }) => {
+            const index = items.findIndex(item => item.id === id);
+            if (!before) {
+                items.splice(index, 1);
+            } else if (index === -1) {
+                items.push({ ...before });
+            } else {
+                items[index] = 'date' in before ? { ...before, sequence: items[index].sequence } : { ...before };
+            }
+            if (before && 'date' in before) {
+                rank.set(id, before.sequence || 0);
+                dates.add(before.date);
+            }
+            if (after && 'date' in after) dates.add(after.date);
+        });
+        const key = w => (rank.has(w.id) ? rank.get(w.id) : w.sequence || 0);
+        dates.forEach(date => resequenceDate(items, date, (a, b) => key(a) - key(b) || (a.sequence || 0) - (b.sequence || 0)));
+    },
+
+    reorderWorkouts(workouts, { date, ids }) {
+        // Listed sets take the given order; sets added since (e.g. on another device) follow
+        const rank = w => (ids.includes(w.id) ? ids.indexOf(w.id) : ids.length);
+        resequenceDate(workouts, date, (a, b) => rank(a) - rank(b) || (a.sequence || 0) - (b.sequence || 0));
+    }
+};
 
 export const Storage = {
+    // Active backend adapter (see storage-adapters.js)
+    adapter: null,
+
     // In-memory cache
     exercises: [],
-    exercisesSha: null,
     currentMonthWorkouts: [],
-    currentMonthSha: null,
-    currentMonthPath: null,
+    currentMonthKey: null,
     sessionTemplates: [],
-    sessionTemplatesSha: null,
+
+    // True while queued offline changes are being replayed
+    syncing: false,
+
+    // Month files as last read from / written to the backend, keyed by month key.
+    // Common ancestor for merging when a save is rejected as stale.
+    bases: {},
+
+    // Coalesced writes not saved yet, keyed by document target: {changes, items, timer, seq, stored}.
+    // items is only kept for documents that are not cached (older months). The changes are
+    // also held in the outbox store under seq (see Outbox.hold), stored once `stored` resolves.
+    pending: new Map(),
+
+    // Saves of coalesced writes run one after another
+    writeQueue: Promise.resolve(),
+
+    // Remote change check waiting or running (see checkRemoteChanges) and the polling timer
+    remoteCheck: null,
+    pollTimer: null,
+
+    // UI hook asked to settle records edited differently on two devices:
+    // async (conflicts) → array of 'local' | 'remote', one per conflict.
+    // Without a resolver the remote version is kept.
+    conflictResolver: null,
 
     /**
-     * Initialize storage by loading exercises and current month workouts
-     * @returns {Promise<void>}
+     * Use a specific adapter instead of the one selected from config
+     * @param {object} adapter - Adapter implementing the storage contract
      */
-    async initialize() {
-        await this.loadExercises();
-        await this.loadCurrentMonthWorkouts();
-        await this.migrateSequenceNumbers();
-        await this.loadSessionTemplates();
+    use(adapter) {
+        this.adapter = assertConformance(adapter);
     },
 
     /**
-     * Migrate existing workouts to add sequence numbers based on ID timestamps
+     * Initialize storage by loading exercises and current month workouts
      * @returns {Promise<void>}
      */
-    async migrateSequenceNumbers() {
-        let needsSave = false;
-
-        // Group workouts by date
-        const workoutsByDate = new Map();
-        for (const workout of this.currentMonthWorkouts) {
-            if (!workoutsByDate.has(workout.date)) {
-                workoutsByDate.set(workout.date, []);
-            }
-            workoutsByDate.get(workout.date).push(workout);
+    async initialize() {
+        if (!this.adapter) {
+            this.adapter = await StorageAdapters.create();
         }
+        console.log(`Storage backend: ${this.adapter.name}`);
 
-        // Assign sequence numbers to workouts without them
-        for (const [date, workouts] of workoutsByDate) {
-            // Sort by ID (which includes timestamp) to determine original order
-            workouts.sort((a, b) => a.id.localeCompare(b.id));
-
-            workouts.forEach((workout, index) => {
-                if (workout.sequence === undefined || workout.sequence === null) {
-                    workout.sequence = index + 1;
-                    needsSave = true;
-                }
-            });
+        await this.adapter.initialize();
+        if (this.adapter.capabilities.remote) {
+            await Outbox.load();
         }
+        await this.migrate();
+        await this.loadExercises();
+        await this.loadCurrentMonthWorkouts();
+        await this.loadSessionTemplates();
+        await Trash.load();
 
-        // Save if any migrations were performed
-        if (needsSave && this.currentMonthWorkouts.length > 0) {
-            const now = new Date();
-            const result = await GitHubAPI.saveWorkouts(now, this.currentMonthWorkouts, this.currentMonthSha);
-            this.currentMonthSha = result.content.sha;
-            console.log('Migrated sequence numbers for current month workouts');
+        // Saves made in other tabs of the app update this tab's caches
+        TabSync.init(this.adapter.name, (documents) => this.adoptSaved(documents));
+
+        // Changes queued during an earlier offline visit
+        if (Outbox.entries.length > 0) {
+            await this.syncOutbox();
         }
     },
 
     /**
-     * Load exercises from GitHub
+     * Load exercises from the active backend
      * @returns {Promise<void>}
      */
     async loadExercises() {
-        const data = await GitHubAPI.getExercises();
-        this.exercises = data.exercises;
-        this.exercisesSha = data.sha;
+        this.exercises = await this.adapter.loadExercises();
 
         // Initialize with default exercises if empty
         if (this.exercises.length === 0) {
@@ -81,7 +390,7 @@ export const Storage = {
     },
 
     /**
-     * Initialize repository with default exercises
+     * Initialize backend with default exercises
      * @returns {Promise<void>}
      */
     async initializeDefaultExercises() {
@@ -94,8 +403,7 @@ export const Storage = {
         }));
 
         this.exercises = defaultExercises;
-        const result = await GitHubAPI.saveExercises(this.exercises, this.exercisesSha);
-        this.exercisesSha = result.content.sha;
+        await this.saveDocument('exercises', this.exercises);
     },
 
     /**
@@ -103,31 +411,757 @@ export const Storage = {
      * @returns {Promise<void>}
      */
     async loadCurrentMonthWorkouts() {
-        const now = new Date();
-        const data = await GitHubAPI.getWorkouts(now);
-        this.currentMonthWorkouts = data.workouts;
-        this.currentMonthSha = data.sha;
-        this.currentMonthPath = data.path;
-
-        // Initialize empty file if it doesn't exist
-        if (!data.sha && this.currentMonthWorkouts.length === 0) {
+        this.currentMonthKey = getMonthKey(new Date());
+        this.currentMonthWorkouts = await this.loadDocument(this.currentMonthKey, true);
+    },
+
+    /**
+     * Get a document for modification.
+     * Cached documents (exercises, templates, current month) are edited in place;
+     * other months are loaded from the backend.
+     * @param {string} target - 'exercises', 'templates' or a month key (YYYY-MM)
+     * @param {boolean} fresh - Skip the cache and read the backend copy
+     * @returns {Promise<array>}
+     */
+    async loadDocument(target, fresh = false) {
+        const cached = fresh ? null : this.cachedDocument(target);
+        if (cached) {
+            return cached;
+        }
+        if (target === 'exercises') {
+            return await this.adapter.loadExercises();
+        }
+        if (target === 'templates') {
+            return await this.adapter.loadSessionTemplates();
+        }
+
+        const workouts = await this.adapter.loadMonth(target);
+        this.rememberBase(target, workouts);
+        return workouts;
+    },
+
+    /**
+     * Get copies of several documents, each loaded once
+     * @param {array} targets - Document targets (duplicates allowed)
+     * @param {boolean} fresh - Skip the cache and read the backend copies
+     * @returns {Promise<Map<string, array>>} Target → editable copy
+     */
+    async loadDocuments(targets, fresh = false) {
+        const unique = [...new Set(targets)];
+        const loaded = await Promise.all(unique.map(target => this.loadDocument(target, fresh)));
+        return new Map(unique.map((target, i) => [target, structuredClone(loaded[i])]));
+    },
+
+    /**
+     * The in-memory copy of a document, if it is cached
+     * @param {string} target
+     * @returns {array|null}
+     */
+    cachedDocument(target) {
+        if (target === 'exercises') return this.exercises;
+        if (target === 'templates') return this.sessionTemplates;
+        if (target === this.currentMonthKey) return this.currentMonthWorkouts;
+        return this.pending.get(target)?.items || null;
+    },
+
+    /**
+     * Replace the in-memory copy of a document (ignored for documents that are not cached)
+     * @param {string} target
+     * @param {array} items
+     */
+    setCachedDocument(target, items) {
+        if (target === 'exercises') {
+            this.exercises = items;
+        } else if (target === 'templates') {
+            this.sessionTemplates = normalizeTemplates(items);
+        } else if (target === this.currentMonthKey) {
+            this.currentMonthWorkouts = items;
+        }
+    },
+
+    /**
+     * Record the backend version of a month file as the base for future merges
+     * @param {string} monthKey
+     * @param {array} workouts
+     */
+    rememberBase(monthKey, workouts) {
+        this.bases[monthKey] = JSON.parse(JSON.stringify(workouts));
+    },
+
+    /**
+     * Write a whole document to the backend and tell the other tabs
+     * @param {string} target - 'exercises', 'templates' or a month key (YYYY-MM)
+     * @param {array} items
+     * @param {string} message - Description of the change (commit message)
+     * @returns {Promise<void>}
+     */
+    async saveDocument(target, items, message) {
+        if (target === 'exercises') {
+            await this.adapter.saveExercises(items, message);
+        } else if (target === 'templates') {
+            await this.adapter.saveSessionTemplates(items, message);
+        } else {
+            await this.adapter.saveMonth(target, items, message);
+        }
+        this.publishSaved(new Map([[target, items]]));
+    },
+
+    /**
+     * Write documents to the backend; more than one are saved together (all-or-nothing)
+     * @param {Map<string, array>} documents - Target → items
+     * @param {string} message - Description of the change (commit message)
+     * @returns {Promise<void>}
+     */
+    async saveDocuments(documents, message) {
+        if (documents.size === 1) {
+            const [[target, items]] = documents;
+            await this.saveDocument(target, items, message);
+            return;
+        }
+        await this.adapter.saveBatch([...documents].map(([target, items]) => ({ target, items })), message);
+        this.publishSaved(documents);
+    },
+
+    /**
+     * Publish saved documents to the other tabs, with the backend version each now has
+     * @param {Map<string, array>} documents - Target → items
+     */
+    publishSaved(documents) {
+        const versioned = this.adapter.capabilities.changeDetection;
+        TabSync.publishSaved([...documents].map(([target, items]) => ({
+            target,
+            items,
+            version: versioned ? this.adapter.documentVersion(target) : null
+        })));
+    },
+
+    /**
+     * Take over documents another tab saved: the adapter records their versions so
+     * this tab's next save builds on them, cached copies are replaced (with this tab's
+     * unsaved and queued changes re-applied on top) and the UI is told to refresh
+     * @param {array} documents - [{target, items, version}] as published by publishSaved()
+     */
+    adoptSaved(documents) {
+        documents.forEach(({ target, items, version }) => {
+            if (this.adapter.capabilities.changeDetection) {
+                this.adapter.adoptDocument(target, items, version);
+            }
+            if (isMonthTarget(target)) {
+                this.rememberBase(target, items);
+            }
+
+            // Held changes to an uncached month keep their own copy of it
+            const write = this.pending.get(target);
+            if (write?.items) {
+                write.items = this.withUnsavedChanges(target, items);
+            } else {
+                this.setCachedDocument(target, this.withUnsavedChanges(target, items));
+            }
+        });
+
+        const targets = new Set(documents.map(({ target }) => target));
+        if (targets.has('exercises')) window.dispatchEvent(new CustomEvent('exercisesUpdated'));
+        if (targets.has('templates')) window.dispatchEvent(new CustomEvent('templatesUpdated'));
+        if ([...targets].some(isMonthTarget)) window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+    },
+
+    /**
+     * Summarize changes for a commit message,
+     * e.g. "2026-10-19: Bench Press 3 sets, Squat 4 sets"
+     * @param {array} changes - [{target, op, payload}]
+     * @returns {string}
+     */
+    summarizeChanges(changes) {
+        const sets = count => `${count} set${count === 1 ? '' : 's'}`;
+        const added = new Map();
+        const saved = { exercises: [], templates: [] };
+        const removed = { exercises: 0, templates: 0 };
+        const reordered = new Set();
+        const moved = new Map();
+        const restored = new Set();
+        const imported = new Set();
+        const repaired = new Set();
+        const movedHistory = new Map();
+        const deletedHistory = new Set();
+        const reverted = new Set();
+        let restoredSets = 0;
+        let importedSets = 0;
+        let edited = 0;
+        let deleted = 0;
+
+        // A set deleted and added again in the same change was moved to another date
+        const addedIds = new Set(changes.filter(change => change.op === 'addWorkouts')
+            .flatMap(change => change.payload.records.map(record => record.id)));
+        const deletedIds = new Set(changes.filter(change => change.op === 'deleteWorkout').map(change => change.payload.id));
+        // Reassigning the sets of an exercise deleted in the same change moves its history
+        const removedExercises = new Set(changes.filter(change => change.target === 'exercises' && change.op === 'removeItem')
+            .map(change => change.payload.id));
+        const exerciseName = id => this.getExerciseById(id)?.name || id;
+        // ...and when the receiving exercise is saved too, the exercises were merged
+        const savedExercises = new Set(changes.filter(change => change.target === 'exercises' && change.op === 'upsertItem')
+            .map(change => change.payload.item.id));
+
+        changes.forEach(({ target, op, payload }) => {
+            if (op === 'addWorkouts') {
+                if (!added.has(payload.date)) added.set(payload.date, new Map());
+                const byExercise = added.get(payload.date);
+                payload.records.forEach(record => {
+                    if (record.source === 'import') {
+                        imported.add(payload.date);
+                        importedSets++;
+                        return;
+                    }
+                    if (deletedIds.has(record.id)) {
+                        moved.set(payload.date, (moved.get(payload.date) || 0) + 1);
+                        return;
+                    }
+                    const name = this.getExerciseById(record.exerciseId)?.name || 'Unknown exercise';
+                    byExercise.set(name, (byExercise.get(name) || 0) + 1);
+                });
+            } else if (op === 'updateWorkout') {
+                edited++;
+            } else if (op === 'deleteWorkout') {
+                if (!addedIds.has(payload.id)) deleted++;
+            } else if (op === 'restoreWorkouts') {
+                restoredSets += payload.records.length;
+            } else if (op === 'reorderWorkouts') {
+                reordered.add(payload.date);
+            } else if (op === 'upsertItem') {
+                if (!saved[target].includes(payload.item.name)) saved[target].push(payload.item.name);
+            } else if (op === 'removeItem') {
+                removed[target]++;
+            } else if (op === 'replaceItems' || op === 'mergeItems' || op === 'mergeWorkouts') {
+                restored.add(target);
+            } else if (op === 'reassignExercise' && removedExercises.has(payload.from)) {
+                if (!movedHistory.has(payload.to)) movedHistory.set(payload.to, new Set());
+                movedHistory.get(payload.to).add(payload.from);
+            } else if (op === 'removeExercise') {
+                deletedHistory.add(payload.exerciseId);
+            } else if (op === 'revertRecords') {
+                reverted.add(payload.label);
+            } else if (op === 'resolveDuplicates' || op === 'reassignExercise') {
+                repaired.add(target);
+            }
+        });
+
+        const parts = [...added].filter(([, byExercise]) => byExercise.size > 0)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, byExercise]) => `${date}: ${[...byExercise].map(([name, count]) => `${name} ${sets(count)}`).join(', ')}`);
+        if (importedSets > 0) parts.push(`Import ${sets(importedSets)} on ${imported.size} day${imported.size === 1 ? '' : 's'}`);
+        moved.forEach((count, date) => parts.push(`Move ${sets(count)} to ${date}`));
+        if (edited > 0) parts.push(`Edit ${sets(edited)}`);
+        if (deleted > 0) parts.push(`Delete ${sets(deleted)}`);
+        if (restoredSets > 0) parts.push(`Restore ${sets(restoredSets)}`);
+        if (reordered.size > 0) parts.push(`Reorder ${[...reordered].sort().join(', ')}`);
+        movedHistory.forEach((from, to) => {
+            const names = [...from].map(exerciseName).join(', ');
+            parts.push(savedExercises.has(to) ? `Merge ${names} into ${exerciseName(to)}` : `Move history of ${names} to ${exerciseName(to)}`);
+        });
+        deletedHistory.forEach(id => parts.push(`Delete ${exerciseName(id)} with its history`));
+        [['exercises', 'Exercises'], ['templates', 'Templates']].forEach(([target, label]) => {
+            const items = [...saved[target]];
+            if (removed[target] > 0) items.push(`remove ${removed[target]}`);
+            if (items.length > 0) parts.push(`${label}: ${items.join(', ')}`);
+        });
+        if (restored.size > 0) parts.push(`Restore backup (${restored.size} file${restored.size === 1 ? '' : 's'})`);
+        if (repaired.size > 0) parts.push(`Repair ${[...repaired].sort().join(', ')}`);
+        reverted.forEach(label => parts.push(`Revert ${label}`));
+        return parts.join('; ');
+    },
+
+    /**
+     * Apply a change to a document and persist it.
+     * With a remote backend, a change that cannot be sent (offline, or older changes
+     * still waiting) goes to the outbox instead; cached documents are updated right
+     * away so the UI shows it immediately.
+     * @param {string} target - 'exercises', 'templates' or a month key (YYYY-MM)
+     * @param {string} op - DOCUMENT_OPS operation name
+     * @param {object} payload - Operation arguments
+     * @returns {Promise<any>} Operation result (null if the document was unreachable and the change was queued)
+     */
+    async commit(target, op, payload) {
+        const queueable = this.adapter.capabilities.remote;
+
+        let items;
+        try {
+            items = await this.loadDocument(target);
+        } catch (error) {
+            if (!queueable || !Outbox.isOfflineError(error)) throw error;
+            await this.queueChanges([{ target, op, payload }]);
+            return null;
+        }
+
+        const result = DOCUMENT_OPS[op](items, payload, true);
+
+        // Never overtake changes that are already waiting
+        if (queueable && Outbox.entries.length > 0) {
+            await this.queueChanges([{ target, op, payload }]);
+            return result;
+        }
+
+        if (this.commitWindow() > 0) {
+            await this.deferWrite(target, items, { target, op, payload });
+            return result;
+        }
+
+        const message = this.summarizeChanges([{ target, op, payload }]);
+        try {
+            await this.saveDocument(target, items, message);
+        } catch (error) {
+            if (queueable && Outbox.isOfflineError(error)) {
+                await this.queueChanges([{ target, op, payload }]);
+                return result;
+            }
+            // Another device saved the month file since it was read
+            if (!Outbox.isConflictError(error) || !isMonthTarget(target)) throw error;
+            await this.mergeMonth(target, items, message);
+            return result;
+        }
+
+        if (isMonthTarget(target)) {
+            this.rememberBase(target, items);
+        }
+        return result;
+    },
+
+    /**
+     * Apply changes spanning several documents and persist them together: one commit
+     * on GitHub, one transaction locally, so a failure never leaves half of them saved.
+     * If a document changed remotely, the changes are re-applied to fresh copies (they
+     * are keyed by id) and saved again. When the batch cannot be sent it is queued as
+     * a single outbox entry and cached documents are updated right away.
+     * @param {array} changes - [{target, op, payload}], applied in order
+     * @returns {Promise<array>} Operation results (null for documents not cached when queued)
+     */
+    async commitBatch(changes) {
+        const queueable = this.adapter.capabilities.remote;
+
+        // Coalesced writes go first so the batch builds on saved documents
+        await this.flushWrites();
+
+        // Never overtake changes that are already waiting
+        if (queueable && Outbox.entries.length > 0) {
+            const results = this.applyToCache(changes);
+            await this.queueChanges(changes);
+            return results;
+        }
+
+        for (let attempt = 1; ; attempt++) {
             try {
-                const result = await GitHubAPI.saveWorkouts(now, this.currentMonthWorkouts, null);
-                this.currentMonthSha = result.content.sha;
+                return await this.saveChanges(changes, attempt > 1, attempt === 1);
             } catch (error) {
-                console.warn('Could not initialize workout file:', error);
-                // File may already exist (created by another session) — re-fetch to get its SHA
-                try {
-                    const existing = await GitHubAPI.getWorkouts(now);
-                    if (existing.sha) {
-                        this.currentMonthWorkouts = existing.workouts;
-                        this.currentMonthSha = existing.sha;
+                if (queueable && Outbox.isOfflineError(error)) {
+                    const results = this.applyToCache(changes);
+                    await this.queueChanges(changes);
+                    return results;
+                }
+                if (!Outbox.isConflictError(error) || attempt >= MAX_MERGE_ATTEMPTS) throw error;
+                console.log('Documents changed remotely, re-applying batch');
+            }
+        }
+    },
+
+    /**
+     * Apply changes to copies of their documents, save them together and adopt the saved copies
+     * @param {array} changes - [{target, op, payload}]
+     * @param {boolean} fresh - Read backend copies instead of cached ones
+     * @param {boolean} strict - See DOCUMENT_OPS
+     * @returns {Promise<array>} Operation results
+     */
+    async saveChanges(changes, fresh, strict) {
+        const documents = await this.loadDocuments(changes.map(change => change.target), fresh);
+        const results = changes.map(({ target, op, payload }) => DOCUMENT_OPS[op](documents.get(target), payload, strict));
+
+        await this.saveDocuments(documents, this.summarizeChanges(changes));
+        documents.forEach((items, target) => {
+            this.setCachedDocument(target, items);
+            if (isMonthTarget(target)) {
+                this.rememberBase(target, items);
+            }
+        });
+        return results;
+    },
+
+    /**
+     * Show changes in the cached documents before they are saved (queued changes)
+     * @param {array} changes - [{target, op, payload}]
+     * @returns {array} Operation results (null for documents that are not cached)
+     */
+    applyToCache(changes) {
+        const copies = new Map();
+        const results = changes.map(({ target, op, payload }) => {
+            const cached = this.cachedDocument(target);
+            if (!cached) return null;
+            if (!copies.has(target)) copies.set(target, structuredClone(cached));
+            return DOCUMENT_OPS[op](copies.get(target), payload, true);
+        });
+        copies.forEach((items, target) => this.setCachedDocument(target, items));
+        return results;
+    },
+
+    /**
+     * How long to wait for further changes before saving (write coalescing).
+     * Only remote backends coalesce; local saves are cheap and immediate.
+     * @returns {number} Milliseconds (0 = save every change at once)
+     */
+    commitWindow() {
+        if (!this.adapter.capabilities.remote) return 0;
+        const seconds = getConfig().commitWindow ?? CONFIG.sync.commitWindowSeconds;
+        return Math.max(0, Number(seconds) || 0) * 1000;
+    },
+
+    /**
+     * Hold a change that was applied to a document and save it together with the
+     * changes that follow within the commit window. Only the commit waits: the change
+     * is stored in the outbox right away, so a reload or crash before the save replays it.
+     * @param {string} target
+     * @param {array} items - The document including the change
+     * @param {object} change - {target, op, payload}
+     * @returns {Promise<void>} Resolves once the change is stored
+     */
+    async deferWrite(target, items, change) {
+        let write = this.pending.get(target);
+        if (!write) {
+            write = { changes: [], items: null, timer: null, seq: null, stored: Promise.resolve() };
+            this.pending.set(target, write);
+        }
+        if (!this.cachedDocument(target)) {
+            write.items = items;
+        }
+        // Detach from cache objects later changes keep editing (same as the outbox)
+        write.changes.push(JSON.parse(JSON.stringify(change)));
+
+        clearTimeout(write.timer);
+        write.timer = setTimeout(() => this.flushWrites([target]), this.commitWindow());
+
+        // One held record per document, rewritten with every change in order
+        const changes = [...write.changes];
+        write.stored = write.stored
+            .then(async () => {
+                write.seq = await Outbox.hold(write.seq, changes);
+            })
+            .catch(error => console.warn(`Could not store changes to ${target} before saving:`, error));
+        await write.stored;
+    },
+
+    /**
+     * Whether coalesced changes are waiting to be saved that a reload would lose
+     * (they are stored in the outbox unless IndexedDB is unavailable)
+     * @returns {boolean}
+     */
+    hasUnstoredWrites() {
+        return [...this.pending.values()].some(write => write.seq === null);
+    },
+
+    /**
+     * Save coalesced changes now (e.g. before the page unloads)
+     * @param {array} targets - Documents to save (defaults to all with pending changes)
+     * @returns {Promise<void>} Resolves once they are saved or queued in the outbox
+     */
+    flushWrites(targets = [...this.pending.keys()]) {
+        targets.forEach(target => {
+            clearTimeout(this.pending.get(target)?.timer);
+            this.writeQueue = this.writeQueue
+                .then(() => this.saveWrite(target))
+                .catch(error => console.error('Error saving changes:', error));
+        });
+        return this.writeQueue;
+    },
+
+    /**
+     * Save one document's coalesced changes as a single commit and drop their held
+     * copy. If that fails, the held changes become an outbox entry, which retries them
+     * and reports what went wrong.
+     * @param {string} target
+     * @returns {Promise<void>}
+     */
+    async saveWrite(target) {
+        const write = this.pending.get(target);
+        if (!write) return;
+
+        const items = this.cachedDocument(target);
+        this.pending.delete(target);
+        const message = this.summarizeChanges(write.changes);
+        const snapshot = structuredClone(items);
+        await write.stored;
+
+        try {
+            try {
+                await this.saveDocument(target, snapshot, message);
+                if (isMonthTarget(target)) {
+                    this.rememberBase(target, snapshot);
+                }
+            } catch (error) {
+                if (!Outbox.isConflictError(error) || !isMonthTarget(target)) throw error;
+                await this.mergeMonth(target, items, message);
+            }
+        } catch (error) {
+            console.warn(`Could not save ${target}, queueing ${write.changes.length} change(s):`, error);
+            await this.queueChanges(write.changes, write.seq);
+            return;
+        }
+        await Outbox.release(write.seq);
+    },
+
+    /**
+     * Merge a month whose save was rejected as stale with the remote file, record by
+     * record (keyed by workout id), and save the result. Records changed differently on
+     * both sides go to the conflict resolver; sequences are renumbered per date.
+     * @param {string} monthKey - YYYY-MM
+     * @param {array} local - This device's copy including the new change (replaced in place by the merge)
+     * @param {string} message - Description of the change (commit message)
+     * @returns {Promise<void>}
+     */
+    async mergeMonth(monthKey, local, message) {
+        for (let attempt = 1; ; attempt++) {
+            const base = this.bases[monthKey] || [];
+            const remote = await this.loadDocument(monthKey, true);
+            const { merged, conflicts } = threeWayMerge(base, local, remote, ['sequence']);
+
+            if (conflicts.length > 0) {
+                const choices = await this.resolveConflicts(conflicts);
+                conflicts.forEach((conflict, i) => {
+                    if (choices[i] !== 'local') return;
+                    const index = merged.findIndex(w => w.id === conflict.id);
+                    if (index === -1) {
+                        merged.push(conflict.local);
+                    } else if (conflict.local) {
+                        merged[index] = conflict.local;
+                    } else {
+                        merged.splice(index, 1);
                     }
-                } catch (fetchErr) {
-                    console.warn('Could not fetch existing workout file:', fetchErr);
+                });
+            }
+
+            // A set keeps this device's position if it was moved here, otherwise the remote one;
+            // on ties, sets already in the remote file go first
+            const baseSequence = new Map(base.map(w => [w.id, w.sequence]));
+            const localSequence = new Map(local.map(w => [w.id, w.sequence]));
+            const remoteSequence = new Map(remote.map(w => [w.id, w.sequence]));
+            const wanted = w => {
+                const mine = localSequence.get(w.id);
+                if (mine !== undefined && mine !== baseSequence.get(w.id)) return mine || 0;
+                return remoteSequence.get(w.id) ?? mine ?? 0;
+            };
+            const origin = w => (remoteSequence.has(w.id) ? 0 : 1);
+            new Set(merged.map(w => w.date)).forEach(date => {
+                resequenceDate(merged, date, (a, b) => wanted(a) - wanted(b) || origin(a) - origin(b));
+            });
+
+            local.splice(0, local.length, ...merged);
+
+            try {
+                await this.saveDocument(monthKey, local, message);
+                this.rememberBase(monthKey, local);
+                console.log(`Merged ${monthKey} with remote changes (${conflicts.length} conflict(s))`);
+                window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+                return;
+            } catch (error) {
+                if (!Outbox.isConflictError(error) || attempt >= MAX_MERGE_ATTEMPTS) throw error;
+            }
+        }
+    },
+
+    /**
+     * Ask the conflict resolver which version of each conflicting record to keep
+     * @param {array} conflicts - {id, base, local, remote}
+     * @returns {Promise<array>} 'local' | 'remote' per conflict
+     */
+    async resolveConflicts(conflicts) {
+        if (!this.conflictResolver) {
+            console.warn(`Keeping the remote version of ${conflicts.length} conflicting record(s)`);
+            return conflicts.map(() => 'remote');
+        }
+        return await this.conflictResolver(conflicts);
+    },
+
+    /**
+     * Add changes to the outbox as one entry and try to send it if the browser thinks it is online
+     * @param {array} changes - [{target, op, payload}]
+     * @param {number|null} heldSeq - Key the changes are held under (see Outbox.hold)
+     * @returns {Promise<void>}
+     */
+    async queueChanges(changes, heldSeq = null) {
+        await Outbox.enqueue(changes, heldSeq);
+        console.log(`Queued ${describeChanges(changes)} (${Outbox.entries.length} pending)`);
+
+        if (navigator.onLine) {
+            this.syncOutbox();
+        }
+    },
+
+    /**
+     * Replay queued changes in order. Each change is applied to a freshly loaded
+     * copy of its file so it is saved against the current SHA; changes that no
+     * longer apply (e.g. editing a set deleted on another device) are discarded.
+     * Replay stops at the first backend failure and resumes on the next call.
+     * @returns {Promise<{synced: number, discarded: array, remaining: number, error: string|null}|null>}
+     */
+    async syncOutbox() {
+        if (this.syncing || Outbox.entries.length === 0) return null;
+        this.syncing = true;
+
+        // Coalesced changes are older than anything queued from now on
+        await this.flushWrites();
+
+        const touched = new Set();
+        const discarded = [];
+        let synced = 0;
+        let failure = null;
+
+        try {
+            while (Outbox.entries.length > 0) {
+                const entry = Outbox.entries[0];
+                let rejection;
+                try {
+                    rejection = await this.replayEntry(entry);
+                } catch (error) {
+                    failure = error;
+                    break;
+                }
+
+                if (rejection) {
+                    console.warn(`Discarded queued ${describeChanges(entry.changes)}:`, rejection.message);
+                    discarded.push({ ...entry, reason: rejection.message });
+                } else {
+                    synced++;
                 }
+                entry.changes.forEach(change => touched.add(change.target));
+                await Outbox.remove(entry.seq);
+            }
+
+            await this.refreshDocuments(touched);
+        } catch (error) {
+            failure = failure || error;
+        } finally {
+            this.syncing = false;
+        }
+
+        const summary = {
+            synced,
+            discarded,
+            remaining: Outbox.entries.length,
+            // Rate limits are reported too: unlike being offline, nothing else will say so
+            error: failure && (failure.rateLimited || !Outbox.isOfflineError(failure)) ? failure.message : null
+        };
+        window.dispatchEvent(new CustomEvent('outboxSynced', { detail: summary }));
+        return summary;
+    },
+
+    /**
+     * Apply one queued entry to the latest backend copies of its files and save them.
+     * A save rejected because a file changed meanwhile is retried on a new read.
+     * @param {object} entry - Outbox entry
+     * @returns {Promise<Error|null>} Why the changes no longer apply, or null once saved
+     */
+    async replayEntry(entry) {
+        for (let attempt = 1; ; attempt++) {
+            const documents = await this.loadDocuments(entry.changes.map(change => change.target), true);
+
+            try {
+                entry.changes.forEach(({ target, op, payload }) => DOCUMENT_OPS[op](documents.get(target), payload, false));
+            } catch (error) {
+                return error;
+            }
+
+            try {
+                await this.saveDocuments(documents, this.summarizeChanges(entry.changes));
+                return null;
+            } catch (error) {
+                if (!Outbox.isConflictError(error) || attempt >= MAX_REPLAY_ATTEMPTS) throw error;
+                console.log(`Files changed remotely, retrying queued ${describeChanges(entry.changes)}`);
+            }
+        }
+    },
+
+    /**
+     * Apply this tab's coalesced and queued changes for a document to a newer copy of it
+     * @param {string} target
+     * @param {array} items - Edited in place
+     * @returns {array} items
+     */
+    withUnsavedChanges(target, items) {
+        const unsaved = this.pending.get(target)?.changes || [];
+        [...unsaved, ...Outbox.changesFor(target)].forEach(({ op, payload }) => {
+            try {
+                DOCUMENT_OPS[op](items, payload, false);
+            } catch (error) {
+                // Reported when the entry itself is replayed
+            }
+        });
+        return items;
+    },
+
+    /**
+     * Reload cached documents after a replay and re-apply changes still queued for them,
+     * then tell the UI to refresh
+     * @param {Set<string>} targets - Documents touched by the replay
+     * @returns {Promise<void>}
+     */
+    async refreshDocuments(targets) {
+        if (targets.has('exercises')) {
+            this.exercises = this.withUnsavedChanges('exercises', await this.adapter.loadExercises());
+            window.dispatchEvent(new CustomEvent('exercisesUpdated'));
+        }
+        if (targets.has('templates')) {
+            this.sessionTemplates = normalizeTemplates(this.withUnsavedChanges('templates', await this.adapter.loadSessionTemplates()));
+            window.dispatchEvent(new CustomEvent('templatesUpdated'));
+        }
+        if ([...targets].some(isMonthTarget)) {
+            if (targets.has(this.currentMonthKey)) {
+                this.currentMonthWorkouts = this.withUnsavedChanges(this.currentMonthKey, await this.loadDocument(this.currentMonthKey, true));
+            }
+            window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+        }
+    },
+
+    /**
+     * Bring in changes other devices saved: cached documents that changed remotely are
+     * reloaded with this device's unsaved and queued changes re-applied on top, and the
+     * UI is told to refresh. Runs in the write queue, so no file is reloaded mid-save;
+     * calls made while a check is waiting share it.
+     * @returns {Promise<array>} Targets that changed remotely ([] when the backend cannot tell)
+     */
+    checkRemoteChanges() {
+        if (!this.adapter?.capabilities.changeDetection || this.syncing) return Promise.resolve([]);
+        if (this.remoteCheck) return this.remoteCheck;
+
+        const check = this.writeQueue.then(async () => {
+            const changed = await this.adapter.listRemoteChanges();
+            if (changed.length > 0) {
+                console.log(`Changed on another device: ${changed.join(', ')}`);
+                await this.refreshDocuments(new Set(changed));
             }
-        }
+            return changed;
+        });
+        this.writeQueue = check.catch(() => {});
+        this.remoteCheck = check
+            .catch(error => {
+                console.warn('Could not check for remote changes:', error);
+                return [];
+            })
+            .finally(() => {
+                this.remoteCheck = null;
+            });
+        return this.remoteCheck;
+    },
+
+    /**
+     * Check for remote changes every CONFIG.sync.pollSeconds while the page is visible,
+     * and right away when it is shown or focused again
+     */
+    watchRemoteChanges() {
+        const seconds = CONFIG.sync.pollSeconds;
+        if (!this.adapter?.capabilities.changeDetection || this.pollTimer || !(seconds > 0)) return;
+
+        const visible = () => document.visibilityState === 'visible';
+        this.pollTimer = setInterval(() => {
+            if (visible()) this.checkRemoteChanges();
+        }, seconds * 1000);
+        window.addEventListener('focus', () => this.checkRemoteChanges());
+        document.addEventListener('visibilitychange', () => {
+            if (visible()) this.checkRemoteChanges();
+        });
     },
 
     /**
@@ -138,6 +1172,15 @@ export const Storage = {
         return this.exercises;
     },
 
+    /**
+     * Exercises offered in pickers: archived ones are left out unless already chosen
+     * @param {string|null} selectedId - Exercise currently selected in the picker
+     * @returns {array}
+     */
+    getActiveExercises(selectedId = null) {
+        return this.exercises.filter(ex => !ex.archived || ex.id === selectedId);
+    },
+
     /**
      * Get exercise by ID
      * @param {string} id - Exercise ID
@@ -153,6 +1196,15 @@ export const Storage = {
      * @returns {Promise<object>} Added exercise
      */
     async addExercise(exercise) {
+        return await this.commit('exercises', 'upsertItem', { item: this.buildExerciseRecord(exercise) });
+    },
+
+    /**
+     * Build a new exercise record, checking that its name is not taken
+     * @param {object} exercise - {name, equipmentType, muscle}
+     * @returns {object}
+     */
+    buildExerciseRecord(exercise) {
         // Validate name uniqueness
         if (this.exercises.some(ex => ex.name.toLowerCase() === exercise.name.toLowerCase())) {
             throw new Error('An exercise with this name already exists');
@@ -164,21 +1216,13 @@ export const Storage = {
 
         const requiresWeight = CONFIG.equipmentTypes[exercise.equipmentType]?.requiresWeight ?? true;
 
-        const newExercise = {
+        return {
             id: generateId(),
             name: trimmedName,
             equipmentType: exercise.equipmentType,
             muscle: exercise.muscle,
             requiresWeight
         };
-
-        this.exercises.push(newExercise);
-
-        // Save to GitHub
-        const result = await GitHubAPI.saveExercises(this.exercises, this.exercisesSha);
-        this.exercisesSha = result.content.sha;
-
-        return newExercise;
     },
 
     /**
@@ -210,82 +1254,174 @@ export const Storage = {
         }
 
         // Update exercise
-        this.exercises[index] = {
+        const updated = {
             ...this.exercises[index],
             ...updates,
             updatedAt: new Date().toISOString()
         };
 
-        // Save to GitHub
-        const result = await GitHubAPI.saveExercises(this.exercises, this.exercisesSha);
-        this.exercisesSha = result.content.sha;
-
-        return this.exercises[index];
+        return await this.commit('exercises', 'upsertItem', { item: updated });
     },
 
     /**
-     * Delete exercise
+     * Archive an exercise (hidden from pickers, kept in history and statistics) or bring it back
      * @param {string} id - Exercise ID
-     * @returns {Promise<void>}
+     * @param {boolean} archived
+     * @returns {Promise<object>} Updated exercise
      */
-    async deleteExercise(id) {
-        const index = this.exercises.findIndex(ex => ex.id === id);
-        if (index === -1) {
+    async setExerciseArchived(id, archived) {
+        const exercise = this.getExerciseById(id);
+        if (!exercise) {
             throw new Error('Exercise not found');
         }
 
-        this.exercises.splice(index, 1);
+        const item = { ...exercise, updatedAt: new Date().toISOString() };
+        if (archived) {
+            item.archived = true;
+        } else {
+            delete item.archived;
+        }
+        return await this.commit('exercises', 'upsertItem', { item });
+    },
+
+    /**
+     * Where an exercise is used
+     * @param {string} id - Exercise ID
+     * @returns {Promise<{sets: number, months: array, templates: array}>} months are the month
+     *   keys holding its sets, templates the names of templates that include it
+     */
+    async getExerciseUsage(id) {
+        const monthKeys = await this.listStoredMonths();
+        const documents = await this.loadDocuments(['templates', ...monthKeys]);
+
+        // Months also count when only superset partners list the exercise
+        let sets = 0;
+        const months = monthKeys.filter(monthKey => {
+            const workouts = documents.get(monthKey);
+            sets += workouts.filter(w => w.exerciseId === id).length;
+            return workouts.some(w => w.exerciseId === id || (w.supersetExercises || []).includes(id));
+        });
+        const templates = documents.get('templates')
+            .filter(template => (template.rows || []).some(row => row.exerciseId === id
+                || (row.exercises || []).some(entry => entry.exerciseId === id)))
+            .map(template => template.name);
 
-        // Save to GitHub
-        const result = await GitHubAPI.saveExercises(this.exercises, this.exercisesSha);
-        this.exercisesSha = result.content.sha;
+        return { sets, months, templates };
     },
 
     /**
-     * Add workout
-     * @param {object} workout - Workout object
-     * @returns {Promise<object>} Added workout
+     * Delete an exercise. One that sets or templates still use needs a decision: move its
+     * history onto another exercise, or cascade (delete its sets and template rows too).
+     * Everything is saved together.
+     * @param {string} id - Exercise ID
+     * @param {object} options - {moveTo: exercise ID to take over its sets and template rows,
+     *   cascade: delete them instead}
+     * @returns {Promise<{sets: number, months: array, templates: array}>} Usage before the delete
      */
-    async addWorkout(workout) {
-        const workoutDate = parseDate(workout.date);
-        if (!workoutDate) {
-            throw new Error('Invalid workout date');
+    async deleteExercise(id, { moveTo = null, cascade = false } = {}) {
+        const exercise = this.getExerciseById(id);
+        if (!exercise) {
+            throw new Error('Exercise not found');
+        }
+        if (moveTo && (moveTo === id || !this.getExerciseById(moveTo))) {
+            throw new Error('Choose another exercise to move the history to');
+        }
+
+        const usage = await this.getExerciseUsage(id);
+        const used = usage.sets > 0 || usage.templates.length > 0;
+        if (used && !moveTo && !cascade) {
+            const templates = usage.templates.length;
+            throw new Error(`"${exercise.name}" is still used by ${usage.sets} set${usage.sets === 1 ? '' : 's'} and ${templates} template${templates === 1 ? '' : 's'}`);
         }
 
-        const now = new Date();
-        const isSameMonth = workoutDate.getMonth() === now.getMonth() &&
-            workoutDate.getFullYear() === now.getFullYear();
+        const targets = [...usage.months, ...(usage.templates.length > 0 ? ['templates'] : [])];
+        const changes = targets.map(target => (moveTo
+            ? { target, op: 'reassignExercise', payload: { from: id, to: moveTo } }
+            : { target, op: 'removeExercise', payload: { exerciseId: id } }));
+        changes.push({ target: 'exercises', op: 'removeItem', payload: { id } });
 
-        // If workout is for current month, use cached data
-        if (isSameMonth) {
-            // Calculate sequence number for this date
-            const sameDateWorkouts = this.currentMonthWorkouts.filter(w => w.date === workout.date);
-            const sequence = sameDateWorkouts.length + 1;
+        await this.commitBatch(changes);
 
-            const newWorkout = this.buildWorkoutRecord(workout, sequence);
+        if (usage.templates.length > 0) window.dispatchEvent(new CustomEvent('templatesUpdated'));
+        if (usage.sets > 0) window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+        return usage;
+    },
 
-            this.currentMonthWorkouts.push(newWorkout);
+    /**
+     * Work out what merging duplicate exercises into one would change
+     * @param {string} survivorId - Exercise that stays
+     * @param {array} duplicateIds - Exercises merged into it and deleted
+     * @returns {Promise<{changes: array, sets: number, months: array, templates: array}>} changes for
+     *   commitBatch(); sets counts the sets that change (own exercise or superset partners), months the
+     *   month files touched, templates the names of templates that change
+     */
+    async planExerciseMerge(survivorId, duplicateIds) {
+        const survivor = this.getExerciseById(survivorId);
+        const duplicates = duplicateIds.map(id => this.getExerciseById(id));
+        if (!survivor || duplicates.some(ex => !ex)) {
+            throw new Error('Exercise not found');
+        }
+        if (duplicateIds.length === 0 || duplicateIds.includes(survivorId)) {
+            throw new Error('Choose the exercises to merge into another one');
+        }
 
-            // Save to GitHub
-            const result = await GitHubAPI.saveWorkouts(now, this.currentMonthWorkouts, this.currentMonthSha);
-            this.currentMonthSha = result.content.sha;
+        const monthKeys = await this.listStoredMonths();
+        const documents = await this.loadDocuments(['templates', ...monthKeys]);
+        const merged = new Set(duplicateIds);
+        const uses = w => merged.has(w.exerciseId) || (w.supersetExercises || []).some(id => merged.has(id));
 
-            return newWorkout;
-        } else {
-            // Load different month, add workout, save
-            const monthData = await GitHubAPI.getWorkouts(workoutDate);
+        let sets = 0;
+        const months = monthKeys.filter(monthKey => {
+            const count = documents.get(monthKey).filter(uses).length;
+            sets += count;
+            return count > 0;
+        });
+        const templates = documents.get('templates')
+            .filter(template => (template.rows || []).some(row => merged.has(row.exerciseId)
+                || (row.exercises || []).some(entry => merged.has(entry.exerciseId))));
+
+        // The survivor remembers the merged exercises (and their own aliases) so their
+        // names and ids still resolve, e.g. in CSV imports
+        const aliases = [...(survivor.aliases || [])];
+        duplicates.forEach(ex => {
+            aliases.push({ id: ex.id, name: ex.name }, ...(ex.aliases || []));
+        });
 
-            // Calculate sequence number for this date
-            const sameDateWorkouts = monthData.workouts.filter(w => w.date === workout.date);
-            const sequence = sameDateWorkouts.length + 1;
+        const targets = [...months, ...(templates.length > 0 ? ['templates'] : [])];
+        const changes = [
+            ...duplicateIds.flatMap(from => targets.map(target => ({ target, op: 'reassignExercise', payload: { from, to: survivorId } }))),
+            { target: 'exercises', op: 'upsertItem', payload: { item: { ...survivor, aliases, updatedAt: new Date().toISOString() } } },
+            ...duplicateIds.map(id => ({ target: 'exercises', op: 'removeItem', payload: { id } }))
+        ];
 
-            const newWorkout = this.buildWorkoutRecord(workout, sequence);
+        return { changes, sets, months, templates: templates.map(template => template.name) };
+    },
 
-            monthData.workouts.push(newWorkout);
-            await GitHubAPI.saveWorkouts(workoutDate, monthData.workouts, monthData.sha);
+    /**
+     * Merge duplicate exercises into one: their sets and template rows move to the survivor,
+     * the duplicates are deleted and kept as aliases of the survivor. Everything is saved together.
+     * @param {string} survivorId - Exercise that stays
+     * @param {array} duplicateIds - Exercises merged into it
+     * @returns {Promise<object>} The plan that was applied (see planExerciseMerge)
+     */
+    async mergeExercises(survivorId, duplicateIds) {
+        const plan = await this.planExerciseMerge(survivorId, duplicateIds);
+        await this.commitBatch(plan.changes);
+
+        window.dispatchEvent(new CustomEvent('exercisesUpdated'));
+        if (plan.templates.length > 0) window.dispatchEvent(new CustomEvent('templatesUpdated'));
+        if (plan.sets > 0) window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+        return plan;
+    },
 
-            return newWorkout;
-        }
+    /**
+     * Add workout
+     * @param {object} workout - Workout object
+     * @returns {Promise<object>} Added workout
+     */
+    async addWorkout(workout) {
+        const [newWorkout] = await this.addWorkoutsBatch([workout]);
+        return newWorkout;
     },
 
     /**
@@ -313,29 +1449,9 @@ export const Storage = {
             throw new Error('Invalid workout date');
         }
 
-        const now = new Date();
-        const isSameMonth = workoutDate.getMonth() === now.getMonth() &&
-            workoutDate.getFullYear() === now.getFullYear();
-
-        if (isSameMonth) {
-            const sameDateWorkouts = this.currentMonthWorkouts.filter(w => w.date === targetDate);
-            const startSequence = sameDateWorkouts.length + 1;
-            const newWorkouts = workouts.map((entry, index) => this.buildWorkoutRecord(entry, startSequence + index));
-
-            this.currentMonthWorkouts.push(...newWorkouts);
-
-            const result = await GitHubAPI.saveWorkouts(now, this.currentMonthWorkouts, this.currentMonthSha);
-            this.currentMonthSha = result.content.sha;
-            return newWorkouts;
-        }
-
-        const monthData = await GitHubAPI.getWorkouts(workoutDate);
-        const sameDateWorkouts = monthData.workouts.filter(w => w.date === targetDate);
-        const startSequence = sameDateWorkouts.length + 1;
-        const newWorkouts = workouts.map((entry, index) => this.buildWorkoutRecord(entry, startSequence + index));
-
-        monthData.workouts.push(...newWorkouts);
-        await GitHubAPI.saveWorkouts(workoutDate, monthData.workouts, monthData.sha);
+        // Sequence numbers are assigned against the month file the records land in
+        const newWorkouts = workouts.map(entry => this.buildWorkoutRecord(entry, null));
+        await this.commit(getMonthKey(workoutDate), 'addWorkouts', { date: targetDate, records: newWorkouts });
 
         return newWorkouts;
     },
@@ -343,7 +1459,7 @@ export const Storage = {
     /**
      * Build persisted workout record with optional metadata fields
      * @param {object} workout - Workout input
-     * @param {number} sequence - Sequence number for date ordering
+     * @param {number|null} sequence - Sequence number for date ordering
      * @returns {object}
      */
     buildWorkoutRecord(workout, sequence) {
@@ -372,12 +1488,35 @@ export const Storage = {
 
     /**
      * Get workouts for date range
-     * @param {Date} startDate - Start date
-     * @param {Date} endDate - End date
+     * @param {Date|string} startDate - Start date (Date or YYYY-MM-DD)
+     * @param {Date|string} endDate - End date (Date or YYYY-MM-DD)
      * @returns {Promise<array>} Array of workout objects
      */
     async getWorkoutsInRange(startDate, endDate) {
-        return await GitHubAPI.getWorkoutsInRange(startDate, endDate);
+        const start = toDateKey(startDate);
+        const end = toDateKey(endDate);
+        const workouts = await this.adapter.loadRange(start, end);
+
+        // Months with coalesced changes not saved yet are read from memory
+        const unsaved = [...this.pending.keys()].filter(isMonthTarget);
+        if (unsaved.length === 0) return workouts;
+        return workouts
+            .filter(w => !unsaved.includes(w.date.slice(0, 7)))
+            .concat(...unsaved.map(monthKey => structuredClone(this.cachedDocument(monthKey))
+                .filter(w => w.date >= start && w.date <= end)))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * Read one month, including coalesced changes not saved yet
+     * @param {string} monthKey - YYYY-MM
+     * @returns {Promise<array>}
+     */
+    async readMonth(monthKey) {
+        if (this.pending.has(monthKey)) {
+            return structuredClone(this.cachedDocument(monthKey));
+        }
+        return await this.adapter.loadMonth(monthKey);
     },
 
     /**
@@ -422,6 +1561,18 @@ export const Storage = {
         return Array.from(exerciseMap.values()).slice(0, CONFIG.limits.recentWorkoutsCount);
     },
 
+    /**
+     * Months older than the current one that hold data, newest first (max 12)
+     * @returns {Promise<array>} Month keys (YYYY-MM)
+     */
+    async listOlderMonths() {
+        const months = await this.adapter.listMonths();
+        return months
+            .filter(monthKey => monthKey < this.currentMonthKey)
+            .reverse()
+            .slice(0, 12);
+    },
+
     /**
      * Get workout entries for the last N distinct days a specific exercise was performed
      * Searches backwards through months if not found in current month
@@ -430,70 +1581,29 @@ export const Storage = {
      * @returns {Promise<array>} Array of session objects {date, sets[]}
      */
     async getLastWorkoutSessionsForExercise(exerciseId, sessionCount = 3) {
-        let allMatches = [];
-
         // 1. Check current month
-        const currentMonthMatches = this.currentMonthWorkouts
-            .filter(w => w.exerciseId === exerciseId);
-        allMatches.push(...currentMonthMatches);
-
-        // Helper to group, sort and format sessions
-        const getGroupedSessions = (matches) => {
-            const groups = {};
-            matches.forEach(w => {
-                if (!groups[w.date]) groups[w.date] = [];
-                groups[w.date].push(w);
-            });
-
-            // Return as array of {date, sets}, sorted by date desc
-            return Object.entries(groups)
-                .map(([date, sets]) => ({
-                    date,
-                    sets: sets.sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
-                }))
-                .sort((a, b) => new Date(b.date) - new Date(a.date));
-        };
-
-        let sessions = getGroupedSessions(allMatches);
+        const allMatches = this.currentMonthWorkouts.filter(w => w.exerciseId === exerciseId);
+        let sessions = groupSessionsByDate(allMatches);
 
         if (sessions.length >= sessionCount) {
             return sessions.slice(0, sessionCount);
         }
 
-        // 2. If not enough sessions, look at other files in data directory
-        if (getConfig().mode !== 'github' || !Auth.isAuthenticated()) {
-            return sessions;
-        }
+        // 2. If not enough sessions, search older months that contain the exercise, newest first
         try {
-            const dataPath = CONFIG.paths.workoutsPrefix.substring(0, CONFIG.paths.workoutsPrefix.lastIndexOf('/')) || 'data';
-            const files = await GitHubAPI.listFiles(dataPath);
-
-            const prefix = CONFIG.paths.workoutsPrefix.split('/').pop();
-            const workoutFiles = files
-                .filter(file => file.name.startsWith(prefix) && file.name.endsWith('.json'))
-                .map(file => file.name)
-                .sort((a, b) => b.localeCompare(a)); // Sort descending (newest first)
-
-            const currentMonthFile = GitHubAPI.getWorkoutFilePath(new Date()).split('/').pop();
-            const olderFiles = workoutFiles.filter(f => f !== currentMonthFile);
-
-            const regex = new RegExp(`${prefix}(\\d{4})-(\\d{2})\\.json`);
-
-            // Search back up to 12 months if needed
-            for (let i = 0; i < Math.min(olderFiles.length, 12); i++) {
-                const filename = olderFiles[i];
-                const match = filename.match(regex);
-
-                if (!match) continue;
+            const summaries = await this.adapter.loadMonthSummaries();
+            const months = Object.keys(summaries)
+                .filter(monthKey => monthKey < this.currentMonthKey && summaries[monthKey].exercises[exerciseId])
+                .sort()
+                .reverse();
 
-                const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, 1);
-                const monthData = await GitHubAPI.getWorkouts(date);
-
-                const monthMatches = monthData.workouts.filter(w => w.exerciseId === exerciseId);
+            for (const monthKey of months) {
+                const monthWorkouts = await this.readMonth(monthKey);
+                const monthMatches = monthWorkouts.filter(w => w.exerciseId === exerciseId);
 
                 if (monthMatches.length > 0) {
                     allMatches.push(...monthMatches);
-                    sessions = getGroupedSessions(allMatches);
+                    sessions = groupSessionsByDate(allMatches);
 
                     if (sessions.length >= sessionCount) {
                         return sessions.slice(0, sessionCount);
@@ -506,6 +1616,7 @@ export const Storage = {
 
         return sessions;
     },
+
     /**
      * Get workouts for a specific month
      * @param {number} year - Year (e.g., 2025)
@@ -513,9 +1624,7 @@ export const Storage = {
      * @returns {Promise<array>} Array of workout objects
      */
     async getWorkoutsByMonth(year, month) {
-        const date = new Date(year, month - 1, 1);
-        const data = await GitHubAPI.getWorkouts(date);
-        return data.workouts;
+        return await this.readMonth(`${year}-${String(month).padStart(2, '0')}`);
     },
 
     /**
@@ -540,67 +1649,25 @@ export const Storage = {
      * @returns {Promise<object|null>} Object with {date, exercises: {name, sets: []}} or null
      */
     async getLastWorkoutSession() {
-        let workouts = [];
-        let newestDate = null;
-
-        // 1. Check current month first
-        if (this.currentMonthWorkouts.length > 0) {
-            // Find newest date
-            const dates = [...new Set(this.currentMonthWorkouts.map(w => w.date))];
-            if (dates.length > 0) {
-                dates.sort((a, b) => new Date(b) - new Date(a));
-                newestDate = dates[0];
-                workouts = this.currentMonthWorkouts.filter(w => w.date === newestDate);
-            }
-        }
+        // 1. Check current month first, 2. then previous months
+        let [latest] = groupSessionsByDate(this.currentMonthWorkouts);
 
-        // 2. If no workouts in current month, check previous months
-        if (workouts.length === 0 && getConfig().mode === 'github' && Auth.isAuthenticated()) {
+        if (!latest) {
             try {
-                const dataPath = CONFIG.paths.workoutsPrefix.substring(0, CONFIG.paths.workoutsPrefix.lastIndexOf('/')) || 'data';
-                const files = await GitHubAPI.listFiles(dataPath);
-
-                const prefix = CONFIG.paths.workoutsPrefix.split('/').pop();
-                const workoutFiles = files
-                    .filter(file => file.name.startsWith(prefix) && file.name.endsWith('.json'))
-                    .map(file => file.name)
-                    .sort((a, b) => b.localeCompare(a)); // Sort descending (newest first)
-
-                const currentMonthFile = GitHubAPI.getWorkoutFilePath(new Date()).split('/').pop();
-                const olderFiles = workoutFiles.filter(f => f !== currentMonthFile);
-
-                const regex = new RegExp(`${prefix}(\\d{4})-(\\d{2})\\.json`);
-
-                for (let i = 0; i < Math.min(olderFiles.length, 12); i++) {
-                    const filename = olderFiles[i];
-                    const match = filename.match(regex);
-                    if (!match) continue;
-
-                    const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, 1);
-                    const monthData = await GitHubAPI.getWorkouts(date);
-
-                    if (monthData.workouts.length > 0) {
-                        const dates = [...new Set(monthData.workouts.map(w => w.date))];
-                        if (dates.length > 0) {
-                            dates.sort((a, b) => new Date(b) - new Date(a));
-                            newestDate = dates[0];
-                            workouts = monthData.workouts.filter(w => w.date === newestDate);
-                            break;
-                        }
-                    }
+                for (const monthKey of await this.listOlderMonths()) {
+                    [latest] = groupSessionsByDate(await this.readMonth(monthKey));
+                    if (latest) break;
                 }
             } catch (error) {
                 console.warn('Error fetching last workout session:', error);
             }
         }
 
-        if (workouts.length === 0) return null;
+        if (!latest) return null;
 
-        // Group by exercise and sort by sequence
+        // Group by exercise (sets are already sorted by sequence)
         const grouped = {};
-        workouts.sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
-
-        workouts.forEach(w => {
+        latest.sets.forEach(w => {
             const exercise = this.getExerciseById(w.exerciseId);
             if (!exercise) return;
 
@@ -614,12 +1681,11 @@ export const Storage = {
         });
 
         return {
-            date: newestDate,
+            date: latest.date,
             exercises: Object.values(grouped)
         };
     },
 
-
     /**
      * Update workout sequences after drag-and-drop reordering
      * @param {string} date - Date of workouts to update
@@ -632,42 +1698,14 @@ export const Storage = {
             throw new Error('Invalid workout date');
         }
 
-        const now = new Date();
-        const isSameMonth = workoutDate.getMonth() === now.getMonth() &&
-            workoutDate.getFullYear() === now.getFullYear();
-
-        if (isSameMonth) {
-            // Update sequences in current month workouts
-            workoutIds.forEach((id, index) => {
-                const workout = this.currentMonthWorkouts.find(w => w.id === id);
-                if (workout && workout.date === date) {
-                    workout.sequence = index + 1;
-                }
-            });
-
-            // Save to GitHub
-            const result = await GitHubAPI.saveWorkouts(now, this.currentMonthWorkouts, this.currentMonthSha);
-            this.currentMonthSha = result.content.sha;
-        } else {
-            // Load different month, update sequences, save
-            const monthData = await GitHubAPI.getWorkouts(workoutDate);
-
-            workoutIds.forEach((id, index) => {
-                const workout = monthData.workouts.find(w => w.id === id);
-                if (workout && workout.date === date) {
-                    workout.sequence = index + 1;
-                }
-            });
-
-            await GitHubAPI.saveWorkouts(workoutDate, monthData.workouts, monthData.sha);
-        }
+        await this.commit(getMonthKey(workoutDate), 'reorderWorkouts', { date, ids: workoutIds });
     },
 
     /**
      * Update an existing workout entry
      * @param {string} id - Workout entry ID
      * @param {string} date - Workout entry date
-     * @param {object} updates - Updates to apply (reps, weight)
+     * @param {object} updates - Updates to apply (reps, weight; date moves the set, across month files if needed)
      * @returns {Promise<object>} Updated workout entry
      */
     async updateWorkout(id, date, updates) {
@@ -676,50 +1714,35 @@ export const Storage = {
             throw new Error('Invalid workout date');
         }
 
-        const now = new Date();
-        const isSameMonth = workoutDate.getMonth() === now.getMonth() &&
-            workoutDate.getFullYear() === now.getFullYear();
-
-        if (isSameMonth) {
-            const index = this.currentMonthWorkouts.findIndex(w => w.id === id);
-            if (index === -1) {
-                throw new Error('Workout not found');
-            }
-
-            this.currentMonthWorkouts[index] = {
-                ...this.currentMonthWorkouts[index],
-                ...updates,
-                reps: parseInt(updates.reps, 10),
-                weight: updates.weight ? parseFloat(updates.weight) : null
-            };
-
-            const result = await GitHubAPI.saveWorkouts(now, this.currentMonthWorkouts, this.currentMonthSha);
-            this.currentMonthSha = result.content.sha;
-            return this.currentMonthWorkouts[index];
-        } else {
-            const monthData = await GitHubAPI.getWorkouts(workoutDate);
-            const index = monthData.workouts.findIndex(w => w.id === id);
-            if (index === -1) {
-                throw new Error('Workout not found');
-            }
-
-            monthData.workouts[index] = {
-                ...monthData.workouts[index],
-                ...updates,
-                reps: parseInt(updates.reps, 10),
-                weight: updates.weight ? parseFloat(updates.weight) : null
-            };
+        const monthKey = getMonthKey(workoutDate);
+        const newDate = updates.date ? parseDate(updates.date) : null;
+        if (updates.date && !newDate) {
+            throw new Error('Invalid workout date');
+        }
+        if (!newDate || getMonthKey(newDate) === monthKey) {
+            return await this.commit(monthKey, 'updateWorkout', { id, updates });
+        }
 
-            const result = await GitHubAPI.saveWorkouts(workoutDate, monthData.workouts, monthData.sha);
-            return monthData.workouts[index];
+        // Moving to another month: remove from one file and add to the other in one save
+        const workout = (await this.loadDocument(monthKey)).find(w => w.id === id);
+        if (!workout) {
+            throw new Error('Workout not found');
         }
+        const moved = DOCUMENT_OPS.updateWorkout([{ ...workout }], { id, updates: { ...updates, date: formatDate(newDate) } });
+        moved.sequence = null;
+
+        await this.commitBatch([
+            { target: monthKey, op: 'deleteWorkout', payload: { id, date: workout.date } },
+            { target: getMonthKey(newDate), op: 'addWorkouts', payload: { date: moved.date, records: [moved] } }
+        ]);
+        return moved;
     },
 
     /**
-     * Delete a workout entry
+     * Delete a workout entry; it goes to the trash
      * @param {string} id - Workout entry ID
      * @param {string} date - Workout entry date
-     * @returns {Promise<void>}
+     * @returns {Promise<object>} Trash entry (see restoreFromTrash)
      */
     async deleteWorkout(id, date) {
         const workoutDate = parseDate(date);
@@ -727,100 +1750,407 @@ export const Storage = {
             throw new Error('Invalid workout date');
         }
 
-        const now = new Date();
-        const isSameMonth = workoutDate.getMonth() === now.getMonth() &&
-            workoutDate.getFullYear() === now.getFullYear();
+        // The cached month includes sets still waiting in the outbox, and needs no request offline
+        const monthKey = getMonthKey(workoutDate);
+        const workout = (await this.loadDocument(monthKey)).find(w => w.id === id);
+        if (!workout) {
+            throw new Error('Workout not found');
+        }
 
-        if (isSameMonth) {
-            const index = this.currentMonthWorkouts.findIndex(w => w.id === id);
-            if (index === -1) {
-                throw new Error('Workout not found');
-            }
+        await this.commit(monthKey, 'deleteWorkout', { id, date });
+
+        const exercise = this.getExerciseById(workout.exerciseId);
+        const detail = workout.weight ? `${workout.reps}x${workout.weight}` : `${workout.reps} reps`;
+        return await Trash.add({
+            kind: 'sets',
+            label: `${date}: ${exercise ? exercise.name : 'Unknown exercise'} ${detail}`,
+            records: [workout]
+        });
+    },
+
+    /**
+     * Delete every set of one day in one save; they go to the trash together
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<object>} Trash entry (see restoreFromTrash)
+     */
+    async deleteDay(date) {
+        const workoutDate = parseDate(date);
+        if (!workoutDate) {
+            throw new Error('Invalid workout date');
+        }
+
+        const monthKey = getMonthKey(workoutDate);
+        const workouts = (await this.loadDocument(monthKey)).filter(w => w.date === date);
+        if (workouts.length === 0) {
+            throw new Error('No sets on this day');
+        }
+
+        await this.commitBatch(workouts.map(w => ({ target: monthKey, op: 'deleteWorkout', payload: { id: w.id, date } })));
+
+        const names = [...new Set(workouts.map(w => this.getExerciseById(w.exerciseId)?.name || 'Unknown exercise'))];
+        return await Trash.add({
+            kind: 'sets',
+            label: `${date}: ${workouts.length} set${workouts.length === 1 ? '' : 's'} (${names.join(', ')})`,
+            records: workouts
+        });
+    },
 
-            this.currentMonthWorkouts.splice(index, 1);
+    // ─── Trash ───────────────────────────────────────────────────────────────
 
-            // Re-sequence remaining workouts for the same date
-            const sameDateWorkouts = this.currentMonthWorkouts
-                .filter(w => w.date === date)
-                .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+    /**
+     * Put a deleted item back: sets return to their month file and position in the day,
+     * a template to the template list
+     * @param {number} entryId - Trash entry id
+     * @returns {Promise<object>} The restored entry
+     */
+    async restoreFromTrash(entryId) {
+        const entry = Trash.get(entryId);
+        if (!entry) {
+            throw new Error('This item is no longer in the trash');
+        }
 
-            sameDateWorkouts.forEach((w, i) => {
-                w.sequence = i + 1;
+        if (entry.kind === 'template') {
+            await this.commit('templates', 'upsertItem', { item: entry.template });
+            window.dispatchEvent(new CustomEvent('templatesUpdated'));
+        } else {
+            const byMonth = new Map();
+            entry.records.forEach(record => {
+                const monthKey = getMonthKey(record.date);
+                if (!byMonth.has(monthKey)) byMonth.set(monthKey, []);
+                byMonth.get(monthKey).push(record);
             });
+            await this.commitBatch([...byMonth].map(([target, records]) =>
+                ({ target, op: 'restoreWorkouts', payload: { records } })));
+            window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+        }
+
+        await Trash.remove(entryId);
+        return entry;
+    },
+
+    /**
+     * Delete a trash entry for good
+     * @param {number} entryId
+     * @returns {Promise<void>}
+     */
+    async purgeTrash(entryId) {
+        await Trash.remove(entryId);
+    },
+
+    // ─── Change history ──────────────────────────────────────────────────────
+
+    /**
+     * Whether the backend keeps a history of saves (GitHub mode)
+     * @returns {boolean}
+     */
+    hasChangeHistory() {
+        return Boolean(this.adapter?.capabilities.history);
+    },
+
+    /**
+     * Recent saves that touched the data, newest first
+     * @param {number} limit
+     * @returns {Promise<array>} [{id, message, date, author}]
+     */
+    async listChangeHistory(limit = CONFIG.history.pageSize) {
+        if (!this.hasChangeHistory()) {
+            throw new Error('Change history is only available in GitHub mode');
+        }
+        return await this.adapter.listHistory(limit);
+    },
+
+    /**
+     * Read one save and pair the records it changed by id
+     * @param {string} id - History entry id (commit SHA)
+     * @returns {Promise<object>} {id, message, date, author, documents, records}; records are
+     *   {target, id, before, after} (null = absent), documents as from the adapter
+     */
+    async loadChangeSet(id) {
+        if (!this.hasChangeHistory()) {
+            throw new Error('Change history is only available in GitHub mode');
+        }
+        const entry = await this.adapter.loadHistoryEntry(id);
+
+        const records = entry.documents.flatMap(({ target, before, after }) => {
+            const beforeById = new Map((before || []).map(item => [item.id, item]));
+            const afterById = new Map((after || []).map(item => [item.id, item]));
+            return [...new Set([...beforeById.keys(), ...afterById.keys()])]
+                .map(recordId => ({ target, id: recordId, before: beforeById.get(recordId) || null, after: afterById.get(recordId) || null }))
+                .filter(record => !record.before || !record.after || fingerprint(record.before) !== fingerprint(record.after));
+        });
+
+        return { ...entry, records };
+    },
+
+    /**
+     * Work out which records of a save can be undone: those still as it left them
+     * @param {object} changeSet - From loadChangeSet()
+     * @returns {Promise<{changes: array, records: array, conflicts: array}>} changes for commitBatch();
+     *   records to be reverted and conflicts (changed since, kept as they are)
+     */
+    async planRevert(changeSet) {
+        const targets = [...new Set(changeSet.records.map(record => record.target))];
+        const documents = await this.loadDocuments(targets);
+        const subject = changeSet.message.split('\n')[0];
+        const label = `"${subject}" (${changeSet.id.slice(0, 7)})`;
+
+        const records = [];
+        const conflicts = [];
+        changeSet.records.forEach(record => {
+            const current = documents.get(record.target).find(item => item.id === record.id);
+            (isRevertible(current, record) ? records : conflicts).push(record);
+        });
+
+        const changes = targets
+            .filter(target => records.some(record => record.target === target))
+            .map(target => ({
+                target,
+                op: 'revertRecords',
+                payload: { label, records: changeSet.records.filter(record => record.target === target) }
+            }));
+        return { changes, records, conflicts };
+    },
 
-            const result = await GitHubAPI.saveWorkouts(now, this.currentMonthWorkouts, this.currentMonthSha);
-            this.currentMonthSha = result.content.sha;
+    /**
+     * Undo a save, leaving records changed since as they are, in one new save
+     * @param {object} changeSet - From loadChangeSet()
+     * @returns {Promise<object>} The plan carried out (see planRevert)
+     */
+    async revertChangeSet(changeSet) {
+        const plan = await this.planRevert(changeSet);
+        if (plan.changes.length === 0) {
+            throw new Error('Nothing to revert: every record has changed since');
+        }
+        if (plan.changes.length === 1) {
+            const [{ target, op, payload }] = plan.changes;
+            await this.commit(target, op, payload);
         } else {
-            const monthData = await GitHubAPI.getWorkouts(workoutDate);
-            const index = monthData.workouts.findIndex(w => w.id === id);
-            if (index === -1) {
-                throw new Error('Workout not found');
+            await this.commitBatch(plan.changes);
+        }
+
+        const targets = new Set(plan.changes.map(change => change.target));
+        if (targets.has('exercises')) window.dispatchEvent(new CustomEvent('exercisesUpdated'));
+        if (targets.has('templates')) window.dispatchEvent(new CustomEvent('templatesUpdated'));
+        if ([...targets].some(isMonthTarget)) window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+        return plan;
+    },
+
+    // ─── Encryption ──────────────────────────────────────────────────────────
+
+    /**
+     * Whether the backend can encrypt stored files (GitHub mode)
+     * @returns {boolean}
+     */
+    hasEncryption() {
+        return Boolean(this.adapter?.capabilities.encryption);
+    },
+
+    /**
+     * Whether stored files are encrypted
+     * @returns {boolean}
+     */
+    isEncrypted() {
+        return this.hasEncryption() && this.adapter.isEncrypted();
+    },
+
+    /**
+     * Encrypt every stored file with a key from the passphrase (also changes the passphrase),
+     * or decrypt them all when the passphrase is null — one commit either way
+     * @param {string|null} passphrase
+     * @returns {Promise<void>}
+     */
+    async setEncryption(passphrase) {
+        if (!this.hasEncryption()) {
+            throw new Error('Encryption is only available in GitHub mode');
+        }
+
+        // Everything must be saved under one key: no changes may still be waiting
+        await this.flushWrites();
+        if (Outbox.entries.length > 0) {
+            throw new Error('Some changes are still waiting to sync. Sync them first, then try again.');
+        }
+        await this.adapter.setEncryption(passphrase);
+    },
+
+    // ─── Backup ──────────────────────────────────────────────────────────────
+
+    /**
+     * Months that hold workouts, including the current month before its first save
+     * @returns {Promise<array>} Month keys (YYYY-MM), ascending
+     */
+    async listStoredMonths() {
+        const monthKeys = new Set(await this.adapter.listMonths());
+        if (this.currentMonthWorkouts.length > 0) {
+            monthKeys.add(this.currentMonthKey);
+        }
+        return [...monthKeys].sort();
+    },
+
+    /**
+     * Every stored document, for a backup
+     * @returns {Promise<{exercises: array, templates: array, months: object}>} months maps YYYY-MM → workouts
+     */
+    async exportDocuments() {
+        await this.flushWrites();
+
+        const monthKeys = await this.listStoredMonths();
+        const documents = await this.loadDocuments(['exercises', 'templates', ...monthKeys]);
+        const months = {};
+        monthKeys.forEach(monthKey => {
+            if (documents.get(monthKey).length > 0) {
+                months[monthKey] = documents.get(monthKey);
             }
+        });
+
+        return { exercises: documents.get('exercises'), templates: documents.get('templates'), months };
+    },
 
-            monthData.workouts.splice(index, 1);
+    /**
+     * Work out which documents restoring a backup changes, and how
+     * @param {object} documents - {exercises, templates, months} from a validated backup
+     * @param {string} mode - 'merge' adds and updates records by id; 'replace' makes the
+     *   backend match the backup (records and months missing from it are removed)
+     * @returns {Promise<array>} [{change, added, updated, removed}] for documents that would change
+     */
+    async planRestore(documents, mode) {
+        const targets = new Map([
+            ['exercises', documents.exercises],
+            ['templates', normalizeTemplates(documents.templates)],
+            ...Object.entries(documents.months)
+        ]);
+        if (mode === 'replace') {
+            (await this.listStoredMonths())
+                .filter(monthKey => !targets.has(monthKey))
+                .forEach(monthKey => targets.set(monthKey, []));
+        }
 
-            // Re-sequence remaining workouts for the same date
-            const sameDateWorkouts = monthData.workouts
-                .filter(w => w.date === date)
-                .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+        const current = await this.loadDocuments([...targets.keys()]);
+        return [...targets]
+            .map(([target, items]) => {
+                let op = 'replaceItems';
+                if (mode !== 'replace') op = isMonthTarget(target) ? 'mergeWorkouts' : 'mergeItems';
+                return { change: { target, op, payload: { items } }, ...diffItems(current.get(target), items, mode) };
+            })
+            .filter(plan => plan.added + plan.updated + plan.removed > 0);
+    },
 
-            sameDateWorkouts.forEach((w, i) => {
-                w.sequence = i + 1;
-            });
+    /**
+     * Restore a backup into the active backend, all documents in one save
+     * @param {object} documents - {exercises, templates, months} from a validated backup
+     * @param {string} mode - 'merge' or 'replace' (see planRestore)
+     * @returns {Promise<array>} What changed, as returned by planRestore
+     */
+    async restoreBackup(documents, mode) {
+        const plan = await this.planRestore(documents, mode);
+        if (plan.length === 0) return plan;
 
-            await GitHubAPI.saveWorkouts(workoutDate, monthData.workouts, monthData.sha);
+        await this.commitBatch(plan.map(({ change }) => change));
+
+        window.dispatchEvent(new CustomEvent('exercisesUpdated'));
+        window.dispatchEvent(new CustomEvent('templatesUpdated'));
+        window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+        return plan;
+    },
+
+    // ─── Migrations ──────────────────────────────────────────────────────────
+
+    /**
+     * Bring stored data up to the current schema version (see js/migrations.js).
+     * Every pending step runs over exercises, templates and all month files; the documents
+     * that change are saved together with data/meta.json in one commit / transaction.
+     * @param {object} options - {dryRun: report what would change without saving; the
+     *   Check Data report shows it}
+     * @returns {Promise<object>} Report (see Migrations.apply)
+     */
+    async migrate({ dryRun = false } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            const meta = (await this.adapter.loadMeta()) || {};
+            const fromVersion = meta.schemaVersion || 0;
+            if (fromVersion > SCHEMA_VERSION) {
+                console.warn(`Stored data uses schema v${fromVersion}, newer than this app (v${SCHEMA_VERSION}); update the app`);
+            }
+            if (fromVersion >= SCHEMA_VERSION) {
+                return Migrations.apply(new Map(), fromVersion);
+            }
+
+            const monthKeys = await this.adapter.listMonths();
+            const documents = await this.loadDocuments(['exercises', 'templates', ...monthKeys], true);
+            const report = Migrations.apply(documents, fromVersion);
+            const message = Migrations.describe(report);
+            if (dryRun) {
+                console.log(`Dry run: ${message}`);
+                return report;
+            }
+
+            const changed = report.changed.map(target => ({ target, items: documents.get(target) }));
+            const stamp = { ...meta, schemaVersion: report.toVersion, migratedAt: new Date().toISOString() };
+            try {
+                await this.adapter.saveBatch([...changed, { target: 'meta', items: stamp }], message);
+            } catch (error) {
+                // Another device may have migrated (or edited) the data meanwhile: start over
+                if (!Outbox.isConflictError(error) || attempt >= MAX_MERGE_ATTEMPTS) throw error;
+                continue;
+            }
+
+            changed.filter(({ target }) => isMonthTarget(target))
+                .forEach(({ target, items }) => this.rememberBase(target, items));
+            console.log(message);
+            return report;
         }
     },
 
-    // ─── Session Templates ───────────────────────────────────────────────────
+    // ─── Import ──────────────────────────────────────────────────────────────
 
     /**
-     * Normalize template rows loaded from storage to ensure required fields
-     * (type, set IDs) are present, regardless of when the data was created.
-     * @param {array} rows
-     * @returns {array}
+     * Add sets imported from another app, with the exercises they need, in one save.
+     * Sets keep their file order within a day and follow any sets already stored for it.
+     * @param {array} exercises - New exercise records (see buildExerciseRecord)
+     * @param {array} entries - [{exerciseId, date, reps, weight}]
+     * @returns {Promise<{exercises: number, sets: number, days: number}>}
      */
-    normalizeTemplateRows(rows) {
-        return (rows || []).map((row, rowIdx) => {
-            const r = { ...row };
-            if (!r.id) r.id = `tpl-row-norm-${rowIdx}-${Date.now()}`;
-            if (!r.type) r.type = 'single';
-
-            if (r.type === 'single') {
-                r.sets = (r.sets || []).map((set, i) => ({
-                    id: set.id || `${r.id}-set-${i + 1}`,
-                    reps: set.reps ?? '',
-                    weight: set.weight ?? ''
-                }));
-            } else {
-                r.exercises = (r.exercises || []).map((ex, exIdx) => {
-                    const exId = ex.id || `${r.id}-ex-${exIdx}`;
-                    return {
-                        ...ex,
-                        id: exId,
-                        sets: (ex.sets || []).map((set, i) => ({
-                            id: set.id || `${exId}-set-${i + 1}`,
-                            reps: set.reps ?? '',
-                            weight: set.weight ?? ''
-                        }))
-                    };
-                });
+    async importWorkouts(exercises, entries) {
+        const byDate = new Map();
+        entries.forEach(entry => {
+            if (!parseDate(entry.date)) {
+                throw new Error(`Invalid workout date: ${entry.date}`);
             }
-            return r;
+            if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+            byDate.get(entry.date).push(entry);
         });
+
+        const changes = [
+            ...exercises.map(item => ({ target: 'exercises', op: 'upsertItem', payload: { item } })),
+            ...[...byDate].sort(([a], [b]) => a.localeCompare(b)).map(([date, dayEntries]) => ({
+                target: getMonthKey(date),
+                op: 'addWorkouts',
+                payload: {
+                    date,
+                    records: dayEntries.map((entry, index) =>
+                        this.buildWorkoutRecord({ ...entry, source: 'import' }, index + 1))
+                }
+            }))
+        ];
+        if (changes.length === 0) {
+            throw new Error('Nothing to import');
+        }
+
+        await this.commitBatch(changes);
+
+        if (exercises.length > 0) window.dispatchEvent(new CustomEvent('exercisesUpdated'));
+        window.dispatchEvent(new CustomEvent('workoutsUpdated'));
+        return { exercises: exercises.length, sets: entries.length, days: byDate.size };
     },
 
+    // ─── Session Templates ───────────────────────────────────────────────────
+
     /**
-     * Load session templates from GitHub
+     * Load session templates from the active backend. Rows are normalized here as well as
+     * by the v2 migration: a backup restored or an older client saving after the migration
+     * can still write rows without a type or ids.
      * @returns {Promise<void>}
      */
     async loadSessionTemplates() {
-        const data = await GitHubAPI.getSessionTemplates();
-        this.sessionTemplates = data.templates.map(t => ({
-            ...t,
-            rows: this.normalizeTemplateRows(t.rows)
-        }));
-        this.sessionTemplatesSha = data.sha;
+        this.sessionTemplates = normalizeTemplates(await this.adapter.loadSessionTemplates());
     },
 
     /**
@@ -854,16 +2184,14 @@ export const Storage = {
             throw new Error('A template with this name already exists');
         }
 
+        const id = generateId();
         const newTemplate = {
-            id: generateId(),
+            id,
             name: trimmedName,
-            rows: template.rows || []
+            rows: normalizeTemplateRows(template.rows, id)
         };
 
-        this.sessionTemplates.push(newTemplate);
-        const result = await GitHubAPI.saveSessionTemplates(this.sessionTemplates, this.sessionTemplatesSha);
-        this.sessionTemplatesSha = result.content.sha;
-        return newTemplate;
+        return await this.commit('templates', 'upsertItem', { item: newTemplate });
     },
 
     /**
@@ -881,28 +2209,24 @@ export const Storage = {
             throw new Error('A template with this name already exists');
         }
 
-        this.sessionTemplates[index] = {
-            id: this.sessionTemplates[index].id,
+        const updated = {
+            id,
             name: trimmedName,
-            rows: template.rows
+            rows: normalizeTemplateRows(template.rows, id)
         };
 
-        const result = await GitHubAPI.saveSessionTemplates(this.sessionTemplates, this.sessionTemplatesSha);
-        this.sessionTemplatesSha = result.content.sha;
-        return this.sessionTemplates[index];
+        return await this.commit('templates', 'upsertItem', { item: updated });
     },
 
     /**
-     * Delete session template
+     * Delete session template; it goes to the trash
      * @param {string} id
-     * @returns {Promise<void>}
+     * @returns {Promise<object>} Trash entry (see restoreFromTrash)
      */
     async deleteSessionTemplate(id) {
-        const index = this.sessionTemplates.findIndex(t => t.id === id);
-        if (index === -1) throw new Error('Template not found');
-        this.sessionTemplates.splice(index, 1);
-        const result = await GitHubAPI.saveSessionTemplates(this.sessionTemplates, this.sessionTemplatesSha);
-        this.sessionTemplatesSha = result.content.sha;
+        const template = this.sessionTemplates.find(t => t.id === id);
+        if (!template) throw new Error('Template not found');
+        await this.commit('templates', 'removeItem', { id });
+        return await Trash.add({ kind: 'template', label: `Template "${template.name}"`, template });
     }
 };
-// Note: generateId, parseDate, and formatDate are now imported from utils.js
@@ -0,0 +1,51 @@
+// Tab Sync
+// Tells the other open tabs of the app which documents were saved (BroadcastChannel), so their caches stay current
+
+// Channel shared by every tab of the app on this origin
+const CHANNEL_NAME = 'progressive-overload-storage';
+
+export const TabSync = {
+    channel: null,
+
+    // Storage backend of this tab; saves made through another backend are ignored
+    backend: null,
+
+    /**
+     * Start listening for saves made in other tabs (no-op where BroadcastChannel is unavailable)
+     * @param {string} backend - Adapter name
+     * @param {Function} onSaved - (documents) → void, with documents as passed to publishSaved()
+     */
+    init(backend, onSaved) {
+        if (this.channel || typeof BroadcastChannel === 'undefined') return;
+
+        this.backend = backend;
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.addEventListener('message', (event) => {
+            const { type, backend: from, documents } = event.data || {};
+            if (type !== 'saved' || from !== this.backend) return;
+            onSaved(documents);
+        });
+    },
+
+    /**
+     * Tell the other tabs which documents this tab saved (the sender does not receive it)
+     * @param {array} documents - [{target, items, version}]; version as reported by the adapter, or null
+     */
+    publishSaved(documents) {
+        if (!this.channel || documents.length === 0) return;
+        try {
+            this.channel.postMessage({ type: 'saved', backend: this.backend, documents });
+        } catch (error) {
+            console.warn('Could not notify other tabs:', error);
+        }
+    },
+
+    /**
+     * Stop listening and release the channel
+     */
+    close() {
+        this.channel?.close();
+        this.channel = null;
+        this.backend = null;
+    }
+};
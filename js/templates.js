@@ -2,6 +2,7 @@
 // Manages pre-planned session templates (create, edit, delete, list)
 
 import { Storage } from './storage.js';
+import { TrashDialog } from './trash-dialog.js';
 import { showToast } from './app.js';
 
 const DEFAULT_SET_COUNT = 3;
@@ -16,6 +17,7 @@ export const Templates = {
 
         // Refresh when exercises change (exercise names in rows may need updating)
         window.addEventListener('exercisesUpdated', () => this.renderTemplateList());
+        window.addEventListener('templatesUpdated', () => this.renderTemplateList());
     },
 
     bindEvents() {
@@ -389,7 +391,7 @@ export const Templates = {
         defaultOption.textContent = 'Select Exercise...';
         select.appendChild(defaultOption);
 
-        const exercises = Storage.getExercises().slice().sort((a, b) => a.name.localeCompare(b.name));
+        const exercises = Storage.getActiveExercises(selectedValue).sort((a, b) => a.name.localeCompare(b.name));
         exercises.forEach(ex => {
             const opt = document.createElement('option');
             opt.value = ex.id;
@@ -799,11 +801,9 @@ export const Templates = {
         const template = Storage.getSessionTemplateById(id);
         if (!template) return;
 
-        if (!confirm(`Delete template "${template.name}"? This cannot be undone.`)) return;
-
         try {
-            await Storage.deleteSessionTemplate(id);
-            showToast('Template deleted', 'success');
+            const entry = await Storage.deleteSessionTemplate(id);
+            TrashDialog.offerUndo(`Template "${template.name}" deleted`, entry);
             this.renderTemplateList();
             window.dispatchEvent(new CustomEvent('templatesUpdated'));
         } catch (error) {
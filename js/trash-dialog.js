@@ -0,0 +1,131 @@
+// Trash Dialog
+// Undo after a delete, and the Trash view (History) to restore or purge recently deleted items
+
+import { Storage } from './storage.js';
+import { Trash } from './trash.js';
+import { CONFIG } from './config.js';
+import { showToast, showLoading } from './app.js';
+
+export const TrashDialog = {
+    /**
+     * Wire the Trash button and the modal
+     */
+    init() {
+        const trashBtn = document.getElementById('trashBtn');
+        if (!trashBtn) return;
+
+        trashBtn.addEventListener('click', () => this.open());
+        document.getElementById('trashEmptyBtn').addEventListener('click', () => this.handleEmpty());
+        document.getElementById('trashCloseBtn').addEventListener('click', () => this.close());
+
+        const modal = document.getElementById('trashModal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+
+        window.addEventListener('trashChanged', () => {
+            if (modal.style.display === 'flex') this.render();
+        });
+    },
+
+    /**
+     * Confirm a delete with a toast that can undo it
+     * @param {string} message
+     * @param {object} entry - Trash entry returned by the delete
+     */
+    offerUndo(message, entry) {
+        showToast(message, 'success', { label: 'Undo', onClick: () => this.restore(entry.id) });
+    },
+
+    /**
+     * Restore a trash entry
+     * @param {number} entryId
+     */
+    async restore(entryId) {
+        showLoading(true);
+        try {
+            const entry = await Storage.restoreFromTrash(entryId);
+            showToast(`Restored ${entry.label}`, 'success');
+        } catch (error) {
+            console.error('Error restoring from trash:', error);
+            showToast(`Restore failed: ${error.message}`, 'error');
+        } finally {
+            showLoading(false);
+        }
+    },
+
+    open() {
+        this.render();
+        document.getElementById('trashModal').style.display = 'flex';
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * List the trash, newest first
+     */
+    render() {
+        const list = document.getElementById('trashList');
+        const entries = [...Trash.entries].reverse();
+
+        document.getElementById('trashSummary').textContent = entries.length === 0
+            ? 'The trash is empty.'
+            : `Deleted sets, days and templates are kept on this device for ${CONFIG.trash.retentionDays} days.`;
+        document.getElementById('trashEmptyBtn').disabled = entries.length === 0;
+
+        list.replaceChildren(...entries.map(entry => {
+            const item = document.createElement('li');
+            item.className = 'trash-item';
+
+            const text = document.createElement('div');
+            text.className = 'trash-text';
+            const label = document.createElement('span');
+            label.className = 'trash-label';
+            label.textContent = entry.label;
+            const time = document.createElement('span');
+            time.className = 'trash-time';
+            time.textContent = `Deleted ${new Date(entry.deletedAt).toLocaleString()}`;
+            text.append(label, time);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'btn-icon btn-small btn-secondary';
+            restoreBtn.title = 'Restore';
+            restoreBtn.setAttribute('aria-label', `Restore ${entry.label}`);
+            restoreBtn.innerHTML = '<i data-lucide="undo-2" style="width: 14px; height: 14px;"></i>';
+            restoreBtn.addEventListener('click', () => this.restore(entry.id));
+
+            const purgeBtn = document.createElement('button');
+            purgeBtn.type = 'button';
+            purgeBtn.className = 'btn-icon btn-small btn-secondary btn-danger-text';
+            purgeBtn.title = 'Delete forever';
+            purgeBtn.setAttribute('aria-label', `Delete ${entry.label} forever`);
+            purgeBtn.innerHTML = '<i data-lucide="x" style="width: 14px; height: 14px;"></i>';
+            purgeBtn.addEventListener('click', () => Storage.purgeTrash(entry.id));
+
+            item.append(text, restoreBtn, purgeBtn);
+            return item;
+        }));
+
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Purge everything in the trash
+     */
+    async handleEmpty() {
+        const count = Trash.entries.length;
+        if (count === 0) return;
+        if (!confirm(`Delete ${count} item${count === 1 ? '' : 's'} in the trash forever? This action cannot be undone.`)) {
+            return;
+        }
+
+        for (const entry of [...Trash.entries]) {
+            await Storage.purgeTrash(entry.id);
+        }
+        showToast('Trash emptied', 'success');
+    },
+
+    close() {
+        document.getElementById('trashModal').style.display = 'none';
+    }
+};
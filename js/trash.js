@@ -0,0 +1,95 @@
+// Trash
+// Recently deleted sets, days and templates, kept on this device so they can be restored
+
+import { IDB } from './idb.js';
+import { CONFIG } from './config.js';
+
+export const Trash = {
+    // Deleted items, oldest first: {id, kind, label, deletedAt, records | template}.
+    // kind is 'sets' (one set or a whole day, records are the deleted workouts) or 'template'.
+    entries: [],
+
+    // False when IndexedDB is unavailable: the trash then only lives until reload
+    persistent: true,
+
+    // Fallback key used when the trash is not persistent
+    nextId: 1,
+
+    /**
+     * Load the trash and drop items past the retention period
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            this.entries = await IDB.getAll('trash');
+        } catch (error) {
+            console.warn('Trash unavailable, deleted items can only be restored until reload:', error);
+            this.persistent = false;
+            this.entries = [];
+        }
+        await this.prune();
+        this.notify();
+    },
+
+    /**
+     * Put deleted records in the trash
+     * @param {object} item - {kind, label, records} or {kind: 'template', label, template}
+     * @returns {Promise<object>} The trash entry
+     */
+    async add(item) {
+        const entry = {
+            // Detach from live cache objects
+            ...JSON.parse(JSON.stringify(item)),
+            deletedAt: new Date().toISOString()
+        };
+
+        entry.id = this.persistent ? await IDB.add('trash', entry) : this.nextId++;
+        this.entries.push(entry);
+        await this.prune();
+        this.notify();
+        return entry;
+    },
+
+    /**
+     * Find an entry by id
+     * @param {number} id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    },
+
+    /**
+     * Remove an entry (restored or purged)
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        if (this.persistent) {
+            await IDB.delete('trash', id);
+        }
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.notify();
+    },
+
+    /**
+     * Drop entries older than the retention period, then the oldest beyond the size limit
+     * @returns {Promise<void>}
+     */
+    async prune() {
+        const cutoff = Date.now() - CONFIG.trash.retentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.entries.filter((entry, index) =>
+            Date.parse(entry.deletedAt) < cutoff || index < this.entries.length - CONFIG.trash.maxEntries);
+        for (const entry of expired) {
+            if (this.persistent) await IDB.delete('trash', entry.id);
+        }
+        this.entries = this.entries.filter(entry => !expired.includes(entry));
+    },
+
+    /**
+     * Tell the UI the trash changed
+     */
+    notify() {
+        window.dispatchEvent(new CustomEvent('trashChanged', { detail: { count: this.entries.length } }));
+    }
+};
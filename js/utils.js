@@ -21,6 +21,46 @@ export function generateId() {
     return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Base64 of raw bytes (chunked: large files would overflow the argument list)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Raw bytes of a base64 string (line breaks, as GitHub sends them, are ignored)
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64.replace(/\s/g, '')), char => char.charCodeAt(0));
+}
+
+/**
+ * Base64 of text encoded as UTF-8 (btoa alone throws on characters above U+00FF)
+ * @param {string} text
+ * @returns {string}
+ */
+export function encodeBase64Utf8(text) {
+    return bytesToBase64(new TextEncoder().encode(text));
+}
+
+/**
+ * Text of UTF-8 base64 content
+ * @param {string} base64
+ * @returns {string}
+ */
+export function decodeBase64Utf8(base64) {
+    return new TextDecoder().decode(base64ToBytes(base64));
+}
+
 /**
  * Parse date string (YYYY-MM-DD) to Date object
  * @param {string} dateStr - Date string in YYYY-MM-DD format
@@ -68,6 +108,25 @@ export function formatDate(date) {
     return `${year}-${month}-${day}`;
 }
 
+/**
+ * Get the month key (YYYY-MM) for a Date or YYYY-MM-DD string
+ * @param {Date|string} value - Date object or date string
+ * @returns {string} Month key (e.g., '2026-01')
+ */
+export function getMonthKey(value) {
+    return value instanceof Date ? formatDate(value).slice(0, 7) : String(value).slice(0, 7);
+}
+
+/**
+ * Parse a month key (YYYY-MM) to the first day of that month
+ * @param {string} monthKey - Month key (e.g., '2026-01')
+ * @returns {Date} Date object
+ */
+export function parseMonthKey(monthKey) {
+    const [year, month] = monthKey.split('-').map(n => parseInt(n, 10));
+    return new Date(year, month - 1, 1);
+}
+
 /**
  * Validate date string format (YYYY-MM-DD)
  * @param {string} dateStr - Date string
@@ -221,3 +280,21 @@ export function formatEquipmentType(type) {
     };
     return labels[type] || type;
 }
+
+/**
+ * Save text as a file through the browser's download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -4,6 +4,7 @@
 import { Storage } from './storage.js';
 import { showToast } from './app.js';
 import { CONFIG } from './config.js';
+import { normalizeTemplateRows } from './migrations.js';
 import { isValidDate, validateNumber, formatDate } from './utils.js';
 
 const SESSION_KEY = 'workout.activeSession';
@@ -319,7 +320,7 @@ export const Workouts = {
         const select = document.getElementById('workoutMuscle');
         if (!select) return;
 
-        const exercises = Storage.getExercises();
+        const exercises = Storage.getActiveExercises();
         const muscles = [...new Set(exercises.map(ex => ex.muscle).filter(Boolean))];
 
         // Keep first option
@@ -350,7 +351,7 @@ export const Workouts = {
         const select = document.getElementById('workoutExercise');
         if (!select) return;
         
-        let exercises = Storage.getExercises();
+        let exercises = Storage.getActiveExercises();
 
         // Apply filter if provided
         if (muscleFilter) {
@@ -382,7 +383,7 @@ export const Workouts = {
         const select = document.getElementById('plannerExerciseSelect');
         if (!select) return;
 
-        let exercises = preparedExercises || Storage.getExercises();
+        let exercises = preparedExercises || Storage.getActiveExercises();
         exercises = [...exercises].sort((a, b) => a.name.localeCompare(b.name));
 
         const currentValue = select.value;
@@ -461,7 +462,7 @@ export const Workouts = {
             ? { rowId: context.rowId, itemId: context.itemId || null }
             : null;
         const usedExerciseIds = this.getPlannerSelectedExerciseIds(exclude);
-        const options = Storage.getExercises()
+        const options = Storage.getActiveExercises()
             .slice()
             .sort((a, b) => a.name.localeCompare(b.name))
             .filter((exercise) => !usedExerciseIds.has(exercise.id));
@@ -1348,7 +1349,7 @@ export const Workouts = {
         defaultOption.textContent = 'Select Exercise...';
         select.appendChild(defaultOption);
 
-        const exercises = Storage.getExercises().slice().sort((a, b) => a.name.localeCompare(b.name));
+        const exercises = Storage.getActiveExercises(selectedValue).sort((a, b) => a.name.localeCompare(b.name));
         exercises.forEach(exercise => {
             const option = document.createElement('option');
             option.value = exercise.id;
@@ -1655,47 +1656,39 @@ export const Workouts = {
                 return nameOrId;
             }
 
-            // Ensure each set has an id, reps, weight, and completed fields
-            function normalizeSet(setEntry, baseId, setIndex) {
-                return {
-                    id: setEntry?.id || `${baseId}-set-${setIndex + 1}`,
-                    reps: setEntry?.reps ?? '',
-                    weight: setEntry?.weight ?? '',
-                    completed: Boolean(setEntry?.completed)
-                };
+            // Carry over which sets were completed (templates have no such field)
+            function withCompleted(sets, rawSets) {
+                return sets.map((setEntry, setIndex) => ({
+                    ...setEntry,
+                    completed: Boolean(rawSets?.[setIndex]?.completed)
+                }));
             }
 
-            function normalizeRow(row, index) {
-                const rowId = row?.id || `row-${Date.now()}-${index}`;
+            // Rows get their type and ids the same way stored templates do
+            const sessionId = parsed.id || `session-${Date.now()}`;
+            const rows = normalizeTemplateRows(parsed.rows, sessionId).map((row, index) => {
+                const rawRow = parsed.rows[index];
                 if (row.type === 'single') {
                     return {
                         ...row,
-                        id: rowId,
                         exerciseId: getExerciseId(row.exerciseId || row.name),
-                        sets: Array.isArray(row.sets) ? row.sets.map((s, i) => normalizeSet(s, rowId, i)) : []
-                    };
-                } else if (row.type === 'superset') {
-                    return {
-                        ...row,
-                        id: rowId,
-                        exercises: Array.isArray(row.exercises) ? row.exercises.map((item, itemIndex) => {
-                            const itemId = item?.id || `${rowId}-${itemIndex + 1}`;
-                            return {
-                                ...item,
-                                id: itemId,
-                                exerciseId: getExerciseId(item.exerciseId || item.name),
-                                sets: Array.isArray(item.sets) ? item.sets.map((s, i) => normalizeSet(s, itemId, i)) : []
-                            };
-                        }) : []
+                        sets: withCompleted(row.sets, rawRow?.sets)
                     };
                 }
-                return row;
-            }
+                return {
+                    ...row,
+                    exercises: row.exercises.map((item, itemIndex) => ({
+                        ...item,
+                        exerciseId: getExerciseId(item.exerciseId || item.name),
+                        sets: withCompleted(item.sets, rawRow?.exercises?.[itemIndex]?.sets)
+                    }))
+                };
+            });
 
             this.plannedSession = {
-                id: parsed.id || `session-${Date.now()}`,
+                id: sessionId,
                 date: currentDate,
-                rows: parsed.rows.map(normalizeRow)
+                rows
             };
         } catch (error) {
             console.warn('Could not restore planner draft:', error);
@@ -0,0 +1,197 @@
+// Adapter Conformance Tests
+// The storage adapter contract (see storage-adapters.js) checked by behaviour against every backend
+
+import { test, assert } from './harness.js';
+import { createFakeGitHub, createFakeDevServer, resetGitHubSession } from './fakes.js';
+import { assertConformance } from '../js/storage-adapters.js';
+import { DevStorage } from '../js/dev-storage.js';
+import { IdbStorage } from '../js/idb-storage.js';
+import { GitHubStorage } from '../js/github-storage.js';
+import { IDB } from '../js/idb.js';
+
+/**
+ * One backend under test: open() starts it empty, reopen() starts a new session on the
+ * stored data, failNextSave() makes the next write fail inside the backend.
+ * changeElsewhere(target, items) writes a document as another device would (shared backends only).
+ */
+const fixtures = [
+    (() => {
+        let server;
+        return {
+            adapter: DevStorage,
+            async open() {
+                server = createFakeDevServer();
+                globalThis.fetch = server.fetch;
+                await DevStorage.initialize();
+            },
+            async reopen() {
+                await DevStorage.initialize();
+            },
+            failNextSave() {
+                server.failNextWrite();
+            }
+        };
+    })(),
+    {
+        adapter: IdbStorage,
+        async open() {
+            await IDB.deleteDatabase();
+            await IdbStorage.initialize();
+        },
+        async reopen() {
+            IDB.db.close();
+            IDB.db = null;
+            await IdbStorage.initialize();
+        },
+        failNextSave() {
+            // A store error partway through the transaction, after other documents were staged
+            const stage = IDB.stageReplaceRange;
+            IDB.stageReplaceRange = () => {
+                IDB.stageReplaceRange = stage;
+                throw new Error('Simulated store error');
+            };
+        }
+    },
+    (() => {
+        let repo;
+        return {
+            adapter: GitHubStorage,
+            async open() {
+                repo = createFakeGitHub();
+                globalThis.fetch = repo.fetch;
+                resetGitHubSession();
+                await GitHubStorage.initialize();
+            },
+            async reopen() {
+                resetGitHubSession();
+                await GitHubStorage.initialize();
+            },
+            failNextSave() {
+                repo.failNextWrite();
+            },
+            changeElsewhere(target, items) {
+                const { path, content } = GitHubStorage.documentFile(target, items);
+                repo.seed(path, content);
+            }
+        };
+    })()
+];
+
+const EXERCISES = [
+    { id: 'e1', name: 'Squat', equipmentType: 'barbell', muscle: 'legs', requiresWeight: true },
+    { id: 'e2', name: 'Pull-up', equipmentType: 'bodyweight', muscle: 'back', requiresWeight: false }
+];
+const TEMPLATES = [{ id: 't1', name: 'Legs', exercises: [{ exerciseId: 'e1', sets: 3 }] }];
+
+function workout(id, date) {
+    return { id, exerciseId: 'e1', date, reps: 5, weight: 100, sequence: 1 };
+}
+
+function ids(workouts) {
+    return workouts.map(w => w.id).sort();
+}
+
+fixtures.forEach(fixture => {
+    const { adapter } = fixture;
+    const name = adapter.name;
+
+    test(`${name}: implements the contract`, async () => {
+        assertConformance(adapter);
+    });
+
+    test(`${name}: exercises, templates and meta round-trip`, async () => {
+        await fixture.open();
+        assert.equal(await adapter.loadMeta(), null, 'meta before the first save');
+
+        await adapter.saveExercises(EXERCISES);
+        await adapter.saveSessionTemplates(TEMPLATES);
+        await adapter.saveBatch([{ target: 'meta', items: { schemaVersion: 2 } }]);
+        await fixture.reopen();
+
+        assert.deepEqual(await adapter.loadExercises(), EXERCISES, 'exercises');
+        assert.deepEqual(await adapter.loadSessionTemplates(), TEMPLATES, 'templates');
+        assert.deepEqual(await adapter.loadMeta(), { schemaVersion: 2 }, 'meta');
+    });
+
+    test(`${name}: months round-trip with their list and summaries`, async () => {
+        await fixture.open();
+        await adapter.saveMonth('2025-01', [workout('a', '2025-01-10'), workout('b', '2025-01-20')]);
+        await adapter.saveMonth('2024-12', [workout('c', '2024-12-31')]);
+        await adapter.saveMonth('2025-01', [workout('b', '2025-01-20'), workout('d', '2025-01-21')]);
+        await fixture.reopen();
+
+        assert.deepEqual(ids(await adapter.loadMonth('2025-01')), ['b', 'd'], 'saveMonth replaces the month');
+        assert.deepEqual(ids(await adapter.loadMonth('2024-12')), ['c']);
+        assert.deepEqual(await adapter.loadMonth('2025-02'), [], 'month never saved');
+        assert.deepEqual(await adapter.listMonths(), ['2024-12', '2025-01'], 'listMonths');
+
+        const summaries = await adapter.loadMonthSummaries();
+        assert.equal(summaries['2025-01'].count, 2, 'summary count');
+        assert.equal(summaries['2025-01'].firstDate, '2025-01-20', 'summary firstDate');
+        assert.equal(summaries['2025-01'].lastDate, '2025-01-21', 'summary lastDate');
+    });
+
+    test(`${name}: loadRange bounds are inclusive across month edges`, async () => {
+        await fixture.open();
+        await adapter.saveMonth('2024-12', [workout('dec31', '2024-12-31')]);
+        await adapter.saveMonth('2025-01', [workout('jan01', '2025-01-01'), workout('jan31', '2025-01-31')]);
+        await adapter.saveMonth('2025-02', [workout('feb01', '2025-02-01'), workout('feb28', '2025-02-28')]);
+        await adapter.saveMonth('2025-03', [workout('mar01', '2025-03-01')]);
+        await fixture.reopen();
+
+        assert.deepEqual(ids(await adapter.loadRange('2025-01-01', '2025-02-28')), ['feb01', 'feb28', 'jan01', 'jan31']);
+        assert.deepEqual(ids(await adapter.loadRange('2025-01-31', '2025-02-01')), ['feb01', 'jan31'], 'across a month edge');
+        assert.deepEqual(ids(await adapter.loadRange('2024-12-31', '2024-12-31')), ['dec31'], 'single day');
+        assert.deepEqual(ids(await adapter.loadRange('2025-01-02', '2025-01-30')), [], 'inside a month, no sets');
+    });
+
+    test(`${name}: saveBatch writes every document or none`, async () => {
+        await fixture.open();
+        await adapter.saveBatch([
+            { target: 'exercises', items: EXERCISES },
+            { target: '2025-01', items: [workout('a', '2025-01-10')] }
+        ]);
+
+        fixture.failNextSave();
+        await assert.rejects(adapter.saveBatch([
+            { target: 'exercises', items: EXERCISES.slice(0, 1) },
+            { target: '2025-01', items: [workout('b', '2025-01-11')] }
+        ]), 'failed batch');
+        assert.deepEqual(await adapter.loadExercises(), EXERCISES, 'exercises after the failed batch');
+        assert.deepEqual(ids(await adapter.loadMonth('2025-01')), ['a'], 'month after the failed batch');
+        await fixture.reopen();
+        assert.deepEqual(await adapter.loadExercises(), EXERCISES, 'stored exercises after the failed batch');
+        assert.deepEqual(ids(await adapter.loadMonth('2025-01')), ['a'], 'stored month after the failed batch');
+
+        await adapter.saveBatch([
+            { target: 'exercises', items: EXERCISES.slice(0, 1) },
+            { target: '2025-01', items: [workout('b', '2025-01-11')] }
+        ]);
+        await fixture.reopen();
+        assert.deepEqual(await adapter.loadExercises(), EXERCISES.slice(0, 1), 'exercises after the next batch');
+        assert.deepEqual(ids(await adapter.loadMonth('2025-01')), ['b'], 'month after the next batch');
+    });
+
+    if (!adapter.capabilities.sharedAcrossDevices) return;
+
+    test(`${name}: a save over a document changed elsewhere throws conflict: true`, async () => {
+        await fixture.open();
+        await adapter.saveMonth('2025-01', [workout('a', '2025-01-10')]);
+        await adapter.saveExercises(EXERCISES);
+        await fixture.reopen();
+        await adapter.loadMonth('2025-01');
+        await adapter.loadExercises();
+
+        fixture.changeElsewhere('2025-01', [workout('a', '2025-01-10'), workout('other', '2025-01-12')]);
+        fixture.changeElsewhere('exercises', EXERCISES.slice(1));
+
+        const monthError = await assert.rejects(adapter.saveMonth('2025-01', [workout('mine', '2025-01-11')]), 'stale month save');
+        assert.equal(monthError.conflict, true, 'month conflict flag');
+        const exercisesError = await assert.rejects(adapter.saveExercises(EXERCISES.slice(0, 1)), 'stale exercises save');
+        assert.equal(exercisesError.conflict, true, 'exercises conflict flag');
+
+        await fixture.reopen();
+        assert.deepEqual(ids(await adapter.loadMonth('2025-01')), ['a', 'other'], 'the other save is kept');
+        assert.deepEqual(await adapter.loadExercises(), EXERCISES.slice(1), 'the other exercises are kept');
+    });
+});
@@ -0,0 +1,71 @@
+// Backup Tests
+// Validating backup archives before a restore (js/backup.js)
+
+import { test, assert } from './harness.js';
+import { Backup } from '../js/backup.js';
+import { SCHEMA_VERSION } from '../js/migrations.js';
+
+/**
+ * A valid archive as written before data migrations existed (schema v0)
+ * @param {object} changes - Fields to replace
+ * @returns {object}
+ */
+function archive(changes = {}) {
+    return {
+        format: 'progressive-overload-backup',
+        version: 1,
+        exportedAt: '2025-01-31T10:00:00.000Z',
+        source: 'github',
+        exercises: [{ id: 'e1', name: 'Bench Press' }],
+        templates: [{ id: 't1', name: 'Push', rows: [{ exerciseId: 'e1', sets: [{ reps: 5, weight: 100 }] }] }],
+        workouts: {
+            '2025-01': [
+                { id: '1736500000000_b', exerciseId: 'e1', date: '2025-01-10', reps: 5, weight: 100 },
+                { id: '1736400000000_a', exerciseId: 'e1', date: '2025-01-10', reps: 5, weight: 100 }
+            ]
+        },
+        ...changes
+    };
+}
+
+test('backup: an older archive is validated and upgraded like stored data', () => {
+    const original = archive();
+    const restored = Backup.validate(original);
+
+    assert.equal(restored.exportedAt, '2025-01-31T10:00:00.000Z', 'exportedAt');
+    assert.equal(restored.source, 'github', 'source');
+    assert.deepEqual(restored.exercises, original.exercises, 'exercises');
+    assert.deepEqual(restored.months['2025-01'].map(w => [w.id, w.sequence]), [
+        ['1736500000000_b', 2], ['1736400000000_a', 1]
+    ], 'v1: sets numbered in creation order');
+    assert.deepEqual(restored.templates[0].rows, [{
+        exerciseId: 'e1', sets: [{ id: 't1-row-1-set-1', reps: 5, weight: 100 }], id: 't1-row-1', type: 'single'
+    }], 'v2: template rows typed and given ids');
+    assert.equal(original.workouts['2025-01'][0].sequence, undefined, 'archive itself left unchanged');
+});
+
+test('backup: files that are not backups, or are from a newer app, are refused', () => {
+    const message = changes => assert.throws(() => Backup.validate(archive(changes))).message;
+
+    assert.equal(message({ format: 'something-else' }), 'The file is not a Progressive Overload backup', 'format');
+    assert.equal(message({ version: '1' }), 'The backup has no valid version', 'version');
+    assert.ok(message({ version: 2 }).includes('format 2'), 'newer format');
+    assert.ok(message({ schemaVersion: SCHEMA_VERSION + 1 }).includes(`data schema ${SCHEMA_VERSION + 1}`), 'newer schema');
+    assert.equal(assert.throws(() => Backup.parse('{"format":')).message, 'The file is not valid JSON', 'not JSON');
+});
+
+test('backup: damaged records are listed, the first five by name', () => {
+    const error = assert.throws(() => Backup.validate(archive({
+        exercises: [{ id: 'e1', name: 'Bench Press' }, { id: 'e1', name: 'Squat' }, { name: 'Row' }],
+        templates: {},
+        workouts: {
+            '2025-1': [],
+            '2025-02': [
+                { id: 'w1', exerciseId: 'e1', date: '2025-03-01', reps: 5 },
+                { id: 'w2', exerciseId: 'e1', date: '2025-02-01', reps: '5' }
+            ]
+        }
+    })));
+    assert.equal(error.message, 'The backup is damaged: Exercise #2 repeats id e1; Exercise #3 has no id; '
+        + 'Template must be a list; Workout month 2025-1 is not YYYY-MM; Set in 2025-02 #2 has an invalid reps (and 1 more)', 'message');
+});
@@ -0,0 +1,49 @@
+// CSV Export Tests
+// An export must contain every month of its range or fail (GitHub mode, in-memory fake)
+
+import { test, assert } from './harness.js';
+import { createFakeGitHub, resetGitHubSession } from './fakes.js';
+import { CsvExport } from '../js/csv-export.js';
+import { Storage } from '../js/storage.js';
+import { GitHubStorage } from '../js/github-storage.js';
+
+const FEBRUARY_PATH = GitHubStorage.documentFile('2025-02', []).path;
+
+function workout(id, date) {
+    return { id, exerciseId: 'e1', date, reps: 5, weight: 100, sequence: 1 };
+}
+
+/**
+ * Two indexed months, read by a fresh session that fails to fetch February
+ * @returns {Promise<void>}
+ */
+async function openWithUnreadableMonth() {
+    const repo = createFakeGitHub();
+    globalThis.fetch = repo.fetch;
+    resetGitHubSession();
+    await GitHubStorage.initialize();
+    await GitHubStorage.saveMonth('2025-01', [workout('jan', '2025-01-10')]);
+    await GitHubStorage.saveMonth('2025-02', [workout('feb', '2025-02-10')]);
+
+    resetGitHubSession();
+    await GitHubStorage.initialize();
+    await GitHubStorage.loadIndex();
+    globalThis.fetch = (url, options = {}) => {
+        if (!options.method && new URL(url).pathname.endsWith(FEBRUARY_PATH)) {
+            return Promise.resolve(new Response(null, { status: 401 }));
+        }
+        return repo.fetch(url, options);
+    };
+    Storage.use(GitHubStorage);
+}
+
+test('github: a range with a month that cannot be read fails instead of leaving it out', async () => {
+    await openWithUnreadableMonth();
+    await assert.rejects(GitHubStorage.loadRange('2025-01-01', '2025-02-28'), 'range over both months');
+    assert.deepEqual((await GitHubStorage.loadRange('2025-01-01', '2025-01-31')).map(w => w.id), ['jan'], 'range over the readable month');
+});
+
+test('github: a CSV export with a month that cannot be read fails', async () => {
+    await openWithUnreadableMonth();
+    await assert.rejects(CsvExport.loadWorkouts({ startDate: '2025-01-01', endDate: '2025-02-28' }), 'export');
+});
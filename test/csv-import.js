@@ -0,0 +1,75 @@
+// CSV Import Tests
+// Reading Strong, Hevy and FitNotes exports (js/csv-import.js): quoting, delimiters, dates and units
+
+import { test, assert } from './harness.js';
+import { CsvImport } from '../js/csv-import.js';
+
+test('csv import: quoted cells keep commas, quotes and line breaks; a byte order mark and blank lines are dropped', () => {
+    const text = '\uFEFFa,b,c\r\n"1,5","say ""hi""","two\nlines"\r\n\r\nx,,z\n';
+    assert.deepEqual(CsvImport.parseCsv(text), [
+        ['a', 'b', 'c'],
+        ['1,5', 'say "hi"', 'two\nlines'],
+        ['x', '', 'z']
+    ], 'rows');
+});
+
+test('csv import: semicolon files with decimal commas are read', () => {
+    const text = [
+        'Date;Exercise;Category;Weight (kgs);Reps',
+        '2024-03-05;Bench Press;Chest;82,5;5',
+        '2024-03-05;"Row; Cable";Back;60;10'
+    ].join('\n');
+
+    const { format, rows } = CsvImport.parse(text);
+    assert.equal(format, 'fitnotes', 'format');
+    assert.deepEqual(rows.map(row => [row.name, row.weight, row.unit, row.category]), [
+        ['Bench Press', 82.5, 'kg', 'Chest'],
+        ['Row; Cable', 60, 'kg', 'Back']
+    ], 'rows');
+});
+
+test('csv import: dates are read from both timestamp styles, rows without a date or reps are skipped', () => {
+    const text = [
+        'title,start_time,exercise_title,set_type,weight_lbs,reps',
+        'Push,"15 Jan 2023, 08:30",Bench Press (Barbell),warmup,95,10',
+        'Push,2023-01-16 18:00:00,Bench Press (Barbell),normal,185,5',
+        'Push,yesterday,Bench Press (Barbell),normal,185,5',
+        'Push,2023-01-16 18:00:00,Treadmill,normal,,'
+    ].join('\n');
+
+    const { format, rows, skipped } = CsvImport.parse(text);
+    assert.equal(format, 'hevy', 'format');
+    assert.deepEqual(rows.map(row => [row.date, row.weight, row.unit, row.warmup]), [
+        ['2023-01-15', 95, 'lb', true],
+        ['2023-01-16', 185, 'lb', false]
+    ], 'rows');
+    assert.equal(skipped, 2, 'skipped');
+});
+
+test('csv import: weights are converted to kg from the unit the file or the user gives', () => {
+    const text = [
+        'Date,Workout Name,Exercise Name,Set Order,Weight,Weight Unit,Reps',
+        '2023-02-01 07:00:00,A,Squat (Barbell),W,100,lbs,5',
+        '2023-02-01 07:00:00,A,Squat (Barbell),1,225,lbs,5',
+        '2023-02-01 07:00:00,A,Pull Up,1,,,8',
+        '2023-02-01 07:00:00,A,Curl,1,20,,12'
+    ].join('\n');
+    const { format, rows } = CsvImport.parse(text);
+    assert.equal(format, 'strong', 'format');
+
+    const mapping = new Map([['Squat (Barbell)', 'squat'], ['Pull Up', 'pullup'], ['Curl', 'curl']]);
+    assert.deepEqual(CsvImport.toEntries(rows, mapping, { unit: 'lb' }), [
+        { exerciseId: 'squat', date: '2023-02-01', reps: 5, weight: 45.36 },
+        { exerciseId: 'squat', date: '2023-02-01', reps: 5, weight: 102.06 },
+        { exerciseId: 'pullup', date: '2023-02-01', reps: 8, weight: null },
+        { exerciseId: 'curl', date: '2023-02-01', reps: 12, weight: 9.07 }
+    ], 'pounds');
+
+    const kg = CsvImport.toEntries(rows, new Map([['Curl', 'curl'], ['Squat (Barbell)', 'squat']]), { skipWarmups: true });
+    assert.deepEqual(kg.map(entry => [entry.exerciseId, entry.weight]), [['squat', 102.06], ['curl', 20]], 'kg default, warm-ups and unmapped names left out');
+});
+
+test('csv import: files from other apps are refused', () => {
+    assert.throws(() => CsvImport.parse('when,what\n2023-01-01,run'), 'unknown header');
+    assert.throws(() => CsvImport.parse(''), 'empty file');
+});
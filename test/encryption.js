@@ -0,0 +1,38 @@
+// Encryption Tests
+// With encryption on, nothing readable about the training log reaches the repository, commit messages included
+
+import { test, assert } from './harness.js';
+import { createFakeGitHub, resetGitHubSession } from './fakes.js';
+import { Storage } from '../js/storage.js';
+import { Encryption } from '../js/encryption.js';
+import { GitHubStorage } from '../js/github-storage.js';
+import { IDB } from '../js/idb.js';
+import { formatDate } from '../js/utils.js';
+
+const CONFIG_KEY = 'app_config';
+
+test('github: commit messages are content-free while encryption is on', async () => {
+    const repo = createFakeGitHub();
+    globalThis.fetch = repo.fetch;
+    localStorage.setItem(CONFIG_KEY, JSON.stringify({ mode: 'github', owner: 'test', repo: 'data', commitWindow: 0 }));
+    await IDB.deleteDatabase();
+    resetGitHubSession();
+    Storage.use(GitHubStorage);
+    await Storage.initialize();
+
+    try {
+        await Storage.setEncryption('correct horse battery');
+        const exercise = Storage.getExercises()[0];
+        await Storage.addWorkout({ exerciseId: exercise.id, date: formatDate(new Date()), reps: 5, weight: 100 });
+
+        const [message] = repo.log();
+        assert.equal(message.split('\n')[0], 'Update data', 'subject');
+        assert.equal(message.includes(exercise.name), false, 'no exercise name in the commit');
+
+        const [latest] = await Storage.listChangeHistory(5);
+        assert.ok(latest.message.includes(exercise.name), 'the change history shows the summary');
+    } finally {
+        Encryption.key = null;
+        Encryption.keyCheck = null;
+    }
+});
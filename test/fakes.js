@@ -0,0 +1,269 @@
+// Test Fakes
+// In-memory stand-ins for the GitHub API and the dev server, installed as the page's fetch
+
+import { encodeBase64Utf8, decodeBase64Utf8 } from '../js/utils.js';
+import { GitHubAPI } from '../js/github-api.js';
+
+/**
+ * Deterministic 40-character hex digest standing in for a Git SHA (not cryptographic)
+ * @param {string} text
+ * @returns {string}
+ */
+function fakeSha(text) {
+    let digest = '';
+    for (let seed = 0; seed < 5; seed++) {
+        let hash = 0x811c9dc5 ^ seed;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        digest += (hash >>> 0).toString(16).padStart(8, '0');
+    }
+    return digest;
+}
+
+function json(status, body, headers = {}) {
+    return new Response(body === null ? null : JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+/**
+ * Forget everything GitHubAPI cached this session, as a page reload would
+ */
+export function resetGitHubSession() {
+    GitHubAPI.fileCache.clear();
+    GitHubAPI.pendingReads.clear();
+    GitHubAPI.listingCache.clear();
+    GitHubAPI.branch = null;
+}
+
+/**
+ * A GitHub repository held in memory, answering the Contents and Git Data API calls
+ * GitHubAPI makes. Every write is a commit on 'main'.
+ * @returns {object} {fetch, seed, read, sha, log, commits, failNextWrite}
+ */
+export function createFakeGitHub() {
+    const blobs = new Map();
+    const trees = new Map();
+    const commits = new Map();
+    let head = null;
+    let failWrite = false;
+
+    const storeTree = (files) => {
+        const sha = fakeSha(`tree ${JSON.stringify([...files].sort())}`);
+        trees.set(sha, new Map(files));
+        return sha;
+    };
+    const storeCommit = (tree, parent, message) => {
+        const sha = fakeSha(`commit ${tree} ${parent} ${message} ${commits.size}`);
+        commits.set(sha, { tree, parent, message });
+        return sha;
+    };
+    const headFiles = () => trees.get(commits.get(head).tree);
+    const commitChange = (path, text, message) => {
+        const files = new Map(headFiles());
+        if (text === null) {
+            files.delete(path);
+        } else {
+            const sha = fakeSha(`blob ${text}`);
+            blobs.set(sha, text);
+            files.set(path, sha);
+        }
+        head = storeCommit(storeTree(files), head, message);
+        fake.commits++;
+    };
+
+    head = storeCommit(storeTree(new Map()), null, 'Initial commit');
+
+    const fake = {
+        // Commits made since the repository was created (seeding counts too)
+        commits: 0,
+
+        /**
+         * Write a file as another device would
+         * @param {string} path
+         * @param {object|null} content - null deletes the file
+         */
+        seed(path, content) {
+            commitChange(path, content === null ? null : JSON.stringify(content, null, 2), `Seed ${path}`);
+        },
+
+        /**
+         * @param {string} path
+         * @returns {object|null} Parsed file content
+         */
+        read(path) {
+            const sha = headFiles().get(path);
+            return sha ? JSON.parse(blobs.get(sha)) : null;
+        },
+
+        /**
+         * @param {string} path
+         * @returns {string|null} Blob SHA of the file on 'main'
+         */
+        sha(path) {
+            return headFiles().get(path) || null;
+        },
+
+        /**
+         * @returns {array} Commit messages on 'main', newest first
+         */
+        log() {
+            const messages = [];
+            for (let sha = head; sha; sha = commits.get(sha).parent) {
+                messages.push(commits.get(sha).message);
+            }
+            return messages;
+        },
+
+        /**
+         * Make the next write request fail (as when branch protection rejects the push)
+         */
+        failNextWrite() {
+            failWrite = true;
+        },
+
+        async fetch(url, options = {}) {
+            const { pathname } = new URL(url);
+            const method = options.method || 'GET';
+            const body = options.body ? JSON.parse(options.body) : null;
+
+            if (pathname === '/rate_limit') {
+                return json(200, { resources: { core: { limit: 5000, remaining: 5000, reset: Math.floor(Date.now() / 1000) + 3600 } } });
+            }
+            if (pathname === '/user') {
+                return json(200, { login: 'test' });
+            }
+            const match = pathname.match(/^\/repos\/[^/]+\/[^/]+(?:\/(.*))?$/);
+            if (!match) return json(404, { message: 'Not Found' });
+            const endpoint = match[1] || '';
+
+            if (method !== 'GET' && failWrite) {
+                failWrite = false;
+                return json(404, { message: 'Not Found' });
+            }
+
+            if (endpoint === '' && method === 'GET') {
+                return json(200, { full_name: 'test/data', private: true, default_branch: 'main', permissions: { push: true } });
+            }
+            if (endpoint.startsWith('branches/') && method === 'GET') {
+                // Until its first commit the repository is empty: no branch exists yet
+                return endpoint === 'branches/main' && fake.commits > 0
+                    ? json(200, { name: 'main' })
+                    : json(404, { message: 'Branch not found' });
+            }
+
+            const contents = endpoint.match(/^contents\/(.*)$/);
+            if (contents) {
+                const path = decodeURIComponent(contents[1]);
+                const files = headFiles();
+                if (method === 'GET') {
+                    const sha = files.get(path);
+                    if (sha) {
+                        const etag = `"${sha}"`;
+                        if (options.headers?.['If-None-Match'] === etag) return json(304, null);
+                        return json(200, { path, sha, encoding: 'base64', content: encodeBase64Utf8(blobs.get(sha)) }, { ETag: etag });
+                    }
+                    const listing = [...files]
+                        .filter(([filePath]) => filePath.startsWith(`${path}/`) && !filePath.slice(path.length + 1).includes('/'))
+                        .map(([filePath, fileSha]) => ({ name: filePath.slice(path.length + 1), path: filePath, sha: fileSha, type: 'file' }));
+                    if (listing.length === 0) return json(404, { message: 'Not Found' });
+                    const etag = `"${fakeSha(JSON.stringify(listing))}"`;
+                    if (options.headers?.['If-None-Match'] === etag) return json(304, null);
+                    return json(200, listing, { ETag: etag });
+                }
+                if (method === 'PUT') {
+                    const current = files.get(path) || null;
+                    if ((body.sha || null) !== current) {
+                        return json(current && !body.sha ? 422 : 409, { message: 'sha does not match' });
+                    }
+                    commitChange(path, decodeBase64Utf8(body.content), body.message);
+                    return json(current ? 200 : 201, { content: { path, sha: headFiles().get(path) }, commit: { sha: head } });
+                }
+            }
+
+            let git;
+            if (endpoint === 'git/ref/heads/main' && method === 'GET') {
+                return json(200, { object: { sha: head } });
+            }
+            if (endpoint === 'commits' && method === 'GET') {
+                // History of 'main', newest first (the path filter is not applied)
+                const limit = Number(new URL(url).searchParams.get('per_page')) || 30;
+                const list = [];
+                for (let sha = head; sha && list.length < limit; sha = commits.get(sha).parent) {
+                    list.push({ sha, commit: { message: commits.get(sha).message, author: { name: 'test', date: null } } });
+                }
+                return json(200, list);
+            }
+            if ((git = endpoint.match(/^git\/commits\/(\w+)$/)) && method === 'GET') {
+                return json(200, { sha: git[1], tree: { sha: commits.get(git[1]).tree } });
+            }
+            if ((git = endpoint.match(/^git\/trees\/(\w+)/)) && method === 'GET') {
+                return json(200, { tree: [...trees.get(git[1])].map(([path, sha]) => ({ path, type: 'blob', sha })) });
+            }
+            if ((git = endpoint.match(/^git\/blobs\/(\w+)$/)) && method === 'GET') {
+                return json(200, { sha: git[1], encoding: 'base64', content: encodeBase64Utf8(blobs.get(git[1])) });
+            }
+            if (endpoint === 'git/blobs' && method === 'POST') {
+                const text = decodeBase64Utf8(body.content);
+                const sha = fakeSha(`blob ${text}`);
+                blobs.set(sha, text);
+                return json(201, { sha });
+            }
+            if (endpoint === 'git/trees' && method === 'POST') {
+                const files = new Map(trees.get(body.base_tree));
+                body.tree.forEach(entry => {
+                    if (entry.sha === null) {
+                        files.delete(entry.path);
+                    } else {
+                        files.set(entry.path, entry.sha);
+                    }
+                });
+                return json(201, { sha: storeTree(files) });
+            }
+            if (endpoint === 'git/commits' && method === 'POST') {
+                return json(201, { sha: storeCommit(body.tree, body.parents[0], body.message) });
+            }
+            if (endpoint === 'git/refs/heads/main' && method === 'PATCH') {
+                if (commits.get(body.sha)?.parent !== head) {
+                    return json(422, { message: 'Update is not a fast forward' });
+                }
+                head = body.sha;
+                fake.commits++;
+                return json(200, { object: { sha: head } });
+            }
+            return json(404, { message: `Not handled by the fake: ${method} ${endpoint}` });
+        }
+    };
+    return fake;
+}
+
+/**
+ * The dev server's /api/dev-data endpoint, holding dev-data.json in memory
+ * @param {object} data - Initial file content
+ * @returns {object} {fetch, data, failNextWrite}
+ */
+export function createFakeDevServer(data = {}) {
+    let failWrite = false;
+
+    const fake = {
+        data: structuredClone(data),
+
+        failNextWrite() {
+            failWrite = true;
+        },
+
+        async fetch(url, options = {}) {
+            if (new URL(url).pathname !== '/api/dev-data') return json(404, { error: 'Not found' });
+            if (options.method !== 'POST') return json(200, fake.data);
+            if (failWrite) {
+                failWrite = false;
+                return json(500, { error: 'Failed to save dev data' });
+            }
+            fake.data = JSON.parse(options.body);
+            return json(200, { success: true });
+        }
+    };
+    return fake;
+}
@@ -0,0 +1,52 @@
+// GitHub Save Tests
+// Requests made by GitHubStorage saves, and index entries written later (in-memory GitHub fake)
+
+import { test, assert } from './harness.js';
+import { createFakeGitHub, resetGitHubSession } from './fakes.js';
+import { GitHubStorage } from '../js/github-storage.js';
+import { CONFIG } from '../js/config.js';
+
+function workout(id, date) {
+    return { id, exerciseId: 'e1', date, reps: 5, weight: 100, sequence: 1 };
+}
+
+test('github: a set saved to an existing month takes one request and its index entry goes with the next batch', async () => {
+    const repo = createFakeGitHub();
+    let requests = 0;
+    globalThis.fetch = (url, options) => {
+        requests++;
+        return repo.fetch(url, options);
+    };
+    resetGitHubSession();
+    await GitHubStorage.initialize();
+    await GitHubStorage.saveMonth('2025-01', [workout('a', '2025-01-10')]);
+
+    requests = 0;
+    await GitHubStorage.saveMonth('2025-01', [workout('a', '2025-01-10'), workout('b', '2025-01-11')]);
+    assert.equal(requests, 1, 'requests for one save');
+    assert.equal(repo.read(CONFIG.paths.index).months['2025-01'].count, 1, 'index file not written yet');
+    assert.equal(GitHubStorage.index.months['2025-01'].count, 2, 'index in memory');
+
+    // A new month is a batch with the index, which carries the January entry along
+    await GitHubStorage.saveMonth('2025-02', [workout('c', '2025-02-01')]);
+    const index = repo.read(CONFIG.paths.index);
+    assert.equal(index.months['2025-01'].count, 2, 'January entry saved');
+    assert.equal(index.months['2025-01'].sha, repo.sha(GitHubStorage.documentFile('2025-01', []).path), 'January entry SHA');
+    assert.equal(index.months['2025-02'].count, 1, 'February entry saved');
+});
+
+test('github: a fresh session re-indexes a month whose entry was not written yet', async () => {
+    const repo = createFakeGitHub();
+    globalThis.fetch = repo.fetch;
+    resetGitHubSession();
+    await GitHubStorage.initialize();
+    await GitHubStorage.saveMonth('2025-01', [workout('a', '2025-01-10')]);
+    await GitHubStorage.saveMonth('2025-01', [workout('a', '2025-01-10'), workout('b', '2025-01-11')]);
+
+    resetGitHubSession();
+    await GitHubStorage.initialize();
+    assert.deepEqual(await GitHubStorage.loadMonthSummaries(), {
+        '2025-01': { count: 2, firstDate: '2025-01-10', lastDate: '2025-01-11', exercises: { e1: '2025-01-11' } }
+    }, 'summaries');
+    assert.equal(repo.read(CONFIG.paths.index).months['2025-01'].count, 2, 'index file repaired');
+});
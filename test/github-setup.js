@@ -0,0 +1,45 @@
+// GitHub Setup Tests
+// Connection test and repository bootstrap (GitHubSetup) against the in-memory GitHub fake
+
+import { test, assert } from './harness.js';
+import { createFakeGitHub } from './fakes.js';
+import { GitHubSetup } from '../js/github-setup.js';
+import { GitHubStorage } from '../js/github-storage.js';
+import { SCHEMA_VERSION } from '../js/migrations.js';
+import { CONFIG } from '../js/config.js';
+
+const SETTINGS = { token: 'test-token-0123456789', owner: 'test', repo: 'data' };
+
+function useRepo() {
+    const repo = createFakeGitHub();
+    globalThis.fetch = repo.fetch;
+    return repo;
+}
+
+test('setup: an empty repository gets every file, stamped with the current schema version', async () => {
+    const repo = useRepo();
+
+    const report = await GitHubSetup.verify(SETTINGS);
+    assert.ok(report.ok && report.canBootstrap, 'can set up');
+    assert.deepEqual(report.missingFiles, [CONFIG.paths.exercises, CONFIG.paths.sessionTemplates, CONFIG.paths.meta], 'missing files');
+
+    // Naming the default branch explicitly must not try to create it
+    const created = await GitHubSetup.bootstrap({ ...SETTINGS, branch: 'main' });
+    assert.deepEqual(created, [CONFIG.paths.exercises, CONFIG.paths.sessionTemplates, CONFIG.paths.meta], 'created');
+    assert.equal(repo.read(CONFIG.paths.meta).schemaVersion, SCHEMA_VERSION, 'schema version');
+});
+
+test('setup: existing data without meta.json is left for the migrations', async () => {
+    const repo = useRepo();
+    repo.seed(GitHubStorage.documentFile('2025-01', []).path, { workouts: [{ id: 'a', exerciseId: 'e1', date: '2025-01-10', reps: 5, weight: 100 }] });
+
+    let report = await GitHubSetup.verify(SETTINGS);
+    assert.deepEqual(report.missingFiles, [CONFIG.paths.exercises, CONFIG.paths.sessionTemplates], 'month data: meta.json not listed');
+
+    const created = await GitHubSetup.bootstrap(SETTINGS);
+    assert.deepEqual(created, [CONFIG.paths.exercises, CONFIG.paths.sessionTemplates], 'created');
+    assert.equal(repo.read(CONFIG.paths.meta), null, 'meta.json not written');
+
+    report = await GitHubSetup.verify(SETTINGS);
+    assert.ok(report.ok && !report.canBootstrap, 'nothing left to set up');
+});
@@ -0,0 +1,85 @@
+// Test Harness
+// Minimal test registry and assertions for the browser test page (no dependencies)
+
+const tests = [];
+
+/**
+ * Register a test
+ * @param {string} name
+ * @param {Function} fn - async () → void; throws to fail
+ */
+export function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+export const assert = {
+    ok(value, message = 'expected a truthy value') {
+        if (!value) throw new Error(message);
+    },
+
+    equal(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message ? `${message}: ` : ''}expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    },
+
+    /**
+     * Compare as JSON, so plain data structures match by value
+     */
+    deepEqual(actual, expected, message = '') {
+        const a = JSON.stringify(actual);
+        const b = JSON.stringify(expected);
+        if (a !== b) {
+            throw new Error(`${message ? `${message}: ` : ''}expected ${b}, got ${a}`);
+        }
+    },
+
+    /**
+     * Expect a function to throw; returns the error for further checks
+     * @param {Function} fn
+     * @returns {Error}
+     */
+    throws(fn, message = 'expected an error') {
+        try {
+            fn();
+        } catch (error) {
+            return error;
+        }
+        throw new Error(message);
+    },
+
+    /**
+     * Expect a promise to reject; returns the error for further checks
+     * @param {Promise} promise
+     * @returns {Promise<Error>}
+     */
+    async rejects(promise, message = 'expected a rejection') {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error(message);
+    }
+};
+
+/**
+ * Run the registered tests one after another
+ * @param {Function} report - ({name, ok, error}) → void, called after each test
+ * @returns {Promise<{passed: number, failed: number}>}
+ */
+export async function run(report) {
+    let passed = 0;
+    let failed = 0;
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            passed++;
+            report({ name, ok: true, error: null });
+        } catch (error) {
+            failed++;
+            report({ name, ok: false, error });
+        }
+    }
+    return { passed, failed };
+}
@@ -0,0 +1,43 @@
+// IndexedDB Tests
+// Upgrades and deletes started by another tab must not hang (js/idb.js)
+
+import { test, assert } from './harness.js';
+import { IDB } from '../js/idb.js';
+
+/**
+ * Open the test database directly, as another tab would
+ * @param {number} version
+ * @returns {Promise<IDBDatabase>}
+ */
+function openElsewhere(version) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(IDB.name, version);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('blocked by this tab'));
+    });
+}
+
+test('idb: an upgrade in another tab closes this connection instead of waiting on it', async () => {
+    await IDB.deleteDatabase();
+    const db = await IDB.open();
+
+    const other = await openElsewhere(db.version + 1);
+    assert.equal(other.version, db.version + 1, 'upgraded');
+    assert.equal(IDB.db, null, 'connection dropped');
+    other.close();
+    // Newer than this version of the app can open
+    await IDB.deleteDatabase();
+});
+
+test('idb: an upgrade blocked by another tab fails with a message', async () => {
+    await IDB.deleteDatabase();
+    // An older version of the app that keeps its connection open
+    const other = await openElsewhere(1);
+
+    const error = await assert.rejects(IDB.open(), 'open');
+    assert.ok(/close the other tabs/i.test(error.message), 'message');
+    assert.equal(IDB.db, null, 'no connection kept');
+    other.close();
+    await IDB.deleteDatabase();
+});
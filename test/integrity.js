@@ -0,0 +1,67 @@
+// Integrity Tests
+// Planning the repair of duplicate ids, misfiled sets, orphans and sequence gaps (js/integrity.js)
+
+import { test, assert } from './harness.js';
+import { Integrity } from '../js/integrity.js';
+
+function set(id, date, sequence = 1, reps = 5, exerciseId = 'e1') {
+    return { id, exerciseId, date, reps, weight: 100, sequence };
+}
+
+/**
+ * Copies of 'a' and 'c' that only differ in sequence or month file, two different sets
+ * called 'b' (one filed in March) and a sequence gap in February
+ */
+function damagedDocuments() {
+    return {
+        exercises: [{ id: 'e1', name: 'Bench Press' }],
+        templates: [],
+        months: {
+            '2025-01': [set('a', '2025-01-05', 1), set('a', '2025-01-05', 2), set('c', '2025-01-20')],
+            '2025-02': [set('b', '2025-02-03', 1), set('b-2', '2025-02-03', 3)],
+            '2025-03': [set('b', '2025-02-03', 1, 8), set('c', '2025-01-20')]
+        }
+    };
+}
+
+test('integrity: duplicates are resolved before sets are renumbered and moved', () => {
+    const documents = damagedDocuments();
+    const issues = Integrity.check(documents);
+    assert.deepEqual(issues.map(issue => [issue.kind, issue.id || issue.target]), [
+        ['duplicate', 'a'], ['duplicate', 'c'], ['duplicate', 'b'], ['misfiled', '2025-03'], ['sequence', '2025-02']
+    ], 'issues, errors first');
+
+    const moved = { ...set('b', '2025-02-03', 1, 8), id: 'b-3' };
+    assert.deepEqual(Integrity.planRepairs(documents, issues), [
+        { target: '2025-01', op: 'resolveDuplicates', payload: { id: 'a', actions: ['keep', 'remove'] } },
+        { target: '2025-03', op: 'resolveDuplicates', payload: { id: 'c', actions: ['remove'] } },
+        { target: '2025-03', op: 'resolveDuplicates', payload: { id: 'b', actions: ['b-3'] } },
+        { target: '2025-02', op: 'reorderWorkouts', payload: { date: '2025-02-03', ids: ['b', 'b-2'] } },
+        // The renamed copy moves under its new id; the removed copy of 'c' does not move
+        { target: '2025-03', op: 'deleteWorkout', payload: { id: 'b-3', date: '2025-02-03' } },
+        { target: '2025-02', op: 'addWorkouts', payload: { date: '2025-02-03', records: [moved] } }
+    ], 'changes');
+});
+
+test('integrity: a misfiled set whose id is still duplicated stays where it is', () => {
+    const documents = damagedDocuments();
+    const misfiled = Integrity.check(documents).filter(issue => issue.kind === 'misfiled');
+    assert.deepEqual(Integrity.planRepairs(documents, misfiled), [], 'changes');
+});
+
+test('integrity: sets of a missing exercise are reassigned before they are moved', () => {
+    const documents = {
+        exercises: [{ id: 'e1', name: 'Bench Press' }],
+        templates: [{ id: 't1', name: 'Push', rows: [{ id: 't1-row-1', type: 'single', exerciseId: 'gone' }] }],
+        months: { '2025-01': [set('x', '2024-12-31', 1, 5, 'gone')] }
+    };
+    const issues = Integrity.check(documents);
+    const payload = { from: 'gone', to: 'e1' };
+
+    assert.deepEqual(Integrity.planRepairs(documents, issues, new Map([['gone', 'e1']])), [
+        { target: '2025-01', op: 'reassignExercise', payload },
+        { target: 'templates', op: 'reassignExercise', payload },
+        { target: '2025-01', op: 'deleteWorkout', payload: { id: 'x', date: '2024-12-31' } },
+        { target: '2024-12', op: 'addWorkouts', payload: { date: '2024-12-31', records: [set('x', '2024-12-31', 1, 5, 'e1')] } }
+    ], 'changes');
+});
@@ -0,0 +1,66 @@
+// Merge Tests
+// Record-level three-way merge (js/merge.js) of month files changed on two devices
+
+import { test, assert } from './harness.js';
+import { threeWayMerge } from '../js/merge.js';
+
+function set(id, reps, sequence = 1) {
+    return { id, exerciseId: 'e1', date: '2025-01-10', reps, weight: 100, sequence };
+}
+
+const ids = records => records.map(record => record.id);
+
+test('merge: a change on one side only takes that side, deletions included', () => {
+    const base = [set('a', 5), set('b', 5), set('c', 5), set('d', 5)];
+    const local = [set('a', 6), set('c', 5), set('d', 5)];      // edited a, deleted b
+    const remote = [set('a', 5), set('b', 5), set('c', 7)];     // edited c, deleted d
+
+    const { merged, conflicts } = threeWayMerge(base, local, remote);
+    assert.deepEqual(conflicts, [], 'conflicts');
+    assert.deepEqual(merged.map(record => [record.id, record.reps]), [['a', 6], ['c', 7]], 'merged');
+});
+
+test('merge: new records from both sides are kept, remote order first', () => {
+    const base = [set('a', 5)];
+    const local = [set('a', 5), set('mine', 8)];
+    const remote = [set('theirs', 9), set('a', 5)];
+
+    const { merged, conflicts } = threeWayMerge(base, local, remote);
+    assert.deepEqual(conflicts, [], 'conflicts');
+    assert.deepEqual(ids(merged), ['theirs', 'a', 'mine'], 'merged');
+});
+
+test('merge: the same change on both sides is taken once', () => {
+    const base = [set('a', 5), set('b', 5)];
+    const local = [set('a', 6), set('new', 3)];
+    const remote = [set('a', 6), set('new', 3)];
+
+    const { merged, conflicts } = threeWayMerge(base, local, remote);
+    assert.deepEqual(conflicts, [], 'conflicts');
+    assert.deepEqual(merged, [set('a', 6), set('new', 3)], 'merged');
+});
+
+test('merge: different changes to one record are a conflict and keep the remote version', () => {
+    const base = [set('a', 5), set('b', 5)];
+    const local = [set('a', 6), set('b', 8)];
+    const remote = [set('a', 7)];                               // b deleted remotely, edited locally
+
+    const { merged, conflicts } = threeWayMerge(base, local, remote);
+    assert.deepEqual(merged, [set('a', 7)], 'merged');
+    assert.deepEqual(conflicts, [
+        { id: 'a', base: set('a', 5), local: set('a', 6), remote: set('a', 7) },
+        { id: 'b', base: set('b', 5), local: set('b', 8), remote: null }
+    ], 'conflicts');
+});
+
+test('merge: ignored fields are not changes', () => {
+    const base = [set('a', 5, 1), set('b', 5, 2)];
+    const local = [set('b', 5, 1), set('a', 5, 2)];             // reordered only
+    const remote = [set('a', 6, 1), set('b', 5, 2)];
+
+    const { merged, conflicts } = threeWayMerge(base, local, remote, ['sequence']);
+    assert.deepEqual(conflicts, [], 'conflicts');
+    assert.deepEqual(merged.map(record => [record.id, record.reps, record.sequence]), [['a', 6, 1], ['b', 5, 1]], 'merged');
+
+    assert.equal(threeWayMerge(base, local, remote).conflicts.length, 1, 'compared without ignore');
+});
@@ -0,0 +1,52 @@
+// Node Test Runner
+// Runs the test suites without a browser: node test/node.js [--verbose] (Node 20 or later)
+
+// The app modules expect a browser page; these stand-ins cover what the suites reach
+const events = new EventTarget();
+const storage = new Map();
+globalThis.window = globalThis;
+globalThis.addEventListener = events.addEventListener.bind(events);
+globalThis.removeEventListener = events.removeEventListener.bind(events);
+globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key),
+    clear: () => storage.clear()
+};
+globalThis.location = { hostname: 'localhost', protocol: 'http:', reload() {} };
+globalThis.document = {
+    readyState: 'complete',
+    visibilityState: 'visible',
+    documentElement: { dataset: {} },
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    removeEventListener() {}
+};
+// Configurable, so offline tests can switch onLine
+Object.defineProperty(globalThis, 'navigator', { value: Object.create({ onLine: true }), configurable: true, writable: true });
+
+if (typeof indexedDB === 'undefined') {
+    try {
+        await import('fake-indexeddb/auto');
+    } catch {
+        console.error('Node has no IndexedDB. Install the stand-in first: npm install --no-save fake-indexeddb');
+        process.exit(1);
+    }
+}
+
+// The app logs every request; only the results (see report() in run.js) are shown unless --verbose
+if (!process.argv.includes('--verbose')) {
+    const isResult = args => typeof args[0] === 'string' && /^(✓|✗|\d+ passed)/.test(args[0]);
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+        const write = console[method].bind(console);
+        console[method] = (...args) => {
+            if (isResult(args)) write(...args);
+        };
+    });
+}
+
+const { summary } = await import('./run.js');
+process.exitCode = summary.failed > 0 ? 1 : 0;
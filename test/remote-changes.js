@@ -0,0 +1,57 @@
+// Remote Change Tests
+// Polling for changes saved elsewhere (GitHubStorage.listRemoteChanges) against the in-memory GitHub fake
+
+import { test, assert } from './harness.js';
+import { createFakeGitHub, resetGitHubSession } from './fakes.js';
+import { GitHubStorage } from '../js/github-storage.js';
+import { CONFIG } from '../js/config.js';
+
+const MONTH_PATH = GitHubStorage.documentFile('2025-01', []).path;
+
+function workout(id, date) {
+    return { id, exerciseId: 'e1', date, reps: 5, weight: 100, sequence: 1 };
+}
+
+/**
+ * A repository with one indexed month, read by a fresh session (index and month)
+ * @returns {Promise<object>} The fake repository
+ */
+async function openWithMonth() {
+    const repo = createFakeGitHub();
+    globalThis.fetch = repo.fetch;
+    resetGitHubSession();
+    await GitHubStorage.initialize();
+    await GitHubStorage.saveMonth('2025-01', [workout('a', '2025-01-10')]);
+
+    resetGitHubSession();
+    await GitHubStorage.initialize();
+    await GitHubStorage.loadIndex();
+    await GitHubStorage.loadMonth('2025-01');
+    return repo;
+}
+
+test('github: a month changed without an index update is reloaded by the poll', async () => {
+    const repo = await openWithMonth();
+
+    // A GitHub web edit or an older client: the month file changes, index.json does not
+    repo.seed(MONTH_PATH, { workouts: [workout('a', '2025-01-10'), workout('web', '2025-01-12')] });
+
+    assert.deepEqual(await GitHubStorage.listRemoteChanges(), ['2025-01'], 'changes found');
+    assert.deepEqual((await GitHubStorage.loadMonth('2025-01')).map(w => w.id), ['a', 'web'], 'new content');
+    assert.equal(GitHubStorage.index.months['2025-01'].sha, repo.sha(MONTH_PATH), 'index entry SHA');
+    assert.equal(repo.read(CONFIG.paths.index).months['2025-01'].sha, repo.sha(MONTH_PATH), 'saved index entry SHA');
+    assert.equal(repo.read(CONFIG.paths.index).months['2025-01'].count, 2, 'saved index entry count');
+
+    const commits = repo.commits;
+    assert.deepEqual(await GitHubStorage.listRemoteChanges(), [], 'second poll finds nothing');
+    assert.equal(repo.commits, commits, 'second poll makes no commit');
+});
+
+test('github: a poll with nothing changed makes no commit', async () => {
+    const repo = await openWithMonth();
+    const commits = repo.commits;
+
+    assert.deepEqual(await GitHubStorage.listRemoteChanges(), [], 'first poll');
+    assert.deepEqual(await GitHubStorage.listRemoteChanges(), [], 'second poll');
+    assert.equal(repo.commits, commits, 'commits');
+});
@@ -0,0 +1,73 @@
+// Test Runner
+// Runs every test suite on the test page (or under Node, see node.js) and shows the results; app data in this browser is left alone
+
+import { run } from './harness.js';
+import { IDB } from '../js/idb.js';
+import { Auth } from '../js/auth.js';
+import { TabSync } from '../js/tab-sync.js';
+
+const CONFIG_KEY = 'app_config';
+
+/**
+ * Show one result on the page and in the console
+ * @param {{name: string, ok: boolean, error: Error|null}} result
+ */
+function report({ name, ok, error }) {
+    const list = document.getElementById('results');
+    if (list) {
+        const item = document.createElement('li');
+        item.className = ok ? 'pass' : 'fail';
+        item.textContent = ok ? `✓ ${name}` : `✗ ${name}: ${error.message}`;
+        list.appendChild(item);
+    }
+    if (ok) {
+        console.log(`✓ ${name}`);
+    } else {
+        console.error(`✗ ${name}:`, error);
+    }
+}
+
+// Tests run against their own database, repository settings and fetch
+const savedConfig = localStorage.getItem(CONFIG_KEY);
+const savedFetch = globalThis.fetch;
+IDB.name = 'progressive-overload-test';
+localStorage.setItem(CONFIG_KEY, JSON.stringify({ mode: 'github', owner: 'test', repo: 'data' }));
+Auth.token = 'test-token-0123456789';
+
+export let summary;
+try {
+    await import('./adapter-conformance.js');
+    await import('./remote-changes.js');
+    await import('./github-saves.js');
+    await import('./github-setup.js');
+    await import('./write-durability.js');
+    await import('./csv-export.js');
+    await import('./trash.js');
+    await import('./encryption.js');
+    await import('./templates.js');
+    await import('./idb.js');
+    await import('./merge.js');
+    await import('./csv-import.js');
+    await import('./integrity.js');
+    await import('./backup.js');
+    summary = await run(report);
+} finally {
+    // An open channel would keep Node running after the last test
+    TabSync.close();
+    await IDB.deleteDatabase();
+    Auth.token = null;
+    globalThis.fetch = savedFetch;
+    if (savedConfig === null) {
+        localStorage.removeItem(CONFIG_KEY);
+    } else {
+        localStorage.setItem(CONFIG_KEY, savedConfig);
+    }
+}
+
+const text = `${summary.passed} passed, ${summary.failed} failed`;
+console.log(text);
+const status = document.getElementById('summary');
+if (status) {
+    status.textContent = text;
+    status.className = summary.failed === 0 ? 'pass' : 'fail';
+}
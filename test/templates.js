@@ -0,0 +1,57 @@
+// Session Template Tests
+// Template rows written without a type or ids after the v2 migration are normalized on the way in (Local mode)
+
+import { test, assert } from './harness.js';
+import { Storage } from '../js/storage.js';
+import { IdbStorage } from '../js/idb-storage.js';
+import { SCHEMA_VERSION } from '../js/migrations.js';
+import { IDB } from '../js/idb.js';
+
+// Rows as the app wrote them before templates had row types and set ids
+const LEGACY_TEMPLATE = { id: 't1', name: 'Legs', rows: [{ exerciseId: 'e1', sets: [{ reps: 5, weight: 100 }] }] };
+
+/**
+ * Start a session on data already at the current schema version, so no migration runs
+ * @param {array} templates - Stored templates
+ * @returns {Promise<void>}
+ */
+async function openWithTemplates(templates) {
+    await IDB.deleteDatabase();
+    await IdbStorage.initialize();
+    await IdbStorage.saveBatch([
+        { target: 'templates', items: templates },
+        { target: 'meta', items: { schemaVersion: SCHEMA_VERSION } }
+    ]);
+    Storage.use(IdbStorage);
+    await Storage.initialize();
+}
+
+function assertNormalized(template, label) {
+    const [row] = template.rows;
+    assert.equal(row.type, 'single', `${label}: row type`);
+    assert.ok(row.id, `${label}: row id`);
+    assert.ok(row.sets[0].id, `${label}: set id`);
+    assert.equal(row.sets[0].reps, 5, `${label}: reps kept`);
+}
+
+test('templates: rows written after the migration are normalized when loaded', async () => {
+    await openWithTemplates([LEGACY_TEMPLATE]);
+    assertNormalized(Storage.getSessionTemplateById('t1'), 'loaded');
+});
+
+test('templates: ids given to legacy rows are the same on every load', async () => {
+    await openWithTemplates([LEGACY_TEMPLATE]);
+    const first = Storage.getSessionTemplateById('t1');
+    await Storage.loadSessionTemplates();
+    assert.deepEqual(Storage.getSessionTemplateById('t1'), first, 'reloaded');
+    assert.equal(first.rows[0].id, 't1-row-1', 'derived from the template id');
+});
+
+test('templates: rows restored from a backup are normalized before they are saved', async () => {
+    await openWithTemplates([]);
+    await Storage.restoreBackup({ exercises: [], templates: [LEGACY_TEMPLATE], months: {} }, 'merge');
+
+    const [stored] = await IdbStorage.loadSessionTemplates();
+    assertNormalized(stored, 'stored');
+    assertNormalized(Storage.getSessionTemplateById('t1'), 'cached');
+});
@@ -0,0 +1,89 @@
+// Trash Tests
+// Deleting sets that only exist in the outbox, while offline (GitHub mode, in-memory fake)
+
+import { test, assert } from './harness.js';
+import { createFakeGitHub, resetGitHubSession } from './fakes.js';
+import { Storage } from '../js/storage.js';
+import { Outbox } from '../js/outbox.js';
+import { Trash } from '../js/trash.js';
+import { GitHubStorage } from '../js/github-storage.js';
+import { IDB } from '../js/idb.js';
+import { formatDate, getMonthKey } from '../js/utils.js';
+
+const CONFIG_KEY = 'app_config';
+
+/**
+ * Take the browser offline (requests fail at once, see GitHubAPI.request) or back online
+ * @param {object|null} repo - Fake repository to reach once online, null to go offline
+ */
+function setNetwork(repo) {
+    if (repo) {
+        delete navigator.onLine;
+        globalThis.fetch = repo.fetch;
+    } else {
+        Object.defineProperty(navigator, 'onLine', { value: false, configurable: true });
+        globalThis.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    }
+}
+
+/**
+ * Start a session on an empty repository that saves every change at once, then go offline
+ * @returns {Promise<object>} The fake repository
+ */
+async function openOffline() {
+    const repo = createFakeGitHub();
+    globalThis.fetch = repo.fetch;
+    localStorage.setItem(CONFIG_KEY, JSON.stringify({ mode: 'github', owner: 'test', repo: 'data', commitWindow: 0 }));
+    await IDB.deleteDatabase();
+    resetGitHubSession();
+    Storage.use(GitHubStorage);
+    await Storage.initialize();
+    setNetwork(null);
+    return repo;
+}
+
+function loggedIds(repo, monthKey) {
+    return (repo.read(GitHubStorage.documentFile(monthKey, []).path)?.workouts || []).map(w => w.id);
+}
+
+test('github: a set logged offline can be deleted while it is still queued', async () => {
+    const repo = await openOffline();
+    try {
+        const date = formatDate(new Date());
+        const exerciseId = Storage.getExercises()[0].id;
+        const kept = await Storage.addWorkout({ exerciseId, date, reps: 5, weight: 100 });
+        const deleted = await Storage.addWorkout({ exerciseId, date, reps: 5, weight: 105 });
+        assert.equal(Outbox.entries.length, 2, 'queued');
+
+        const entry = await Storage.deleteWorkout(deleted.id, date);
+        assert.deepEqual(entry.records.map(w => w.id), [deleted.id], 'in the trash');
+        assert.deepEqual(Storage.currentMonthWorkouts.map(w => w.id), [kept.id], 'gone from the month');
+
+        setNetwork(repo);
+        await Storage.syncOutbox();
+        assert.deepEqual(loggedIds(repo, getMonthKey(date)), [kept.id], 'saved without it');
+        assert.equal(Outbox.entries.length, 0, 'outbox empty');
+    } finally {
+        setNetwork(repo);
+    }
+});
+
+test('github: a day logged offline can be deleted while it is still queued', async () => {
+    const repo = await openOffline();
+    try {
+        const date = formatDate(new Date());
+        const exerciseId = Storage.getExercises()[0].id;
+        await Storage.addWorkout({ exerciseId, date, reps: 5, weight: 100 });
+        await Storage.addWorkout({ exerciseId, date, reps: 5, weight: 105 });
+
+        const entry = await Storage.deleteDay(date);
+        assert.equal(entry.records.length, 2, 'in the trash');
+        assert.equal(Trash.get(entry.id).kind, 'sets', 'listed');
+
+        setNetwork(repo);
+        await Storage.syncOutbox();
+        assert.deepEqual(loggedIds(repo, getMonthKey(date)), [], 'saved without them');
+    } finally {
+        setNetwork(repo);
+    }
+});
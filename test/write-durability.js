@@ -0,0 +1,89 @@
+// Write Durability Tests
+// Changes held in the commit window (GitHub mode) are stored at once and survive a reload
+
+import { test, assert } from './harness.js';
+import { createFakeGitHub, resetGitHubSession } from './fakes.js';
+import { Storage } from '../js/storage.js';
+import { Outbox } from '../js/outbox.js';
+import { GitHubStorage } from '../js/github-storage.js';
+import { IDB } from '../js/idb.js';
+import { formatDate, getMonthKey } from '../js/utils.js';
+
+const CONFIG_KEY = 'app_config';
+
+/**
+ * Start a session on an empty repository with a long commit window
+ * @returns {Promise<object>} The fake repository
+ */
+async function openSession() {
+    const repo = createFakeGitHub();
+    globalThis.fetch = repo.fetch;
+    localStorage.setItem(CONFIG_KEY, JSON.stringify({ mode: 'github', owner: 'test', repo: 'data', commitWindow: 600 }));
+    await IDB.deleteDatabase();
+    resetGitHubSession();
+    Storage.use(GitHubStorage);
+    await Storage.initialize();
+    return repo;
+}
+
+/**
+ * Drop everything the page held in memory and start again, as a reload would
+ * @returns {Promise<void>}
+ */
+async function reload() {
+    Storage.pending.forEach(write => clearTimeout(write.timer));
+    Storage.pending.clear();
+    IDB.db.close();
+    IDB.db = null;
+    resetGitHubSession();
+    await Storage.initialize();
+}
+
+function loggedIds(repo, monthKey) {
+    return (repo.read(GitHubStorage.documentFile(monthKey, []).path)?.workouts || []).map(w => w.id);
+}
+
+test('github: a set logged in the commit window is stored before it is saved', async () => {
+    const repo = await openSession();
+    const date = formatDate(new Date());
+    const set = await Storage.addWorkout({ exerciseId: Storage.getExercises()[0].id, date, reps: 5, weight: 100 });
+
+    assert.equal(loggedIds(repo, getMonthKey(date)).includes(set.id), false, 'not committed yet');
+    assert.equal(Outbox.entries.length, 0, 'not listed as waiting to sync');
+    assert.equal((await IDB.getAll('outbox')).length, 1, 'held in the outbox store');
+
+    await Storage.flushWrites();
+    assert.equal(loggedIds(repo, getMonthKey(date)).includes(set.id), true, 'committed');
+    assert.equal((await IDB.getAll('outbox')).length, 0, 'released once saved');
+});
+
+test('github: sets held in the commit window are replayed after a reload', async () => {
+    const repo = await openSession();
+    const date = formatDate(new Date());
+    const exerciseId = Storage.getExercises()[0].id;
+    const first = await Storage.addWorkout({ exerciseId, date, reps: 5, weight: 100 });
+    const second = await Storage.addWorkout({ exerciseId, date, reps: 5, weight: 105 });
+    const commits = repo.commits;
+
+    await reload();
+
+    assert.deepEqual(loggedIds(repo, getMonthKey(date)), [first.id, second.id], 'replayed');
+    assert.equal(repo.commits, commits + 1, 'in one commit');
+    assert.equal((await IDB.getAll('outbox')).length, 0, 'outbox empty');
+    assert.deepEqual(Storage.currentMonthWorkouts.map(w => w.id), [first.id, second.id], 'shown after the reload');
+});
+
+test('github: a held write that fails to save stays queued in its place', async () => {
+    const repo = await openSession();
+    const date = formatDate(new Date());
+    const set = await Storage.addWorkout({ exerciseId: Storage.getExercises()[0].id, date, reps: 5, weight: 100 });
+
+    repo.failNextWrite();
+    await Storage.flushWrites();
+    assert.equal(Outbox.entries.length, 1, 'queued');
+    assert.equal((await IDB.getAll('outbox')).length, 1, 'one stored entry, not a copy');
+
+    await Storage.syncOutbox();
+    assert.equal(loggedIds(repo, getMonthKey(date)).includes(set.id), true, 'replayed');
+    assert.equal((await IDB.getAll('outbox')).length, 0, 'outbox empty');
+});